@@ -0,0 +1,2923 @@
+require('dotenv').config(); // Load environment variables from .env file
+
+// The whole API as one Express app. server.js runs it as a long-lived server and netlify/functions/api.js
+// as a Netlify function, so both deployments have the same routes, prompts and stored fields.
+
+const express = require('express');
+const cors = require('cors');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const { DOMParser } = require('xmldom');
+const pdfExtract = require('pdf-text-extract');
+const docx4js = require('docx4js');
+const connectToDatabase = require('./db'); // Import the MongoDB connection
+const { ensureIndexes } = require('./db');
+const { validateTransition, createHistoryEntry } = require('./lib/pipeline');
+const { getModelInfo } = require('./lib/llm');
+const { completeAndValidate } = require('./lib/cvExtraction');
+const { createIngestionJob, getIngestionJob, startIngestionWorker, processPending, onJobEvent } = require('./lib/ingestion');
+const { storeFile, openFileStream, readFile, readFileAsBase64, deleteFile } = require('./lib/files');
+const { parseListQuery, parsePaging, buildFilter, runListQuery, pickFields } = require('./lib/listing');
+const { parseSearch, searchQuery, evaluateCandidate } = require('./lib/search');
+const { NORMALIZATION_VERSION, taxonomyVersion, normalizeCV } = require('./lib/normalization');
+const {
+    sha256, identityOf, findExactDuplicate, linkToCandidate, refreshCandidate, mergeCandidates, unmergeCandidate, dismissDuplicate
+} = require('./lib/candidateProfiles');
+const { validateJob, formatJob, describeJob } = require('./lib/jobOpenings');
+const { createMatchRun, formatMatchRun, compareMatchRuns } = require('./lib/matchRuns');
+const {
+    processingStamp, outdatedFilter, revisionOf, saveRevision, currentRevision, formatRevision, diffRevisions
+} = require('./lib/revisions');
+const { matchingPrompt, matchCandidates } = require('./lib/matching');
+const { validateWeights } = require('./lib/matchScoring');
+const { detectFileType } = require('./lib/fileType');
+const { extractText, isBlank } = require('./lib/extract');
+const { LANGUAGE_CODES, isKnownLanguage, detectLanguage, tesseractLanguages, languageName } = require('./lib/language');
+const { formats: exportFormats, exportProjection } = require('./lib/export');
+const { renderCvPdf } = require('./lib/cvPdf');
+const { redactCV, aliasFor, identityTerms, scrubText } = require('./lib/redaction');
+const {
+    validateNoteText, normalizeTags, validateRating, ratingUpdate, formatNote, buildThreads, formatRatings
+} = require('./lib/feedback');
+const { createUploadStorage, uploadErrorMessage, formatBytes } = require('./lib/upload');
+const {
+    ROLES, signToken, signDownload, signState, verifyState, createApiKey, findApiKeyPrincipal, authenticate, authorize, authorizeAccountAdmin, actorOf, principalKey
+} = require('./lib/auth');
+const { authorizationUrl, fetchProfile } = require('./lib/linkedin');
+const {
+    validateWorkspace, workspaceSettings, formatWorkspace, listWorkspacesFor, scopeToWorkspace, inWorkspace, adoptUnscopedRecords
+} = require('./lib/workspaces');
+const { recordAudit, auditActor, auditCandidateAccess, formatAuditEntry } = require('./lib/audit');
+const {
+    eraseResponses, eraseCandidate, retentionPreview, applyRetention, startRetentionSchedule, collectSubjectData
+} = require('./lib/privacy');
+const {
+    EVENTS: WEBHOOK_EVENTS, createSecret: createWebhookSecret, validateWebhook, formatWebhook, formatDelivery,
+    emitEvent, replayDelivery, startWebhookWorker, deliverPending
+} = require('./lib/webhooks');
+const { SECTIONS: ANALYTICS_SECTIONS, INTERVALS: ANALYTICS_INTERVALS, buildAnalytics } = require('./lib/analytics');
+const config = require('./config');
+const { ObjectId } = require('mongodb'); // Import ObjectId
+
+const app = express();
+
+// Configure CORS for the configured frontend origins ('*' in CORS_ORIGINS allows any)
+app.use(cors({
+    origin: (origin, callback) => callback(null, !origin || config.corsOrigins.includes('*') || config.corsOrigins.includes(origin)),
+    methods: 'GET,POST,PUT,DELETE,OPTIONS',
+    allowedHeaders: 'Content-Type,Authorization,X-Workspace-Id',
+    credentials: true
+}));
+
+app.use(express.json({ limit: '50mb' }));
+
+// Every /api route needs a signed-in user or API key; the routes themselves check the role
+app.use('/api', authenticate({ publicPaths: ['/health'] }));
+// Everything but account and workspace management runs inside the workspace named by X-Workspace-Id
+// (or ?workspaceId= on links), and the role checked by the routes is the role in that workspace
+app.use('/api', scopeToWorkspace(req => req.get('X-Workspace-Id') || req.query.workspaceId, {
+    unscopedPaths: ['/health', '/me', '/users', '/workspaces']
+}));
+// Reads and writes of candidate data go to the audit log
+app.use('/api', auditCandidateAccess());
+
+const systemPrompt = `
+You are an AI assistant specialized in extracting structured information from CV texts. Analyze the provided CV text and extract all relevant details. Your output must be a valid JSON object with the following keys:
+- **Name**: The full name of the candidate (string).
+- **ContactInformation**: An object with the keys Email, Phone, Address, LinkedIn and Other (strings) holding all available contact details.
+- **Summary**: A brief professional summary or objective, if available (string).
+- **Education**: An array of objects with the keys Institution, Degree, FieldOfStudy and Dates (strings).
+- **WorkExperience**: An array of objects with the keys JobTitle, Company, Duration and Description (strings), where Description covers responsibilities and achievements.
+- **Skills**: A flat array of strings listing technical and soft skills mentioned.
+- **Certifications**: Any certifications or licenses obtained.
+- **Languages**: An array of objects with the keys Language and Proficiency (strings).
+- **Projects**: Notable projects or portfolio items described.
+- **Achievements**: Any awards, honors, or special recognitions.
+- **OtherDetails**: Any additional relevant information that does not fit in the above categories.
+Important:
+- If any field is missing from the CV text, assign it an empty string or an empty array (for list-type fields) as appropriate.
+- Ensure the JSON is well-formatted and parsable.
+- Handle variations in CV formats and naming conventions gracefully.
+Your task is to parse and structure the CV text completely, ensuring no important details are omitted.
+`;
+
+const TRANSLATION_MODES = ['original', 'translated', 'both'];
+
+// Added to the system prompt: which language the extracted values should be in. Keys always stay in English.
+function languageInstruction(mode, outputLanguage) {
+    if (mode === 'translated') {
+        return `- Write all field values in ${languageName(outputLanguage)}, translating them from the CV where needed. Keep the JSON keys in English and keep names, e-mail addresses, phone numbers and URLs exactly as written.`;
+    }
+    return '- Keep all field values in the language they are written in the CV; do not translate them. Keep the JSON keys in English.';
+}
+
+function translationPrompt(outputLanguage) {
+    return `You translate structured CV data. The user sends a JSON object extracted from a CV. Return the same JSON object with the same keys and structure, with every field value translated into ${languageName(outputLanguage)}.
+Keep the JSON keys in English and keep names, e-mail addresses, phone numbers and URLs exactly as written. Values already in ${languageName(outputLanguage)} stay unchanged.
+Return only the JSON object.`;
+}
+
+// Queue the documents for processing and return right away; progress is available through the ingestion job endpoints
+app.post('/api/analyze-cvs', authorize('upload'), async (req, res) => {
+    const { documents } = req.body;
+    
+    if (!Array.isArray(documents)) {
+        return res.status(400).json({ error: 'Invalid format: documents should be an array.' });
+    }
+    const unknownLanguage = documents.findIndex(doc => doc && doc.language && !isKnownLanguage(doc.language));
+    if (unknownLanguage !== -1) {
+        return res.status(400).json({ error: `documents[${unknownLanguage}].language must be one of: ${LANGUAGE_CODES.join(', ')}` });
+    }
+
+    try {
+        const jobId = await createIngestionJob(documents, { workspaceId: req.workspace._id });
+        res.status(202).json({
+            jobId,
+            status: 'queued',
+            total: documents.length,
+            statusUrl: `/api/ingestion-jobs/${jobId}`,
+            eventsUrl: `/api/ingestion-jobs/${jobId}/events`
+        });
+    } catch (error) {
+        console.error('Main Error:', error);
+        res.status(500).json({ error: error.message, details: error.response?.data || 'No additional details' });
+    }
+});
+
+const upload = multer({
+    storage: createUploadStorage(config.upload),
+    limits: { files: config.upload.maxFiles }
+}).array('files');
+
+// Multipart alternative to the base64 route: send CVs in the "files" field. Types are detected from the
+// file content, and files that are too large or unsupported are rejected one by one with a reason.
+app.post('/api/analyze-cvs/upload', authorize('upload'), (req, res) => {
+    // Refuse oversized batches before reading them when the client announces the size
+    const contentLength = parseInt(req.headers['content-length'], 10);
+    if (contentLength > config.upload.maxBatchBytes + 1024 * 1024) {
+        return res.status(413).json({ error: `Upload exceeds the ${formatBytes(config.upload.maxBatchBytes)} per-batch limit` });
+    }
+
+    upload(req, res, async uploadError => {
+        if (uploadError) {
+            const status = uploadError.code === 'LIMIT_FILE_COUNT' ? 413 : 400;
+            return res.status(status).json({ error: uploadErrorMessage(uploadError, config.upload) });
+        }
+        if (req.body.language && !isKnownLanguage(req.body.language)) {
+            return res.status(400).json({ error: `language must be one of: ${LANGUAGE_CODES.join(', ')}` });
+        }
+
+        const files = req.files || [];
+        const accepted = files.filter(file => !file.rejection);
+        const rejected = files.filter(file => file.rejection)
+            .map(file => ({ fileName: file.originalname, size: file.size, reason: file.rejection }));
+
+        if (!accepted.length) {
+            return res.status(400).json({ error: files.length ? 'No file was accepted.' : 'No files uploaded.', rejected });
+        }
+
+        try {
+            const documents = accepted.map(file => ({
+                base64: file.buffer.toString('base64'),
+                fileType: file.detectedType,
+                fileName: file.originalname,
+                candidateStatus: req.body.candidateStatus,
+                language: req.body.language,
+                outputLanguage: req.body.outputLanguage,
+                translationMode: req.body.translationMode
+            }));
+            const jobId = await createIngestionJob(documents, { workspaceId: req.workspace._id });
+
+            res.status(202).json({
+                jobId,
+                status: 'queued',
+                total: documents.length,
+                accepted: accepted.map((file, index) => ({ index, fileName: file.originalname, fileType: file.detectedType, size: file.size })),
+                rejected,
+                statusUrl: `/api/ingestion-jobs/${jobId}`,
+                eventsUrl: `/api/ingestion-jobs/${jobId}/events`
+            });
+        } catch (error) {
+            console.error('Upload Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+});
+
+// Endpoint to fetch the progress and per-document results of an ingestion job
+app.get('/api/ingestion-jobs/:id', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid job id.' });
+    }
+
+    try {
+        const job = await getIngestionJob(new ObjectId(id), req.workspace._id);
+        if (!job) {
+            return res.status(404).json({ error: 'Ingestion job not found' });
+        }
+        res.json(job);
+    } catch (error) {
+        console.error(`Error fetching ingestion job [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Server-Sent Events stream of an ingestion job: a snapshot first, then document and progress events until it completes.
+// Like every route it needs the Authorization header, so browsers read it with fetch() rather than EventSource.
+// A serverless function can't stream, so there the reply is the snapshot alone, with a retry hint to poll again.
+app.get('/api/ingestion-jobs/:id/events', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid job id.' });
+    }
+
+    const jobId = new ObjectId(id);
+    const send = event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    const isFinished = job => job.status === 'completed' || job.status === 'completed_with_errors';
+    let heartbeat;
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    try {
+        // Subscribe before reading the snapshot so no event falls in between
+        unsubscribe = onJobEvent(jobId, event => {
+            send(event);
+            if (event.type === 'completed') close();
+        });
+
+        const job = await getIngestionJob(jobId, req.workspace._id);
+        if (!job) {
+            unsubscribe();
+            return res.status(404).json({ error: 'Ingestion job not found' });
+        }
+
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+        res.flushHeaders();
+        send({ type: 'snapshot', job });
+        if (isFinished(job)) return close();
+        if (req.app.locals.serverless) {
+            res.write(`retry: ${config.ingestion.pollIntervalMs}\n\n`);
+            return close();
+        }
+
+        // Documents may be processed by another server instance, so re-read the job instead of relying on local events only
+        heartbeat = setInterval(async () => {
+            try {
+                const current = await getIngestionJob(jobId, req.workspace._id);
+                send({ type: 'snapshot', job: current });
+                if (isFinished(current)) close();
+            } catch (error) {
+                console.error(`Error polling ingestion job [${id}]:`, error);
+            }
+        }, config.ingestion.pollIntervalMs);
+        req.on('close', close);
+    } catch (error) {
+        console.error(`Error streaming ingestion job [${id}]:`, error);
+        unsubscribe();
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        } else {
+            res.end();
+        }
+    }
+});
+
+// What the current prompt, the workspace's model and the extractor would stamp on a CV processed now
+const currentProcessing = llmModel => processingStamp({ prompt: systemPrompt, model: getModelInfo(llmModel) });
+
+// Text extraction, the model's structured CV (plus a translation in "both" mode) and everything derived from
+// it, stamped with the pipeline that produced it. Resolves with null when the file has no text.
+async function extractCV(buffer, fileType, { hint, translationMode, outputLanguage, llmModel, index }) {
+    // A language hint narrows OCR to that language's pack (plus English); otherwise all configured packs are loaded
+    const { text: extractedText, ocrLanguages } = await extractText(buffer, fileType, {
+        ocrLanguages: tesseractLanguages(hint, config.ocr.languages)
+    });
+    // Nothing to extract from (empty file, failed parse, blank scan): don't ask the model to invent a CV
+    if (isBlank(extractedText)) return null;
+    const language = { detected: detectLanguage(extractedText), hint, ocrLanguages, translationMode, outputLanguage };
+
+    const { result, validation } = await getAIResponse(extractedText, { translationMode, outputLanguage, model: llmModel });
+    // In "both" mode the original-language result is kept as is and a translated copy is stored next to it
+    const translations = {};
+    if (validation.valid && translationMode === 'both' && (language.hint || language.detected) !== outputLanguage) {
+        const translated = await translateAIResponse(result, outputLanguage, llmModel);
+        if (translated.validation.valid) {
+            translations[outputLanguage] = translated.result;
+        } else {
+            console.warn(`Translation of document [${index}] into ${outputLanguage} failed validation:`, translated.validation.errors);
+        }
+    }
+
+    return {
+        result,
+        // ISO dates, years of experience, canonical skills and contact details; `result` stays as the model returned it
+        normalized: validation.valid ? normalizeCV(result) : null,
+        validation,
+        language,
+        translations,
+        identity: identityOf(result),
+        processing: { ...currentProcessing(llmModel), processedAt: new Date() }
+    };
+}
+
+// What a queue item that already stored its CV produced, for a retry of that item
+async function storedOutcome(db, response, index) {
+    let { candidateId } = response;
+    if (response.status === 'success' && !candidateId) {
+        ({ candidateId } = await linkToCandidate(db, response._id, response.identity, response.workspaceId));
+    }
+    return {
+        index,
+        id: response._id,
+        candidateId,
+        duplicateOf: response.duplicateOf || undefined,
+        status: response.status,
+        result: response.result,
+        normalized: response.normalized,
+        validation: response.validation,
+        language: response.language,
+        translations: response.translations,
+        file: describeFile(response),
+        candidateStatus: response.candidateStatus,
+        ...(response.status !== 'success' && { error: 'Extracted CV failed validation' })
+    };
+}
+
+async function processDocument(doc, index, db, { workspaceId, queueItemId }) {
+    try {
+        // A retry of a queue item that got as far as storing its CV
+        const stored = queueItemId && await db.collection('responses').findOne({ ingestionItemId: queueItemId });
+        if (stored) {
+            return await storedOutcome(db, stored, index);
+        }
+
+        if (!doc.base64 || !doc.fileType) {
+            return { index, status: 'error', error: 'Missing base64 or fileType' };
+        }
+
+        const workspace = await db.collection('workspaces').findOne({ _id: workspaceId });
+        if (!workspace) {
+            return { index, status: 'error', error: 'The workspace of this document no longer exists' };
+        }
+        const { pipeline, llmModel } = workspaceSettings(workspace);
+
+        const candidateStatus = doc.candidateStatus || pipeline.initial;
+        if (!pipeline.stages.includes(candidateStatus)) {
+            return { index, status: 'error', error: `Unknown candidateStatus "${candidateStatus}"` };
+        }
+
+        const translationMode = doc.translationMode || config.extraction.translationMode;
+        if (!TRANSLATION_MODES.includes(translationMode)) {
+            return { index, status: 'error', error: `Unknown translationMode "${translationMode}"` };
+        }
+        const outputLanguage = doc.outputLanguage || config.extraction.outputLanguage;
+
+        const buffer = Buffer.from(doc.base64, 'base64');
+        // Trust the content over the declared type when it is recognizable
+        const fileType = detectFileType(buffer) || doc.fileType;
+
+        // The same file was processed before: skip it, or process it again and mark the copy
+        const duplicate = await findExactDuplicate(db, sha256(buffer), workspaceId);
+        if (duplicate && config.dedupe.exactDuplicates === 'skip') {
+            return { index, status: 'duplicate', duplicateOf: duplicate._id, candidateId: duplicate.candidateId };
+        }
+
+        const hint = doc.language && isKnownLanguage(doc.language) ? String(doc.language).toLowerCase() : null;
+        const extraction = await extractCV(buffer, fileType, { hint, translationMode, outputLanguage, llmModel, index });
+        if (!extraction) {
+            return { index, status: 'error', error: 'No text could be extracted from the document' };
+        }
+        const { result, normalized, validation, language, translations, identity, processing } = extraction;
+        const status = validation.valid ? 'success' : 'error';
+
+        // Another worker may have finished this item while the model was working on it
+        const collection = db.collection('responses');
+        const finished = await collection.findOne({ ingestionItemId: queueItemId });
+        if (finished) {
+            return await storedOutcome(db, finished, index);
+        }
+
+        // Keep the original in GridFS; the response only references it
+        const file = await storeFile(buffer, { fileType, filename: doc.fileName, workspaceId });
+
+        // Save the response to MongoDB with a timestamp. Keyed by the queue item, so a retried item can't
+        // store the CV twice even when two workers end up processing it.
+        const saved = await collection.findOneAndUpdate({ ingestionItemId: queueItemId }, { $setOnInsert: { 
+            workspaceId,
+            ingestionItemId: queueItemId,
+            index, 
+            status, 
+            result, 
+            normalized,
+            validation,
+            language,
+            translations,
+            file, 
+            identity,
+            processing,
+            duplicateOf: duplicate ? duplicate._id : null,
+            candidateStatus,
+            statusHistory: [createHistoryEntry(null, candidateStatus, 'system', 'CV uploaded')],
+            createdAt: new Date() 
+        } }, { upsert: true, returnDocument: 'after' });
+
+        // The other worker's response was stored first: keep it and drop the copy of the file stored above
+        if (!saved.file || String(saved.file.id) !== String(file.id)) {
+            await deleteFile(file.id);
+            return await storedOutcome(db, saved, index);
+        }
+        const insertedId = saved._id;
+
+        if (!validation.valid) {
+            return { index, id: insertedId, status, error: 'Extracted CV failed validation', validation };
+        }
+
+        // Link it to the candidate's existing profile when the contact details match
+        const { candidateId, linkedBy, possibleDuplicates } = await linkToCandidate(db, insertedId, identity, workspaceId);
+
+        return { 
+            index, 
+            id: insertedId,
+            candidateId,
+            linkedBy,
+            possibleDuplicates,
+            duplicateOf: duplicate ? duplicate._id : undefined,
+            status, 
+            result, 
+            normalized,
+            validation,
+            language,
+            translations,
+            file: describeFile({ _id: insertedId, file }), 
+            candidateStatus 
+        };
+    } catch (error) {
+        console.error(`Processing Error [${index}]:`, error);
+        return { index, status: 'error', error: error.message };
+    }
+}
+
+// Runs a stored CV through the current pipeline again, with the language settings of its first run. The
+// extraction it replaces is kept as a revision; a CV that extracted fine keeps its extraction when the new one
+// fails validation.
+async function reprocessResponse(doc, index, db, { workspaceId, queueItemId }) {
+    try {
+        const responses = db.collection('responses');
+        const response = await responses.findOne({ _id: doc.responseId, workspaceId }, { projection: { base64: 0 } });
+        if (!response) {
+            return { index, status: 'error', error: 'The CV no longer exists' };
+        }
+        const id = response._id;
+
+        // A retry of a queue item that already replaced the extraction: report that instead of doing it again
+        if (queueItemId && await db.collection('responseRevisions').findOne({ ingestionItemId: queueItemId })) {
+            return {
+                index,
+                id,
+                candidateId: response.candidateId,
+                fileName: response.file ? response.file.filename : null,
+                status: response.status,
+                revision: revisionOf(response),
+                result: response.result,
+                language: response.language,
+                candidateStatus: response.candidateStatus,
+                ...(response.status !== 'success' && { error: 'Extracted CV failed validation', validation: response.validation })
+            };
+        }
+        if (response.anonymizedAt || !response.file) {
+            return { index, id, status: 'error', error: 'The original file of this CV is no longer stored' };
+        }
+
+        const workspace = await db.collection('workspaces').findOne({ _id: workspaceId });
+        if (!workspace) {
+            return { index, id, status: 'error', error: 'The workspace of this CV no longer exists' };
+        }
+        const { llmModel } = workspaceSettings(workspace);
+
+        const buffer = await readFile(response.file.id);
+        const fileType = detectFileType(buffer) || path.extname(response.file.filename).slice(1);
+        const fileName = response.file.filename;
+        const settings = response.language || {};
+        const extraction = await extractCV(buffer, fileType, {
+            hint: settings.hint || null,
+            translationMode: settings.translationMode || config.extraction.translationMode,
+            outputLanguage: settings.outputLanguage || config.extraction.outputLanguage,
+            llmModel,
+            index
+        });
+        if (!extraction) {
+            return { index, id, fileName, status: 'error', error: 'No text could be extracted from the document' };
+        }
+        const { validation } = extraction;
+        if (!validation.valid && response.status === 'success') {
+            return { index, id, fileName, status: 'error', error: 'Reprocessed CV failed validation; the stored extraction was kept', validation };
+        }
+
+        await saveRevision(db, response, { actor: doc.requestedBy, reason: doc.reason, ingestionItemId: queueItemId });
+        const revision = revisionOf(response) + 1;
+        const status = validation.valid ? 'success' : 'error';
+        await responses.updateOne({ _id: id }, { $set: { ...extraction, status, revision, reprocessedAt: new Date() } });
+
+        // The contact details may read differently now; a CV that failed validation before gets its profile now
+        let { candidateId } = response;
+        if (candidateId) {
+            await refreshCandidate(db, candidateId);
+        } else if (validation.valid) {
+            ({ candidateId } = await linkToCandidate(db, id, extraction.identity, workspaceId));
+        }
+
+        return {
+            index,
+            id,
+            candidateId,
+            fileName,
+            status,
+            revision,
+            result: extraction.result,
+            language: extraction.language,
+            candidateStatus: response.candidateStatus,
+            ...(!validation.valid && { error: 'Extracted CV failed validation', validation })
+        };
+    } catch (error) {
+        // saveRevision hit the unique index: another job reprocessed the same CV at the same time
+        if (error.code === 11000) {
+            return { index, id: doc.responseId, status: 'error', error: 'The CV was reprocessed by another job at the same time' };
+        }
+        console.error(`Reprocessing Error [${index}]:`, error);
+        return { index, status: 'error', error: error.message };
+    }
+}
+
+// Tells the workspace's webhooks how processing went. Skipped duplicates aren't reported, their original was.
+async function notifyOutcome(db, workspaceId, outcome, details) {
+    if (outcome.status === 'success') {
+        await emitEvent(db, workspaceId, 'cv.processed', {
+            responseId: outcome.id,
+            candidateId: outcome.candidateId,
+            ...details,
+            // Reviewers only see anonymized CVs with blind review on, so the webhook doesn't carry the name either
+            name: config.privacy.blindReview ? aliasFor(outcome.id) : outcome.result.Name || null,
+            candidateStatus: outcome.candidateStatus,
+            language: outcome.language.detected
+        });
+    } else if (outcome.status === 'error') {
+        await emitEvent(db, workspaceId, 'cv.failed', {
+            responseId: outcome.id || null,
+            ...details,
+            error: outcome.error
+        });
+    }
+}
+
+// What the ingestion worker runs for uploads and for reprocessing jobs
+async function processAndNotify(doc, index, db, options) {
+    const outcome = await processDocument(doc, index, db, options);
+    await notifyOutcome(db, options.workspaceId, outcome, { index, fileName: doc.fileName || null });
+    return outcome;
+}
+
+async function reprocessAndNotify(doc, index, db, options) {
+    const outcome = await reprocessResponse(doc, index, db, options);
+    await notifyOutcome(db, options.workspaceId, outcome, {
+        index,
+        fileName: outcome.fileName || null,
+        reprocessed: true,
+        ...(outcome.revision && { revision: outcome.revision })
+    });
+    return outcome;
+}
+
+// Extract the CV, with values in the original language or translated into outputLanguage.
+// `model` is the workspace's model; the configured one is used without it.
+async function getAIResponse(text, { translationMode = 'original', outputLanguage, model } = {}) {
+    return completeAndValidate([
+        { role: 'system', content: `${systemPrompt}\n${languageInstruction(translationMode, outputLanguage)}` },
+        { role: 'user', content: text }
+    ], { task: 'extract', model });
+}
+
+async function translateAIResponse(result, outputLanguage, model) {
+    return completeAndValidate([
+        { role: 'system', content: translationPrompt(outputLanguage) },
+        { role: 'user', content: JSON.stringify(result) }
+    ], { task: 'translate', model });
+}
+
+app.get('/api/health', (req, res) => res.json({ status: 'ok', timestamp: new Date() }));
+
+// Original files are left out of responses unless the caller asks for them with ?includeFile=true
+const wantsFile = req => req.query.includeFile === 'true';
+const fileProjection = req => (wantsFile(req) ? {} : { base64: 0 });
+
+function describeFile(response) {
+    if (!response.file) return null;
+    const { filename, contentType, size, sha256 } = response.file;
+    return { filename, contentType, size, sha256, url: `/api/responses/${response._id}/file` };
+}
+
+function formatResponse(response) {
+    return {
+        id: response._id,
+        index: response.index,
+        status: response.status,
+        result: response.result,
+        normalized: response.normalized || null,
+        revision: revisionOf(response),
+        processing: response.processing || null,
+        file: describeFile(response),
+        candidateId: response.candidateId,
+        candidateStatus: response.candidateStatus, // Include candidate status
+        tags: response.tags || [],
+        rating: response.rating || { average: null, count: 0 },
+        createdAt: response.createdAt
+    };
+}
+
+// Reviewer view: anonymized for everyone when blind review is on, otherwise on request with ?view=blind
+const isBlindView = req => config.privacy.blindReview || req.query.view === 'blind';
+
+// Anonymized copy of a stored or formatted response: the CV and its translations are redacted under a stable
+// alias, and the original file (which shows the identity) is left out
+function redactResponse(record) {
+    const alias = aliasFor(record.id || record._id);
+    const { base64, identity, ...rest } = record;
+    const redacted = { ...rest, result: redactCV(record.result, { alias }), file: null, redacted: true };
+    if (record.normalized) {
+        redacted.normalized = { ...record.normalized, contact: null };
+    }
+    if (record.translations) {
+        redacted.translations = Object.fromEntries(Object.entries(record.translations)
+            .map(([language, translation]) => [language, redactCV(translation, { alias })]));
+    }
+    return redacted;
+}
+
+async function formatResponses(responses, req) {
+    const blind = isBlindView(req);
+    return Promise.all(responses.map(async response => {
+        const formatted = formatResponse(response);
+        if (blind) return redactResponse(formatted);
+        if (wantsFile(req)) {
+            formatted.base64 = await readFileAsBase64(response);
+        }
+        return formatted;
+    }));
+}
+
+// Shared by the listing routes: filters (status, candidateStatus, tags/anyTag, minRating/maxRating/rated, from/to, timeRange),
+// sort, fields and pagination
+async function listResponses(req, res) {
+    let listQuery;
+    try {
+        listQuery = parseListQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    listQuery.filter = inWorkspace(req, listQuery.filter);
+    if (listQuery.projection && wantsFile(req)) {
+        Object.assign(listQuery.projection, { file: 1, base64: 1 });
+    }
+
+    const db = await connectToDatabase(); // Connect to MongoDB
+    const collection = db.collection('responses');
+    const { documents, paging } = await runListQuery(collection, listQuery, fileProjection(req));
+
+    const results = (await formatResponses(documents, req)).map(result => pickFields(result, listQuery.fields));
+
+    res.json({ totalProcessed: results.length, ...paging, results });
+}
+
+// Endpoint to fetch all responses
+app.get('/api/responses', authorize('read'), async (req, res) => {
+    try {
+        await listResponses(req, res);
+    } catch (error) {
+        console.error('Error fetching responses:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to export the responses as a CSV or XLSX file (?format=csv|xlsx). Takes the same filters and sorting
+// as GET /api/responses, but returns every matching response instead of a page.
+app.get('/api/responses/export', authorize('export'), async (req, res) => {
+    const format = exportFormats[req.query.format || 'csv'];
+    if (!format) {
+        return res.status(400).json({ error: `Unknown export format. Use one of: ${Object.keys(exportFormats).join(', ')}` });
+    }
+
+    let listQuery;
+    try {
+        listQuery = parseListQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    listQuery.filter = inWorkspace(req, listQuery.filter);
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        let cursor = db.collection('responses')
+            .find(listQuery.filter, { projection: exportProjection })
+            .sort({ [listQuery.sort.field]: listQuery.sort.direction, _id: listQuery.sort.direction });
+        if (isBlindView(req)) cursor = cursor.map(redactResponse);
+
+        const extension = req.query.format || 'csv';
+        res.set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="candidates-${new Date().toISOString().slice(0, 10)}.${extension}"`
+        });
+        await format.write(cursor, res);
+    } catch (error) {
+        console.error('Error exporting responses:', error);
+        // Once rows are streamed the status can't change anymore; cut the download short instead
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// Candidate search: free text, structured filters with and/or/not, ranked by relevance with highlights.
+// GET takes simple query parameters, POST a JSON body that may carry a full filter tree (see lib/search.js).
+async function searchCandidates(req, res) {
+    const input = req.method === 'POST' ? { ...req.query, ...req.body } : req.query;
+    let search;
+    let baseFilter;
+    try {
+        search = parseSearch(input);
+        // Listing filters (candidateStatus, from/to, ...) narrow the candidates before they are scored
+        baseFilter = inWorkspace(req, buildFilter({ status: 'success', ...input }));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const { page, pageSize } = parsePaging(input);
+
+    // The blind view searches the anonymized CVs, so names and contact details neither match nor show up in highlights
+    const blind = isBlindView(req);
+    // Filters and query terms narrow the candidates in MongoDB; only what passes is read and scored
+    const conditions = searchQuery(search, { text: !blind });
+    if (conditions.length) {
+        baseFilter.$and = conditions;
+    }
+
+    const db = await connectToDatabase(); // Connect to MongoDB
+    const responses = db.collection('responses');
+    const evaluate = stored => {
+        const response = blind ? redactResponse(stored) : stored;
+        return { response, evaluation: evaluateCandidate(response, search) };
+    };
+
+    // Ranking keeps only ids and scores; the requested page is read in full afterwards
+    const ranked = [];
+    const cursor = responses.find(baseFilter, { projection: { result: 1, createdAt: 1 } });
+    for await (const stored of cursor) {
+        const { evaluation } = evaluate(stored);
+        if (evaluation) ranked.push({ _id: stored._id, createdAt: stored.createdAt, score: evaluation.score });
+    }
+
+    ranked.sort((a, b) => b.score - a.score || b.createdAt - a.createdAt);
+    const pageIds = ranked.slice((page - 1) * pageSize, page * pageSize).map(entry => entry._id);
+    const pageResponses = await responses
+        .find(inWorkspace(req, { _id: { $in: pageIds } }), { projection: { base64: 0 } })
+        .toArray();
+    const byId = new Map(pageResponses.map(stored => [String(stored._id), stored]));
+    // A candidate deleted or changed since it was ranked drops out of the page
+    const matches = pageIds
+        .map(id => byId.get(String(id)))
+        .filter(Boolean)
+        .map(evaluate)
+        .filter(match => match.evaluation);
+
+    res.json({
+        total: ranked.length,
+        page,
+        pageSize,
+        hasMore: page * pageSize < ranked.length,
+        results: matches.map(({ response, evaluation }) => ({
+            ...formatResponse(response),
+            ...evaluation,
+            ...(blind && { redacted: true })
+        }))
+    });
+}
+
+app.get('/api/candidates/search', authorize('read'), async (req, res) => {
+    try {
+        await searchCandidates(req, res);
+    } catch (error) {
+        console.error('Error searching candidates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/candidates/search', authorize('read'), async (req, res) => {
+    try {
+        await searchCandidates(req, res);
+    } catch (error) {
+        console.error('Error searching candidates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to list candidate profiles that may be the same person and wait for review
+app.get('/api/candidates/duplicates', authorize('read'), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const profiles = await db.collection('candidates')
+            .find(inWorkspace(req, { 'possibleDuplicates.0': { $exists: true } }))
+            .sort({ updatedAt: -1 })
+            .limit(200)
+            .toArray();
+
+        res.json({ total: profiles.length, results: profiles.map(profile => formatCandidate(profile, req)) });
+    } catch (error) {
+        console.error('Error fetching duplicate candidates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function formatCandidate(profile, req) {
+    if (req && isBlindView(req)) {
+        return {
+            id: profile._id,
+            alias: aliasFor(profile._id),
+            latestResponseId: profile.latestResponseId,
+            versionCount: profile.versionCount,
+            possibleDuplicates: profile.possibleDuplicates,
+            mergeHistory: profile.mergeHistory,
+            createdAt: profile.createdAt,
+            updatedAt: profile.updatedAt,
+            redacted: true
+        };
+    }
+    return {
+        id: profile._id,
+        names: profile.names,
+        emails: profile.emails,
+        phones: profile.phones,
+        latestResponseId: profile.latestResponseId,
+        versionCount: profile.versionCount,
+        possibleDuplicates: profile.possibleDuplicates,
+        mergeHistory: profile.mergeHistory,
+        createdAt: profile.createdAt,
+        updatedAt: profile.updatedAt
+    };
+}
+
+// Endpoint to fetch a candidate profile with all CV versions, newest first
+app.get('/api/candidates/:id', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid candidate id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const profile = await db.collection('candidates').findOne(inWorkspace(req, { _id: new ObjectId(id) }));
+
+        if (!profile) {
+            return res.status(404).json({ error: 'Candidate not found' });
+        }
+
+        const versions = await db.collection('responses')
+            .find({ candidateId: profile._id }, { projection: { base64: 0 } })
+            .sort({ createdAt: -1 })
+            .toArray();
+
+        const formattedVersions = versions.map(formatResponse);
+        res.json({
+            ...formatCandidate(profile, req),
+            versions: isBlindView(req) ? formattedVersions.map(redactResponse) : formattedVersions
+        });
+    } catch (error) {
+        console.error(`Error fetching candidate [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to download the candidate's latest CV version as a standardized PDF
+app.get('/api/candidates/:id/pdf', authorize('export'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid candidate id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const [response] = await db.collection('responses')
+            .find(inWorkspace(req, { candidateId: new ObjectId(id), status: 'success' }), { projection: exportProjection })
+            .sort({ createdAt: -1 })
+            .limit(1)
+            .toArray();
+
+        if (!response) {
+            return res.status(404).json({ error: 'Candidate not found' });
+        }
+
+        await sendCvPdf(req, res, response);
+    } catch (error) {
+        console.error(`Error rendering CV PDF for candidate [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const toObjectIds = ids => (Array.isArray(ids) && ids.length && ids.every(ObjectId.isValid) ? ids.map(value => new ObjectId(value)) : null);
+
+// Endpoint to merge other candidate profiles into this one
+app.post('/api/candidates/:id/merge', authorize('manageCandidates'), async (req, res) => {
+    const { id } = req.params;
+    const sourceIds = toObjectIds(req.body.candidateIds);
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid candidate id.' });
+    }
+    if (!sourceIds || sourceIds.some(sourceId => sourceId.equals(id))) {
+        return res.status(400).json({ error: 'candidateIds must be a non-empty array of other candidate ids.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const targetId = new ObjectId(id);
+        const found = await db.collection('candidates').countDocuments(inWorkspace(req, { _id: { $in: [targetId, ...sourceIds] } }));
+
+        if (found !== sourceIds.length + 1) {
+            return res.status(404).json({ error: 'Candidate not found' });
+        }
+
+        const profile = await mergeCandidates(db, targetId, sourceIds, actorOf(req));
+        res.json(formatCandidate(profile, req));
+    } catch (error) {
+        console.error(`Error merging candidates [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to split CV versions off a candidate profile into a new profile
+app.post('/api/candidates/:id/unmerge', authorize('manageCandidates'), async (req, res) => {
+    const { id } = req.params;
+    const responseIds = toObjectIds(req.body.responseIds);
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid candidate id.' });
+    }
+    if (!responseIds) {
+        return res.status(400).json({ error: 'responseIds must be a non-empty array of response ids.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const candidateId = new ObjectId(id);
+        const versions = await db.collection('responses').countDocuments(inWorkspace(req, { candidateId }));
+        const selected = await db.collection('responses').countDocuments(inWorkspace(req, { candidateId, _id: { $in: responseIds } }));
+
+        if (!versions) {
+            return res.status(404).json({ error: 'Candidate not found' });
+        }
+        if (selected !== responseIds.length || selected === versions) {
+            return res.status(400).json({ error: 'responseIds must be some, but not all, of this candidate\'s versions.' });
+        }
+
+        const { original, separated } = await unmergeCandidate(db, candidateId, responseIds, actorOf(req));
+        res.json({ candidate: formatCandidate(original, req), separated: formatCandidate(separated, req) });
+    } catch (error) {
+        console.error(`Error unmerging candidate [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to mark a suggested duplicate as a different person
+app.post('/api/candidates/:id/dismiss-duplicate', authorize('manageCandidates'), async (req, res) => {
+    const { id } = req.params;
+    const { candidateId } = req.body;
+
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(candidateId)) {
+        return res.status(400).json({ error: 'Invalid candidate id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const found = await db.collection('candidates')
+            .countDocuments(inWorkspace(req, { _id: { $in: [new ObjectId(id), new ObjectId(candidateId)] } }));
+        if (found !== 2) {
+            return res.status(404).json({ error: 'Candidate not found' });
+        }
+        await dismissDuplicate(db, new ObjectId(id), new ObjectId(candidateId));
+        res.json({ id, dismissed: candidateId });
+    } catch (error) {
+        console.error(`Error dismissing duplicate [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to compute the normalized data again for stored CVs, e.g. after the skill taxonomy was edited.
+// Only records normalized by an older version or taxonomy (or never) are touched unless `all` is true.
+app.post('/api/responses/normalize', authorize('admin'), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const collection = db.collection('responses');
+        const filter = inWorkspace(req, { status: 'success' });
+        if (req.body.all !== true) {
+            filter.$or = [
+                { 'normalized.version': { $ne: NORMALIZATION_VERSION } },
+                { 'normalized.taxonomyVersion': { $ne: taxonomyVersion() } }
+            ];
+        }
+
+        let updated = 0;
+        let batch = [];
+        const flush = async () => {
+            if (!batch.length) return;
+            await collection.bulkWrite(batch, { ordered: false });
+            updated += batch.length;
+            batch = [];
+        };
+        for await (const response of collection.find(filter, { projection: { result: 1, anonymizedAt: 1 } })) {
+            const normalized = normalizeCV(response.result);
+            // Anonymized records keep no contact details, not even redacted ones
+            if (response.anonymizedAt) normalized.contact = null;
+            batch.push({ updateOne: { filter: { _id: response._id }, update: { $set: { normalized } } } });
+            if (batch.length >= 500) await flush();
+        }
+        await flush();
+
+        res.json({ updated, version: NORMALIZATION_VERSION, taxonomyVersion: taxonomyVersion() });
+    } catch (error) {
+        console.error('Error normalizing responses:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to run stored CVs through the current prompt, model and extractor again. Choose them with
+// `candidateId`, `responseIds`, listing filters in `filter` (status, candidateStatus, from, to, tags, ...)
+// and/or `outdated: true` for CVs the current pipeline didn't produce; `dryRun: true` only counts them.
+// Runs as an ingestion job; the replaced extractions are kept as revisions.
+app.post('/api/responses/reprocess', authorize('upload'), async (req, res) => {
+    const { candidateId, responseIds, filter: listFilter, outdated, dryRun, reason } = req.body;
+
+    if (candidateId === undefined && responseIds === undefined && listFilter === undefined && outdated !== true) {
+        return res.status(400).json({ error: 'Choose the CVs to reprocess with candidateId, responseIds, filter or outdated: true.' });
+    }
+    if (candidateId !== undefined && !ObjectId.isValid(candidateId)) {
+        return res.status(400).json({ error: 'Invalid candidate id.' });
+    }
+    if (responseIds !== undefined && (!Array.isArray(responseIds) || !responseIds.length || !responseIds.every(id => ObjectId.isValid(id)))) {
+        return res.status(400).json({ error: 'responseIds must be a non-empty array of response ids.' });
+    }
+
+    let selection;
+    try {
+        // Only CVs whose original is still stored can be extracted again
+        selection = inWorkspace(req, { ...buildFilter(listFilter || {}), file: { $exists: true }, anonymizedAt: { $exists: false } });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (candidateId !== undefined) selection.candidateId = new ObjectId(candidateId);
+    if (responseIds !== undefined) selection._id = { $in: responseIds.map(id => new ObjectId(id)) };
+    const current = currentProcessing(workspaceSettings(req.workspace).llmModel);
+    if (outdated === true) Object.assign(selection, outdatedFilter(current));
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const collection = db.collection('responses');
+        const matched = await collection.countDocuments(selection);
+        const targets = await collection
+            .find(selection, { projection: { _id: 1, 'file.filename': 1 } })
+            .sort({ createdAt: 1 })
+            .limit(config.reprocessing.maxPerRequest)
+            .toArray();
+
+        if (dryRun === true) {
+            return res.json({ matched, wouldQueue: targets.length, processing: current });
+        }
+
+        const documents = targets.map(target => ({
+            responseId: target._id,
+            fileType: path.extname(target.file.filename).slice(1).toLowerCase() || null,
+            requestedBy: actorOf(req),
+            reason: typeof reason === 'string' ? reason.trim() : null
+        }));
+        const jobId = await createIngestionJob(documents, { workspaceId: req.workspace._id, kind: 'reprocess' });
+        res.status(202).json({
+            jobId,
+            status: 'queued',
+            total: documents.length,
+            matched,
+            remaining: matched - documents.length,
+            processing: current,
+            statusUrl: `/api/ingestion-jobs/${jobId}`,
+            eventsUrl: `/api/ingestion-jobs/${jobId}/events`
+        });
+    } catch (error) {
+        console.error('Error queueing reprocessing:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to fetch a single response by id
+app.get('/api/responses/:id', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const collection = db.collection('responses');
+        const response = await collection.findOne(inWorkspace(req, { _id: new ObjectId(id) }), { projection: fileProjection(req) });
+
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+
+        const details = {
+            ...formatResponse(response),
+            duplicateOf: response.duplicateOf,
+            statusHistory: response.statusHistory || [],
+            validation: response.validation,
+            language: response.language || null,
+            translations: response.translations || {}
+        };
+        if (isBlindView(req)) {
+            return res.json(redactResponse(details));
+        }
+        if (wantsFile(req)) {
+            details.base64 = await readFileAsBase64(response);
+        }
+        res.json(details);
+    } catch (error) {
+        console.error(`Error fetching response [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+async function sendCvPdf(req, res, stored) {
+    const response = isBlindView(req) ? redactResponse(stored) : stored;
+    const pdf = await renderCvPdf(response.result, { candidateStatus: response.candidateStatus });
+    const name = (response.result && response.result.Name) || String(response._id);
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${name.replace(/[^\w.-]+/g, '_')}-cv.pdf"`
+    });
+    res.send(Buffer.from(pdf));
+}
+
+// Endpoint to download a response as a standardized CV PDF built from the extracted data
+app.get('/api/responses/:id/pdf', authorize('export'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await db.collection('responses').findOne(inWorkspace(req, { _id: new ObjectId(id) }), { projection: exportProjection });
+
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+        if (response.status !== 'success') {
+            return res.status(409).json({ error: 'The CV of this response could not be extracted.' });
+        }
+
+        await sendCvPdf(req, res, response);
+    } catch (error) {
+        console.error(`Error rendering CV PDF [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to reveal the identity behind an anonymized response. Every reveal is logged with who asked and why.
+app.post('/api/responses/:id/reveal', authorize('revealIdentity'), async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to reveal a candidate\'s identity.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await db.collection('responses').findOne(inWorkspace(req, { _id: new ObjectId(id) }), { projection: { base64: 0 } });
+
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+
+        const reveal = {
+            workspaceId: req.workspace._id,
+            responseId: response._id,
+            candidateId: response.candidateId || null,
+            actor: actorOf(req),
+            reason: reason.trim(),
+            revealedAt: new Date()
+        };
+        await db.collection('identityReveals').insertOne(reveal);
+
+        res.json({
+            ...formatResponse(response),
+            translations: response.translations || {},
+            revealed: { actor: reveal.actor, reason: reveal.reason, revealedAt: reveal.revealedAt }
+        });
+    } catch (error) {
+        console.error(`Error revealing response [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to list who revealed the identity behind a response, newest first
+app.get('/api/responses/:id/reveals', authorize('revealIdentity'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const reveals = await db.collection('identityReveals')
+            .find(inWorkspace(req, { responseId: new ObjectId(id) }), { projection: { _id: 0, responseId: 0, workspaceId: 0 } })
+            .sort({ revealedAt: -1 })
+            .toArray();
+
+        res.json({ total: reveals.length, results: reveals });
+    } catch (error) {
+        console.error(`Error fetching reveals [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Revision numbers in paths are whole numbers from 1; 'current' names the extraction on the record itself
+function parseRevision(value, response) {
+    if (value === 'current') return revisionOf(response);
+    const revision = Number(value);
+    return Number.isInteger(revision) && revision >= 1 ? revision : null;
+}
+
+// A stored revision of the response, or its current extraction; null when there is no such revision
+async function loadRevision(db, req, response, revision) {
+    if (revision === revisionOf(response)) return currentRevision(response);
+    return db.collection('responseRevisions').findOne(inWorkspace(req, { responseId: response._id, revision }));
+}
+
+// Blind view of a revision, redacted like the current record under the same alias
+function redactRevision(revision) {
+    const alias = aliasFor(revision.responseId);
+    return {
+        ...revision,
+        result: redactCV(revision.result, { alias }),
+        translations: revision.translations && Object.fromEntries(Object.entries(revision.translations)
+            .map(([language, translation]) => [language, redactCV(translation, { alias })])),
+        normalized: revision.normalized && { ...revision.normalized, contact: null }
+    };
+}
+
+// Endpoint to list the extractions of a response, newest first, and whether the current one was made by the
+// pipeline (prompt, model, extractor) that would process it today
+app.get('/api/responses/:id/revisions', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await db.collection('responses').findOne(inWorkspace(req, { _id: new ObjectId(id) }), { projection: { base64: 0 } });
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+
+        const revisions = await db.collection('responseRevisions')
+            .find(inWorkspace(req, { responseId: response._id }), { projection: { result: 0, translations: 0, normalized: 0, identity: 0 } })
+            .sort({ revision: -1 })
+            .toArray();
+        const pipeline = currentProcessing(workspaceSettings(req.workspace).llmModel);
+
+        res.json({
+            current: revisionOf(response),
+            upToDate: response.processing?.version === pipeline.version,
+            pipeline,
+            results: [currentRevision(response), ...revisions].map(revision => formatRevision(revision))
+        });
+    } catch (error) {
+        console.error(`Error fetching revisions [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to fetch one extraction of a response: /revisions/2 or /revisions/current
+app.get('/api/responses/:id/revisions/:revision', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await db.collection('responses').findOne(inWorkspace(req, { _id: new ObjectId(id) }), { projection: { base64: 0 } });
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+        const number = parseRevision(req.params.revision, response);
+        if (!number) {
+            return res.status(400).json({ error: 'revision must be a whole number from 1 or "current".' });
+        }
+
+        const revision = await loadRevision(db, req, response, number);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        res.json(formatRevision(isBlindView(req) ? redactRevision(revision) : revision, { includeData: true }));
+    } catch (error) {
+        console.error(`Error fetching revision [${id}/${req.params.revision}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to compare two extractions of a response: what changed from :revision to ?against= (default: current)
+app.get('/api/responses/:id/revisions/:revision/diff', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await db.collection('responses').findOne(inWorkspace(req, { _id: new ObjectId(id) }), { projection: { base64: 0 } });
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+        const baseNumber = parseRevision(req.params.revision, response);
+        const targetNumber = parseRevision(req.query.against || 'current', response);
+        if (!baseNumber || !targetNumber) {
+            return res.status(400).json({ error: 'Revisions must be whole numbers from 1 or "current".' });
+        }
+
+        const [base, target] = await Promise.all([
+            loadRevision(db, req, response, baseNumber),
+            loadRevision(db, req, response, targetNumber)
+        ]);
+        if (!base || !target) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        // The blind view compares the redacted extractions, so names and contact details don't leak through the diff
+        const blind = isBlindView(req);
+        res.json(blind ? diffRevisions(redactRevision(base), redactRevision(target)) : diffRevisions(base, target));
+    } catch (error) {
+        console.error(`Error comparing revisions [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to get a short-lived link to the original CV file, for <a href> and other places that can't send the
+// Authorization header. The link works for the signed-in principal only and runs the same checks as the download.
+app.get('/api/responses/:id/file-link', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await db.collection('responses').findOne(inWorkspace(req, { _id: new ObjectId(id) }), { projection: { _id: 1 } });
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+
+        const path = `/api/responses/${id}/file`;
+        const { signature, expiresAt } = signDownload(req, path);
+        const query = new URLSearchParams({ workspaceId: String(req.workspace._id), signature });
+        res.json({ url: `${path}?${query}`, expiresAt });
+    } catch (error) {
+        console.error(`Error creating file link [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to download the original CV file of a response (with the Authorization header or a link from /file-link)
+app.get('/api/responses/:id/file', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await db.collection('responses').findOne(inWorkspace(req, { _id: new ObjectId(id) }), { projection: { file: 1, base64: 1 } });
+
+        if (!response || (!response.file && !response.base64)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        // The original shows who the candidate is; in blind review it's only available after a logged reveal
+        if (config.privacy.blindReview && !(await db.collection('identityReveals').findOne(inWorkspace(req, { responseId: response._id })))) {
+            return res.status(403).json({ error: 'Blind review is on. Reveal the candidate\'s identity first.' });
+        }
+
+        // Records stored before GridFS keep the file inline and have no recorded type
+        if (!response.file) {
+            return res.type('application/octet-stream').send(Buffer.from(response.base64, 'base64'));
+        }
+
+        const { filename, contentType, size, sha256 } = response.file;
+        res.set({
+            'Content-Type': contentType,
+            'Content-Length': size,
+            'Content-Disposition': `inline; filename="${filename.replace(/"/g, '')}"`,
+            'ETag': `"${sha256}"`
+        });
+
+        const stream = await openFileStream(response.file.id);
+        stream.on('error', error => {
+            console.error(`Error streaming file [${id}]:`, error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: error.message });
+            } else {
+                res.destroy(error);
+            }
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error(`Error fetching file [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to describe the workspace's candidate pipeline
+app.get('/api/pipeline', authorize('read'), (req, res) => res.json(workspaceSettings(req.workspace).pipeline));
+
+// Endpoint to move a candidate to another pipeline stage
+app.put('/api/responses/:id/status', authorize('review'), async (req, res) => {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+    if (!status) {
+        return res.status(400).json({ error: 'Status is required.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const collection = db.collection('responses');
+        const response = await collection.findOne(inWorkspace(req, { _id: new ObjectId(id) }), { projection: { candidateStatus: 1 } });
+
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+
+        const transitionError = validateTransition(response.candidateStatus, status, workspaceSettings(req.workspace).pipeline);
+        if (transitionError) {
+            return res.status(400).json({ error: transitionError });
+        }
+
+        const entry = createHistoryEntry(response.candidateStatus, status, actorOf(req), reason);
+        // Match on the status we validated against so two concurrent moves cannot both succeed
+        const updated = await collection.findOneAndUpdate(
+            { _id: response._id, candidateStatus: response.candidateStatus },
+            { $set: { candidateStatus: status, statusUpdatedAt: entry.changedAt }, $push: { statusHistory: entry } },
+            { returnDocument: 'after', projection: { candidateStatus: 1, statusHistory: 1, candidateId: 1 } }
+        );
+
+        if (!updated) {
+            return res.status(409).json({ error: 'Candidate status was changed by someone else, please reload.' });
+        }
+
+        await emitEvent(db, req.workspace._id, 'candidate.status_changed', {
+            responseId: updated._id,
+            candidateId: updated.candidateId || null,
+            from: entry.from,
+            to: entry.to,
+            reason: entry.reason,
+            changedBy: entry.actor,
+            changedAt: entry.changedAt
+        });
+        res.json({ id: updated._id, candidateStatus: updated.candidateStatus, statusHistory: updated.statusHistory });
+    } catch (error) {
+        console.error(`Error updating status [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Notes, tags and scorecard ratings of a candidate; see lib/feedback.js
+const findInWorkspace = (db, req, projection) => db.collection('responses')
+    .findOne(inWorkspace(req, { _id: new ObjectId(req.params.id) }), { projection });
+
+// Endpoint to list the note threads on a candidate. In the blind view the candidate's name and contact details
+// are removed from the note text as well.
+app.get('/api/responses/:id/notes', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await findInWorkspace(db, req, { result: 1 });
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+
+        let notes = await db.collection('notes')
+            .find(inWorkspace(req, { responseId: response._id }))
+            .sort({ createdAt: 1 })
+            .toArray();
+        if (isBlindView(req)) {
+            const known = identityTerms(response.result);
+            notes = notes.map(note => ({ ...note, text: scrubText(note.text, known) }));
+        }
+
+        res.json({ total: notes.length, threads: buildThreads(notes) });
+    } catch (error) {
+        console.error(`Error fetching notes [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to add a note ({ text }) or reply to one ({ text, parentId }); replies always go to the top-level note
+app.post('/api/responses/:id/notes', authorize('review'), async (req, res) => {
+    const { id } = req.params;
+    const { text, parentId } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+    const textError = validateNoteText(text);
+    if (textError) {
+        return res.status(400).json({ error: textError });
+    }
+    if (parentId && !ObjectId.isValid(parentId)) {
+        return res.status(400).json({ error: 'Invalid parentId.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await findInWorkspace(db, req, { _id: 1 });
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+
+        let thread = null;
+        if (parentId) {
+            const parent = await db.collection('notes').findOne(inWorkspace(req, { _id: new ObjectId(parentId), responseId: response._id }));
+            if (!parent) {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            thread = parent.parentId || parent._id;
+        }
+
+        const now = new Date();
+        const note = {
+            workspaceId: req.workspace._id,
+            responseId: response._id,
+            parentId: thread,
+            text: text.trim(),
+            author: actorOf(req),
+            authorId: principalKey(req),
+            createdAt: now,
+            updatedAt: now
+        };
+        note._id = (await db.collection('notes').insertOne(note)).insertedId;
+        res.status(201).json(formatNote(note));
+    } catch (error) {
+        console.error(`Error adding note [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to edit a note; only its author can
+app.put('/api/responses/:id/notes/:noteId', authorize('review'), async (req, res) => {
+    const { id, noteId } = req.params;
+    const { text } = req.body;
+
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(noteId)) {
+        return res.status(400).json({ error: 'Invalid response or note id.' });
+    }
+    const textError = validateNoteText(text);
+    if (textError) {
+        return res.status(400).json({ error: textError });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const filter = inWorkspace(req, { _id: new ObjectId(noteId), responseId: new ObjectId(id) });
+        const note = await db.collection('notes').findOne(filter);
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+        if (note.authorId !== principalKey(req)) {
+            return res.status(403).json({ error: 'Only the author can edit a note.' });
+        }
+
+        const now = new Date();
+        const updated = await db.collection('notes').findOneAndUpdate(
+            filter,
+            { $set: { text: text.trim(), editedAt: now, updatedAt: now } },
+            { returnDocument: 'after' }
+        );
+        res.json(formatNote(updated));
+    } catch (error) {
+        console.error(`Error editing note [${id}/${noteId}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to delete a note, with its replies when it starts a thread; the author or an admin can
+app.delete('/api/responses/:id/notes/:noteId', authorize('review'), async (req, res) => {
+    const { id, noteId } = req.params;
+
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(noteId)) {
+        return res.status(400).json({ error: 'Invalid response or note id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const notes = db.collection('notes');
+        const note = await notes.findOne(inWorkspace(req, { _id: new ObjectId(noteId), responseId: new ObjectId(id) }));
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+        if (note.authorId !== principalKey(req) && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only the author or an admin can delete a note.' });
+        }
+
+        const { deletedCount } = await notes.deleteMany(inWorkspace(req, { $or: [{ _id: note._id }, { parentId: note._id }] }));
+        res.json({ id: note._id, deleted: deletedCount });
+    } catch (error) {
+        console.error(`Error deleting note [${id}/${noteId}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to list the tags used in the workspace, most used first, e.g. to offer them as filters
+app.get('/api/tags', authorize('read'), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const tags = await db.collection('responses').aggregate([
+            { $match: inWorkspace(req, { 'tags.0': { $exists: true } }) },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+        ]).toArray();
+        res.json({ total: tags.length, results: tags.map(({ _id, count }) => ({ tag: _id, count })) });
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to change a candidate's tags: { tags } replaces them all, { add, remove } edits the current set
+app.put('/api/responses/:id/tags', authorize('review'), async (req, res) => {
+    const { id } = req.params;
+    const { tags, add, remove } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+    if (tags === undefined && add === undefined && remove === undefined) {
+        return res.status(400).json({ error: 'Give tags, or add and/or remove.' });
+    }
+
+    const replace = tags !== undefined ? normalizeTags(tags) : null;
+    const added = add !== undefined ? normalizeTags(add) : { tags: [], errors: [] };
+    const removed = remove !== undefined ? normalizeTags(remove) : { tags: [], errors: [] };
+    const errors = [...(replace ? replace.errors : []), ...added.errors, ...removed.errors];
+    if (errors.length) {
+        return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const collection = db.collection('responses');
+        const response = await findInWorkspace(db, req, { tags: 1 });
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+
+        const next = replace
+            ? replace.tags
+            : [...new Set([...(response.tags || []), ...added.tags])].filter(tag => !removed.tags.includes(tag));
+        const { errors: limitErrors } = normalizeTags(next);
+        if (limitErrors.length) {
+            return res.status(400).json({ error: limitErrors.join('; ') });
+        }
+
+        await collection.updateOne({ _id: response._id }, { $set: { tags: next, tagsUpdatedAt: new Date() } });
+        res.json({ id: response._id, tags: next });
+    } catch (error) {
+        console.error(`Error updating tags [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to fetch the scorecard ratings of a candidate with their average
+app.get('/api/responses/:id/ratings', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await findInWorkspace(db, req, { ratings: 1, rating: 1, result: 1 });
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+
+        const ratings = formatRatings(response);
+        if (isBlindView(req)) {
+            const known = identityTerms(response.result);
+            ratings.ratings = ratings.ratings.map(rating => ({ ...rating, comment: scrubText(rating.comment, known) }));
+        }
+        res.json({ id: response._id, ...ratings });
+    } catch (error) {
+        console.error(`Error fetching ratings [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to set the caller's own scorecard ({ overall?, scores: { <criterion>: 1-5 }, comment? }); each reviewer has one
+app.put('/api/responses/:id/ratings/mine', authorize('review'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+    const { value, errors } = validateRating(req.body);
+    if (errors.length) {
+        return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const rating = { ...value, reviewer: actorOf(req), reviewerId: principalKey(req), ratedAt: new Date() };
+        const response = await db.collection('responses').findOneAndUpdate(
+            inWorkspace(req, { _id: new ObjectId(id) }),
+            ratingUpdate(rating.reviewerId, rating),
+            { returnDocument: 'after', projection: { ratings: 1, rating: 1 } }
+        );
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+        res.json({ id: response._id, ...formatRatings(response) });
+    } catch (error) {
+        console.error(`Error rating candidate [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to withdraw the caller's scorecard
+app.delete('/api/responses/:id/ratings/mine', authorize('review'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const response = await db.collection('responses').findOneAndUpdate(
+            inWorkspace(req, { _id: new ObjectId(id) }),
+            ratingUpdate(principalKey(req), null),
+            { returnDocument: 'after', projection: { ratings: 1, rating: 1 } }
+        );
+        if (!response) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+        res.json({ id: response._id, ...formatRatings(response) });
+    } catch (error) {
+        console.error(`Error removing rating [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint for recruiting analytics over the workspace (see lib/analytics.js). Takes the listing filters
+// (from/to, timeRange, status, candidateStatus, tags, ...) plus ?sections=a,b to compute only some sections,
+// ?interval=day|week|month and ?timezone= for the ingestion volume and ?limit= for the talent pool lists.
+app.get('/api/analytics', authorize('read'), async (req, res) => {
+    let filter;
+    try {
+        filter = inWorkspace(req, buildFilter(req.query));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const sections = req.query.sections ? String(req.query.sections).split(',').map(section => section.trim()) : ANALYTICS_SECTIONS;
+    const unknown = sections.filter(section => !ANALYTICS_SECTIONS.includes(section));
+    if (unknown.length) {
+        return res.status(400).json({ error: `Unknown section(s): ${unknown.join(', ')}. Use: ${ANALYTICS_SECTIONS.join(', ')}` });
+    }
+    const interval = req.query.interval || 'day';
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+        return res.status(400).json({ error: `interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}` });
+    }
+    const timezone = req.query.timezone || 'UTC';
+    try {
+        new Intl.DateTimeFormat('en', { timeZone: timezone });
+    } catch (error) {
+        return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    // Queue items share the date range and outcome filter; the other filters only exist on responses
+    // Reprocessing jobs run stored CVs again and aren't new ingestion volume
+    const queueFilter = inWorkspace(req, {
+        kind: { $ne: 'reprocess' },
+        ...(filter.createdAt && { createdAt: filter.createdAt }),
+        ...(filter.status && { status: filter.status })
+    });
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const analytics = await buildAnalytics(db, {
+            sections,
+            filter,
+            queueFilter,
+            workspaceId: req.workspace._id,
+            pipeline: workspaceSettings(req.workspace).pipeline,
+            interval,
+            timezone,
+            limit
+        });
+        res.json({ generatedAt: new Date(), sections, interval, timezone, ...analytics });
+    } catch (error) {
+        console.error('Error computing analytics:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to fetch recent responses with a time range (lastHour, lastDay, lastWeek, lastMonth, all) or from/to dates
+app.get('/api/recent-responses', authorize('read'), async (req, res) => {
+    try {
+        await listResponses(req, res);
+    } catch (error) {
+        console.error('Error fetching recent responses:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Match against a saved job ({ jobId, weights? }, stored as a match run) or a one-off { jobDescription, weights? } (not stored)
+app.post('/api/match-candidates', authorize('match'), async (req, res) => {
+    const { jobDescription, jobId } = req.body;
+
+    if (!jobDescription && !jobId) {
+        return res.status(400).json({ error: 'Job description or jobId is required.' });
+    }
+    if (jobId && !ObjectId.isValid(jobId)) {
+        return res.status(400).json({ error: 'Invalid job id.' });
+    }
+    const weights = validateWeights(req.body.weights || {});
+    if (weights.errors.length) {
+        return res.status(400).json({ error: weights.errors.join('; ') });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+
+        if (jobId) {
+            const job = await db.collection('jobs').findOne(inWorkspace(req, { _id: new ObjectId(jobId) }));
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+            // Weights in the request override the job's for this run only; the run records the ones it used
+            const weighted = { ...job, weights: { ...job.weights, ...weights.value } };
+            const run = await runMatching(db, weighted, matchOptions(req));
+            return res.json({ matchRunId: run._id, matchingResults: run.results, stats: run.stats });
+        }
+
+        const { results, stats } = await matchCandidates(
+            db, { description: jobDescription, weights: weights.value }, jobDescription, matchOptions(req)
+        );
+
+        res.json({ matchingResults: results, stats });
+    } catch (error) {
+        console.error('Error matching candidates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Matching runs over the request's workspace with its model. { blind: false } in the request body sends
+// the full CVs to the model for this run; blind matching is the default.
+const matchOptions = req => ({
+    workspaceId: req.workspace._id,
+    model: workspaceSettings(req.workspace).llmModel,
+    ...(typeof req.body.blind === 'boolean' && { blind: req.body.blind })
+});
+
+// Match candidates against a saved job and store the run
+async function runMatching(db, job, options) {
+    const startedAt = new Date();
+    const { results, stats } = await matchCandidates(db, job, describeJob(job), options);
+
+    const run = await createMatchRun(db, job, results, {
+        model: getModelInfo(options.model),
+        prompt: matchingPrompt,
+        stats,
+        startedAt
+    });
+    await emitEvent(db, job.workspaceId, 'match_run.completed', {
+        matchRunId: run._id,
+        jobId: job._id,
+        jobTitle: job.title,
+        resultCount: run.results.length,
+        topScore: run.results[0]?.score ?? null,
+        model: run.model
+    });
+    return run;
+}
+
+// Endpoint to create a job opening
+app.post('/api/jobs', authorize('manageJobs'), async (req, res) => {
+    try {
+        const { value, errors } = validateJob(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const now = new Date();
+        const job = { ...value, workspaceId: req.workspace._id, createdAt: now, updatedAt: now };
+        const { insertedId } = await db.collection('jobs').insertOne(job);
+        res.status(201).json(formatJob({ _id: insertedId, ...job }));
+    } catch (error) {
+        console.error('Error creating job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to list job openings, optionally filtered by ?status=open,paused
+app.get('/api/jobs', authorize('read'), async (req, res) => {
+    const filter = inWorkspace(req);
+    if (req.query.status) {
+        filter.status = { $in: String(req.query.status).split(',') };
+    }
+    const { page, pageSize } = parsePaging(req.query);
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const collection = db.collection('jobs');
+        const [jobs, total] = await Promise.all([
+            collection.find(filter).sort({ createdAt: -1 }).skip((page - 1) * pageSize).limit(pageSize).toArray(),
+            collection.countDocuments(filter)
+        ]);
+        res.json({ total, page, pageSize, results: jobs.map(formatJob) });
+    } catch (error) {
+        console.error('Error fetching jobs:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/jobs/:id', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid job id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const job = await db.collection('jobs').findOne(inWorkspace(req, { _id: new ObjectId(id) }));
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(formatJob(job));
+    } catch (error) {
+        console.error(`Error fetching job [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to update some or all fields of a job opening
+app.put('/api/jobs/:id', authorize('manageJobs'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid job id.' });
+    }
+
+    try {
+        const { value, errors } = validateJob(req.body, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const job = await db.collection('jobs').findOneAndUpdate(
+            inWorkspace(req, { _id: new ObjectId(id) }),
+            { $set: { ...value, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(formatJob(job));
+    } catch (error) {
+        console.error(`Error updating job [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to delete a job opening; its match runs are kept for reference
+app.delete('/api/jobs/:id', authorize('manageJobs'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid job id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const { deletedCount } = await db.collection('jobs').deleteOne(inWorkspace(req, { _id: new ObjectId(id) }));
+        if (!deletedCount) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error(`Error deleting job [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to match all candidates against a saved job and store the run
+app.post('/api/jobs/:id/match-runs', authorize('match'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid job id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const job = await db.collection('jobs').findOne(inWorkspace(req, { _id: new ObjectId(id) }));
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        const run = await runMatching(db, job, matchOptions(req));
+        res.status(201).json(formatMatchRun(run));
+    } catch (error) {
+        console.error(`Error running match for job [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to list the stored match runs of a job, newest first, without their results
+app.get('/api/jobs/:id/match-runs', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid job id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const runs = await db.collection('matchRuns')
+            .find(inWorkspace(req, { jobId: new ObjectId(id) }))
+            .sort({ createdAt: -1 })
+            .toArray();
+        res.json({ total: runs.length, results: runs.map(run => formatMatchRun(run, { includeResults: false })) });
+    } catch (error) {
+        console.error(`Error fetching match runs for job [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to reopen a stored shortlist
+app.get('/api/match-runs/:id', authorize('read'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid match run id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const run = await db.collection('matchRuns').findOne(inWorkspace(req, { _id: new ObjectId(id) }));
+        if (!run) {
+            return res.status(404).json({ error: 'Match run not found' });
+        }
+        res.json(formatMatchRun(run));
+    } catch (error) {
+        console.error(`Error fetching match run [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to compare two match runs candidate by candidate
+app.get('/api/match-runs/:id/compare/:otherId', authorize('read'), async (req, res) => {
+    const { id, otherId } = req.params;
+
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(otherId)) {
+        return res.status(400).json({ error: 'Invalid match run id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const collection = db.collection('matchRuns');
+        const [base, target] = await Promise.all([
+            collection.findOne(inWorkspace(req, { _id: new ObjectId(id) })),
+            collection.findOne(inWorkspace(req, { _id: new ObjectId(otherId) }))
+        ]);
+        if (!base || !target) {
+            return res.status(404).json({ error: 'Match run not found' });
+        }
+        res.json(compareMatchRuns(base, target));
+    } catch (error) {
+        console.error(`Error comparing match runs [${id}/${otherId}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Webhook subscriptions of the workspace and their delivery log; see lib/webhooks.js
+app.get('/api/webhooks', authorize('admin'), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const webhooks = await db.collection('webhooks').find(inWorkspace(req)).sort({ createdAt: -1 }).toArray();
+        res.json({ total: webhooks.length, events: WEBHOOK_EVENTS, results: webhooks.map(webhook => formatWebhook(webhook)) });
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to subscribe a URL to events ({ url, events, description? }). The signing secret is only shown in this response.
+app.post('/api/webhooks', authorize('admin'), async (req, res) => {
+    const { value, errors } = validateWebhook(req.body);
+
+    if (errors.length) {
+        return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const now = new Date();
+        const webhook = {
+            workspaceId: req.workspace._id,
+            description: '',
+            active: true,
+            ...value,
+            secret: createWebhookSecret(),
+            createdBy: actorOf(req),
+            createdAt: now,
+            updatedAt: now
+        };
+        webhook._id = (await db.collection('webhooks').insertOne(webhook)).insertedId;
+        res.status(201).json(formatWebhook(webhook, { includeSecret: true }));
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/webhooks/:id', authorize('admin'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid webhook id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const webhook = await db.collection('webhooks').findOne(inWorkspace(req, { _id: new ObjectId(id) }));
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(formatWebhook(webhook));
+    } catch (error) {
+        console.error(`Error fetching webhook [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to change a webhook ({ url?, events?, description?, active? }); { rotateSecret: true } issues a new secret
+app.put('/api/webhooks/:id', authorize('admin'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid webhook id.' });
+    }
+    const { value, errors } = validateWebhook(req.body, { partial: true });
+    if (errors.length) {
+        return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const rotateSecret = req.body.rotateSecret === true;
+        const webhook = await db.collection('webhooks').findOneAndUpdate(
+            inWorkspace(req, { _id: new ObjectId(id) }),
+            { $set: { ...value, ...(rotateSecret && { secret: createWebhookSecret() }), updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(formatWebhook(webhook, { includeSecret: rotateSecret }));
+    } catch (error) {
+        console.error(`Error updating webhook [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to delete a webhook; its pending deliveries are cancelled, the delivery log stays
+app.delete('/api/webhooks/:id', authorize('admin'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid webhook id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const { deletedCount } = await db.collection('webhooks').deleteOne(inWorkspace(req, { _id: new ObjectId(id) }));
+        if (!deletedCount) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        await db.collection('webhookDeliveries').updateMany(
+            inWorkspace(req, { webhookId: new ObjectId(id), status: 'pending' }),
+            { $set: { status: 'cancelled', reason: 'Webhook deleted' } }
+        );
+        res.json({ id, deleted: true });
+    } catch (error) {
+        console.error(`Error deleting webhook [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to list a webhook's deliveries, newest first (?status=pending|delivered|failed|cancelled, ?event=)
+app.get('/api/webhooks/:id/deliveries', authorize('admin'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid webhook id.' });
+    }
+
+    const { page, pageSize } = parsePaging(req.query);
+    const filter = inWorkspace(req, { webhookId: new ObjectId(id) });
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.event) filter.event = String(req.query.event);
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const collection = db.collection('webhookDeliveries');
+        const [deliveries, total] = await Promise.all([
+            collection.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * pageSize).limit(pageSize).toArray(),
+            collection.countDocuments(filter)
+        ]);
+        res.json({ total, page, pageSize, hasMore: page * pageSize < total, results: deliveries.map(delivery => formatDelivery(delivery)) });
+    } catch (error) {
+        console.error(`Error fetching webhook deliveries [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to fetch one delivery with its payload and every attempt
+app.get('/api/webhooks/:id/deliveries/:deliveryId', authorize('admin'), async (req, res) => {
+    const { id, deliveryId } = req.params;
+
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(deliveryId)) {
+        return res.status(400).json({ error: 'Invalid webhook or delivery id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const delivery = await db.collection('webhookDeliveries')
+            .findOne(inWorkspace(req, { _id: new ObjectId(deliveryId), webhookId: new ObjectId(id) }));
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        res.json(formatDelivery(delivery, { includePayload: true }));
+    } catch (error) {
+        console.error(`Error fetching webhook delivery [${deliveryId}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to send a delivery again, e.g. after the receiver was fixed; the replay is a new delivery
+app.post('/api/webhooks/:id/deliveries/:deliveryId/replay', authorize('admin'), async (req, res) => {
+    const { id, deliveryId } = req.params;
+
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(deliveryId)) {
+        return res.status(400).json({ error: 'Invalid webhook or delivery id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const delivery = await db.collection('webhookDeliveries')
+            .findOne(inWorkspace(req, { _id: new ObjectId(deliveryId), webhookId: new ObjectId(id) }));
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        const replay = await replayDelivery(db, delivery);
+        if (!replay) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.status(202).json(formatDelivery(replay));
+    } catch (error) {
+        console.error(`Error replaying webhook delivery [${deliveryId}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GDPR: erasure, subject access, retention and the audit log; see lib/privacy.js and lib/audit.js
+const erasureReason = req => String(req.body?.reason || req.query.reason || '').trim();
+
+// Endpoint to erase a candidate: the profile, every CV version with its original file, notes and match results.
+// This can't be undone; a reason is required and logged.
+app.delete('/api/candidates/:id', authorize('privacy'), async (req, res) => {
+    const { id } = req.params;
+    const reason = erasureReason(req);
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid candidate id.' });
+    }
+    if (!reason) {
+        return res.status(400).json({ error: 'A reason is required to erase a candidate.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const erased = await eraseCandidate(db, req.workspace._id, new ObjectId(id));
+        if (!erased) {
+            return res.status(404).json({ error: 'Candidate not found' });
+        }
+
+        await recordAudit(db, {
+            workspaceId: req.workspace._id,
+            ...auditActor(req),
+            action: 'candidate.erase',
+            kind: 'write',
+            targetId: id,
+            details: { reason, ...erased }
+        });
+        res.json({ id, erased });
+    } catch (error) {
+        console.error(`Error erasing candidate [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to erase a single response (one CV version, or an upload that failed) with its file, notes and match results
+app.delete('/api/responses/:id', authorize('privacy'), async (req, res) => {
+    const { id } = req.params;
+    const reason = erasureReason(req);
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid response id.' });
+    }
+    if (!reason) {
+        return res.status(400).json({ error: 'A reason is required to erase a response.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const erased = await eraseResponses(db, req.workspace._id, [new ObjectId(id)]);
+        if (!erased.responses) {
+            return res.status(404).json({ error: 'Response not found' });
+        }
+
+        await recordAudit(db, {
+            workspaceId: req.workspace._id,
+            ...auditActor(req),
+            action: 'response.erase',
+            kind: 'write',
+            targetId: id,
+            details: { reason, ...erased }
+        });
+        res.json({ id, erased });
+    } catch (error) {
+        console.error(`Error erasing response [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to export everything held about a candidate as JSON (subject access request); ?includeFiles=true
+// adds the original files as base64
+app.get('/api/candidates/:id/data-export', authorize('privacy'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid candidate id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const data = await collectSubjectData(db, req.workspace._id, new ObjectId(id), { includeFiles: wantsFile(req) || req.query.includeFiles === 'true' });
+        if (!data) {
+            return res.status(404).json({ error: 'Candidate not found' });
+        }
+
+        res.set('Content-Disposition', `attachment; filename="candidate-${id}-data.json"`);
+        res.json(data);
+    } catch (error) {
+        console.error(`Error exporting candidate data [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to show the workspace's retention policy and how many records are past it
+app.get('/api/retention', authorize('privacy'), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        res.json(await retentionPreview(db, req.workspace));
+    } catch (error) {
+        console.error('Error fetching retention status:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to apply the retention policy now instead of waiting for the schedule
+app.post('/api/retention/run', authorize('privacy'), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        res.json(await applyRetention(db, req.workspace, { actor: auditActor(req) }));
+    } catch (error) {
+        console.error('Error applying retention policy:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to read the audit log, newest first; filters: actor, targetId, kind (read/write), action, from, to
+app.get('/api/audit-log', authorize('privacy'), async (req, res) => {
+    const { page, pageSize } = parsePaging(req.query);
+    const filter = inWorkspace(req);
+    for (const key of ['actor', 'targetId', 'kind', 'action']) {
+        if (req.query[key]) filter[key] = String(req.query[key]);
+    }
+
+    try {
+        const at = {};
+        if (req.query.from) at.$gte = new Date(req.query.from);
+        if (req.query.to) at.$lte = new Date(req.query.to);
+        if (Object.values(at).some(date => Number.isNaN(date.getTime()))) {
+            return res.status(400).json({ error: 'from and to must be dates.' });
+        }
+        if (Object.keys(at).length) filter.at = at;
+
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const collection = db.collection('auditLog');
+        const [entries, total] = await Promise.all([
+            collection.find(filter).sort({ at: -1, _id: -1 }).skip((page - 1) * pageSize).limit(pageSize).toArray(),
+            collection.countDocuments(filter)
+        ]);
+        res.json({ total, page, pageSize, hasMore: page * pageSize < total, results: entries.map(formatAuditEntry) });
+    } catch (error) {
+        console.error('Error fetching the audit log:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// LinkedIn sign-in, step one: the URL to send the browser to. The signed state comes back with the code.
+app.get('/auth/linkedin', (req, res) => {
+    try {
+        const state = signState();
+        res.json({ url: authorizationUrl(state), state });
+    } catch (error) {
+        console.error('LinkedIn Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function formatUser(user) {
+    return {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        picture: user.picture || null,
+        disabled: Boolean(user.disabled),
+        createdAt: user.createdAt,
+        lastLoginAt: user.lastLoginAt || null
+    };
+}
+
+const issueToken = (subject, role) => ({ token: signToken(subject, role), tokenType: 'Bearer', expiresIn: config.auth.tokenTtl });
+
+// LinkedIn sign-in, step two: the frontend passes the code and state from the redirect and gets our own token.
+// Members are matched to an account by LinkedIn id or invited e-mail address; the LinkedIn token stays on the server.
+app.get('/auth/linkedin/token', async (req, res) => {
+    const { code, state } = req.query;
+
+    if (!code) {
+        return res.status(400).json({ error: 'Missing authorization code.' });
+    }
+    if (!verifyState(state)) {
+        return res.status(400).json({ error: 'Invalid or expired sign-in state. Start the sign-in again.' });
+    }
+
+    let profile;
+    try {
+        profile = await fetchProfile(code);
+    } catch (error) {
+        console.error('LinkedIn Error:', error.response?.data || error.message);
+        return res.status(502).json({ error: 'Failed to process LinkedIn request' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const users = db.collection('users');
+        const isAdmin = profile.email && config.auth.adminEmails.includes(profile.email);
+        let user = await users.findOne({ linkedinId: profile.linkedinId })
+            || (profile.email && await users.findOne({ email: profile.email, linkedinId: null }));
+
+        if (!user) {
+            if (!isAdmin && !config.auth.allowSignup) {
+                return res.status(403).json({ error: `There is no account for ${profile.email || 'this LinkedIn member'}. Ask an admin for an invitation.` });
+            }
+            user = { email: profile.email, role: isAdmin ? 'admin' : config.auth.defaultRole, disabled: false, createdAt: new Date() };
+            user._id = (await users.insertOne(user)).insertedId;
+        }
+        if (user.disabled) {
+            return res.status(403).json({ error: 'This account is disabled.' });
+        }
+
+        const update = {
+            linkedinId: profile.linkedinId,
+            name: profile.name || user.name,
+            picture: profile.picture,
+            lastLoginAt: new Date(),
+            ...(isAdmin && { role: 'admin' })
+        };
+        await users.updateOne({ _id: user._id }, { $set: update });
+        user = { ...user, ...update };
+
+        res.json({ ...issueToken(`user:${user._id}`, user.role), user: formatUser(user) });
+    } catch (error) {
+        console.error('Error signing in with LinkedIn:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Sign in with an API key: { apiKey } in, a token with the key's role out
+app.post('/auth/api-key', async (req, res) => {
+    const { apiKey } = req.body;
+
+    if (!apiKey || typeof apiKey !== 'string') {
+        return res.status(400).json({ error: 'apiKey is required.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const principal = await findApiKeyPrincipal(db, apiKey);
+        if (!principal) {
+            return res.status(401).json({ error: 'Invalid API key.' });
+        }
+        res.json({ ...issueToken(`apikey:${principal.id}`, principal.role), principal });
+    } catch (error) {
+        console.error('Error signing in with an API key:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Who the token belongs to and the workspaces it can use
+app.get('/api/me', authorize('read'), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const workspaces = await listWorkspacesFor(db, req.user);
+        res.json({ ...req.user, workspaces: workspaces.map(({ workspace, role }) => formatWorkspace(workspace, role)) });
+    } catch (error) {
+        console.error('Error fetching the current user:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to list the workspaces the caller belongs to
+app.get('/api/workspaces', authorize('read'), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const workspaces = await listWorkspacesFor(db, req.user);
+        res.json({ total: workspaces.length, results: workspaces.map(({ workspace, role }) => formatWorkspace(workspace, role)) });
+    } catch (error) {
+        console.error('Error fetching workspaces:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to create a workspace ({ name, settings: { pipeline?, llmModel? } }); account admins only
+app.post('/api/workspaces', authorizeAccountAdmin(), async (req, res) => {
+    try {
+        const { value, errors } = validateWorkspace(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const now = new Date();
+        const workspace = { ...value, createdBy: actorOf(req), createdAt: now, updatedAt: now };
+        const { insertedId } = await db.collection('workspaces').insertOne(workspace);
+        res.status(201).json(formatWorkspace({ _id: insertedId, ...workspace }, 'admin'));
+    } catch (error) {
+        console.error('Error creating workspace:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Routes below act on the workspace in the path, with the caller's role in it
+const workspaceFromPath = scopeToWorkspace(req => req.params.id);
+
+app.get('/api/workspaces/:id', workspaceFromPath, authorize('read'), (req, res) => {
+    res.json(formatWorkspace(req.workspace, req.user.role));
+});
+
+// Endpoint to rename a workspace or change its settings; a null pipeline or llmModel goes back to the defaults
+app.put('/api/workspaces/:id', workspaceFromPath, authorize('admin'), async (req, res) => {
+    try {
+        const { value, errors } = validateWorkspace(req.body, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const workspace = await db.collection('workspaces').findOneAndUpdate(
+            { _id: req.workspace._id },
+            { $set: { ...value, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        res.json(formatWorkspace(workspace, req.user.role));
+    } catch (error) {
+        console.error(`Error updating workspace [${req.params.id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to list the members of a workspace
+app.get('/api/workspaces/:id/members', workspaceFromPath, authorize('read'), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const members = await db.collection('workspaceMembers').find(inWorkspace(req)).toArray();
+        const users = await db.collection('users').find({ _id: { $in: members.map(member => member.userId) } }).toArray();
+        const byId = new Map(users.map(user => [String(user._id), user]));
+
+        res.json({
+            total: members.length,
+            results: members.filter(member => byId.has(String(member.userId))).map(member => ({
+                ...formatUser(byId.get(String(member.userId))),
+                role: member.role,
+                addedBy: member.addedBy,
+                addedAt: member.addedAt
+            }))
+        });
+    } catch (error) {
+        console.error(`Error fetching workspace members [${req.params.id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to add a user to the workspace or change their role there ({ userId or email, role })
+app.post('/api/workspaces/:id/members', workspaceFromPath, authorize('admin'), async (req, res) => {
+    const { userId, email, role } = req.body;
+
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (userId ? !ObjectId.isValid(userId) : typeof email !== 'string' || !email.trim()) {
+        return res.status(400).json({ error: 'userId or email is required.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const user = await db.collection('users').findOne(userId ? { _id: new ObjectId(userId) } : { email: email.trim().toLowerCase() });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found. Invite them first.' });
+        }
+
+        await db.collection('workspaceMembers').updateOne(
+            { workspaceId: req.workspace._id, userId: user._id },
+            { $set: { role, addedBy: actorOf(req), addedAt: new Date() } },
+            { upsert: true }
+        );
+        res.json({ ...formatUser(user), role });
+    } catch (error) {
+        console.error(`Error adding workspace member [${req.params.id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to remove a user from the workspace
+app.delete('/api/workspaces/:id/members/:userId', workspaceFromPath, authorize('admin'), async (req, res) => {
+    const { userId } = req.params;
+
+    if (!ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: 'Invalid user id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const { deletedCount } = await db.collection('workspaceMembers').deleteOne(inWorkspace(req, { userId: new ObjectId(userId) }));
+        if (!deletedCount) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        res.json({ workspaceId: req.workspace._id, removed: userId });
+    } catch (error) {
+        console.error(`Error removing workspace member [${req.params.id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to move records created before workspaces existed into this workspace; account admins only
+app.post('/api/workspaces/:id/adopt-unscoped', workspaceFromPath, authorizeAccountAdmin(), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const adopted = await adoptUnscopedRecords(db, req.workspace._id);
+        res.json({ workspaceId: req.workspace._id, adopted });
+    } catch (error) {
+        console.error(`Error adopting unscoped records [${req.params.id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to list the user accounts
+app.get('/api/users', authorizeAccountAdmin(), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const users = await db.collection('users').find().sort({ createdAt: -1 }).toArray();
+        res.json({ total: users.length, results: users.map(formatUser) });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to invite someone: the account is claimed on their first LinkedIn sign-in with this e-mail address
+app.post('/api/users', authorizeAccountAdmin(), async (req, res) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const role = req.body.role || config.auth.defaultRole;
+
+    if (!email) {
+        return res.status(400).json({ error: 'email is required.' });
+    }
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const users = db.collection('users');
+        if (await users.findOne({ email })) {
+            return res.status(409).json({ error: `There is already an account for ${email}.` });
+        }
+
+        const user = { email, name: req.body.name || '', role, linkedinId: null, disabled: false, invitedBy: actorOf(req), createdAt: new Date() };
+        user._id = (await users.insertOne(user)).insertedId;
+        res.status(201).json(formatUser(user));
+    } catch (error) {
+        console.error('Error inviting user:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to change a user's role or disable the account ({ role?, disabled? })
+app.put('/api/users/:id', authorizeAccountAdmin(), async (req, res) => {
+    const { id } = req.params;
+    const { role, disabled } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid user id.' });
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+        return res.status(400).json({ error: 'disabled must be true or false.' });
+    }
+    if (req.user.type === 'user' && req.user.id === id && (disabled || (role && role !== 'admin'))) {
+        return res.status(400).json({ error: 'You cannot demote or disable your own account.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const update = { updatedAt: new Date() };
+        if (role !== undefined) update.role = role;
+        if (disabled !== undefined) update.disabled = disabled;
+
+        const user = await db.collection('users').findOneAndUpdate(
+            { _id: new ObjectId(id) },
+            { $set: update },
+            { returnDocument: 'after' }
+        );
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(formatUser(user));
+    } catch (error) {
+        console.error(`Error updating user [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function formatApiKey(apiKey) {
+    return {
+        id: apiKey._id,
+        name: apiKey.name,
+        role: apiKey.role,
+        prefix: apiKey.prefix,
+        createdBy: apiKey.createdBy,
+        createdAt: apiKey.createdAt,
+        lastUsedAt: apiKey.lastUsedAt,
+        revokedAt: apiKey.revokedAt
+    };
+}
+
+// Endpoint to list the workspace's API keys (without the keys themselves)
+app.get('/api/api-keys', authorize('admin'), async (req, res) => {
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const apiKeys = await db.collection('apiKeys').find(inWorkspace(req)).sort({ createdAt: -1 }).toArray();
+        res.json({ total: apiKeys.length, results: apiKeys.map(formatApiKey) });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to create an API key for the workspace ({ name, role }). The key is only shown in this response.
+app.post('/api/api-keys', authorize('admin'), async (req, res) => {
+    const { name, role } = req.body;
+
+    if (!name || typeof name !== 'string') {
+        return res.status(400).json({ error: 'name is required.' });
+    }
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const { key, apiKey } = await createApiKey(db, { name: name.trim(), role, workspaceId: req.workspace._id, createdBy: actorOf(req) });
+        res.status(201).json({ ...formatApiKey(apiKey), key });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Endpoint to revoke an API key; tokens issued from it stop working right away
+app.delete('/api/api-keys/:id', authorize('admin'), async (req, res) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid API key id.' });
+    }
+
+    try {
+        const db = await connectToDatabase(); // Connect to MongoDB
+        const apiKey = await db.collection('apiKeys').findOneAndUpdate(
+            inWorkspace(req, { _id: new ObjectId(id), revokedAt: null }),
+            { $set: { revokedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found or already revoked' });
+        }
+        res.json(formatApiKey(apiKey));
+    } catch (error) {
+        console.error(`Error revoking API key [${id}]:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const ingestionProcessors = { upload: processAndNotify, reprocess: reprocessAndNotify };
+
+// Background work of the long-running server (server.js): indexes, the ingestion queue, webhook deliveries and
+// the retention schedule
+function startBackgroundWork() {
+    ensureIndexes().catch(error => console.error('Error creating indexes:', error));
+    startIngestionWorker(ingestionProcessors);
+    startWebhookWorker();
+    startRetentionSchedule();
+}
+
+// The same queues worked off in one pass that ends by `until`, for serverless deployments where nothing runs
+// between requests (netlify/functions/queue-worker.js). Resolves with how many documents and deliveries were handled.
+async function processPendingWork({ until }) {
+    const [documents, deliveries] = await Promise.all([
+        processPending(ingestionProcessors, { until }),
+        deliverPending({ until })
+    ]);
+    return { documents, deliveries };
+}
+
+module.exports = app;
+module.exports.startBackgroundWork = startBackgroundWork;
+module.exports.processPendingWork = processPendingWork;
@@ -0,0 +1,157 @@
+require('dotenv').config(); // Load environment variables from .env file
+
+const path = require('path');
+
+// Candidate pipeline: the stage a new CV starts in and, for every stage, the stages it may move to.
+// Override with CANDIDATE_PIPELINE, e.g. {"initial":"pending","transitions":{"pending":["screening"],"screening":[]}}
+const defaultPipeline = {
+    initial: 'pending',
+    transitions: {
+        pending: ['screening', 'rejected'],
+        screening: ['interview', 'rejected'],
+        interview: ['offer', 'rejected'],
+        offer: ['hired', 'rejected'],
+        hired: [],
+        rejected: []
+    }
+};
+
+function parseJsonEnv(name, fallback) {
+    const raw = process.env[name];
+    if (!raw) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+    }
+}
+
+function parseIntEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+function parseListEnv(name, fallback = []) {
+    if (!process.env[name]) return fallback;
+    return process.env[name].split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+    pipeline: parseJsonEnv('CANDIDATE_PIPELINE', defaultPipeline),
+    llm: {
+        // mistral | openai (any OpenAI-compatible endpoint, e.g. Ollama or vLLM) | mock
+        provider: process.env.LLM_PROVIDER || 'mistral',
+        model: process.env.LLM_MODEL || 'mistral-small-latest',
+        apiKey: process.env.LLM_API_KEY || process.env.MISTRAL_API_KEY,
+        baseURL: process.env.LLM_BASE_URL, // Required for self-hosted OpenAI-compatible servers
+        mockFixturesDir: process.env.LLM_MOCK_FIXTURES || path.join(__dirname, 'fixtures', 'llm'),
+        maxRetries: parseIntEnv('LLM_MAX_RETRIES', 5),
+        retryDelay: parseIntEnv('LLM_RETRY_DELAY_MS', 2000)
+    },
+    extraction: {
+        // How many times a malformed or incomplete extraction is sent back to the model with its validation errors
+        maxRepairAttempts: parseIntEnv('EXTRACTION_REPAIR_ATTEMPTS', 2),
+        // original: values as written in the CV; translated: values in outputLanguage; both: original plus a translation
+        translationMode: process.env.EXTRACTION_TRANSLATION_MODE || 'original',
+        outputLanguage: process.env.EXTRACTION_OUTPUT_LANGUAGE || 'en'
+    },
+    ocr: {
+        // Directory holding <pack>.traineddata(.gz) files (eng, aze, rus, tur, ...), e.g. from
+        // https://github.com/tesseract-ocr/tessdata_fast, so OCR never downloads anything. Unset, Tesseract
+        // downloads the packs it needs on first use and caches them in the working directory.
+        langPath: process.env.TESSERACT_LANG_PATH || null,
+        gzip: process.env.TESSERACT_LANG_GZIP !== 'false', // Whether the packs are stored as .traineddata.gz
+        // Packs used when a document comes without a language hint
+        languages: process.env.OCR_LANGUAGES || 'eng+aze+rus+tur'
+    },
+    dedupe: {
+        // What to do with a file whose exact content was uploaded before: skip (don't process it again) or flag (process and mark it)
+        exactDuplicates: process.env.DUPLICATE_FILE_POLICY || 'skip'
+    },
+    matching: {
+        shortlistSize: parseIntEnv('MATCH_SHORTLIST_SIZE', 30), // Candidates passed from the local pre-score to the model
+        batchSize: parseIntEnv('MATCH_BATCH_SIZE', 8) // Candidates per model request
+    },
+    reviews: {
+        // Scorecard criteria reviewers rate candidates on, each from 1 to 5 next to the overall rating
+        scorecardCriteria: parseListEnv('SCORECARD_CRITERIA', ['skills', 'experience', 'communication', 'culture_fit'])
+    },
+    normalization: {
+        // Canonical skill names and their synonyms; edit the file (or point this at your own) to teach new spellings
+        skillTaxonomyPath: process.env.SKILL_TAXONOMY_PATH || path.join(__dirname, 'data', 'skills.json'),
+        // Country code for phone numbers written without one ("050 123 45 67" becomes +994501234567)
+        defaultCountryCode: (process.env.PHONE_DEFAULT_COUNTRY_CODE || '994').replace(/\D/g, '')
+    },
+    upload: {
+        maxFileBytes: parseIntEnv('UPLOAD_MAX_FILE_BYTES', 10 * 1024 * 1024),
+        maxBatchBytes: parseIntEnv('UPLOAD_MAX_BATCH_BYTES', 100 * 1024 * 1024),
+        maxFiles: parseIntEnv('UPLOAD_MAX_FILES', 50)
+    },
+    auth: {
+        jwtSecret: process.env.JWT_SECRET,
+        tokenTtl: process.env.JWT_TTL || '8h',
+        // How long a link from /api/responses/:id/file-link downloads the file without the Authorization header
+        downloadLinkTtl: process.env.DOWNLOAD_LINK_TTL || '5m',
+        // Accepted by /auth/api-key as an admin key, e.g. to create the first users and API keys
+        adminApiKey: process.env.ADMIN_API_KEY,
+        // LinkedIn members with these e-mail addresses become admins on their first sign-in
+        adminEmails: parseListEnv('ADMIN_EMAILS').map(email => email.toLowerCase()),
+        // Whether LinkedIn members without an account get one (with defaultRole) or have to be invited by an admin
+        allowSignup: process.env.AUTH_ALLOW_SIGNUP === 'true',
+        defaultRole: process.env.AUTH_DEFAULT_ROLE || 'read_only',
+        linkedin: {
+            clientId: process.env.LINKEDIN_CLIENT_ID,
+            clientSecret: process.env.LINKEDIN_CLIENT_SECRET,
+            redirectUri: process.env.LINKEDIN_REDIRECT_URI
+        }
+    },
+    // Browser origins allowed to call the API; '*' allows any
+    corsOrigins: parseListEnv('CORS_ORIGINS', ['http://localhost:8080']),
+    privacy: {
+        // Send anonymized CVs to the model when matching (no names, contact details, age, gender, nationality)
+        blindMatching: process.env.BLIND_MATCHING !== 'false',
+        // Show anonymized CVs to every reviewer; identities then only come back through the logged reveal endpoint.
+        // When off, reviewers can still ask for the anonymized view with ?view=blind.
+        blindReview: process.env.BLIND_REVIEW === 'true'
+    },
+    export: {
+        // TrueType fonts for the standardized CV PDF; needed for letters outside Latin-1 (Azerbaijani, Cyrillic)
+        fontPath: process.env.PDF_FONT_PATH,
+        boldFontPath: process.env.PDF_BOLD_FONT_PATH
+    },
+    ingestion: {
+        concurrency: parseIntEnv('INGESTION_CONCURRENCY', 2), // Documents processed at the same time per server
+        leaseMs: parseIntEnv('INGESTION_LEASE_MS', 10 * 60 * 1000), // A claimed document is retried after this long without finishing
+        maxAttempts: parseIntEnv('INGESTION_MAX_ATTEMPTS', 3), // Including the first one; the document is marked failed after that
+        pollIntervalMs: parseIntEnv('INGESTION_POLL_INTERVAL_MS', 5000)
+    },
+    serverless: {
+        // How long a scheduled queue-worker run claims new documents and deliveries (Netlify stops scheduled
+        // functions after 30 seconds); what was claimed by then still finishes. A run cut short leaves its items
+        // to be retried after INGESTION_LEASE_MS.
+        workerBudgetMs: parseIntEnv('SERVERLESS_WORKER_BUDGET_MS', 10 * 1000)
+    },
+    reprocessing: {
+        // CVs one reprocessing request queues at most; with `outdated` the next request picks up the rest
+        maxPerRequest: parseIntEnv('REPROCESS_MAX_PER_REQUEST', 500)
+    },
+    webhooks: {
+        maxAttempts: parseIntEnv('WEBHOOK_MAX_ATTEMPTS', 8), // Including the first one; the delivery is marked failed after that
+        retryBaseMs: parseIntEnv('WEBHOOK_RETRY_BASE_MS', 30 * 1000), // Wait before the first retry; doubles with every attempt
+        retryMaxMs: parseIntEnv('WEBHOOK_RETRY_MAX_MS', 6 * 60 * 60 * 1000),
+        timeoutMs: parseIntEnv('WEBHOOK_TIMEOUT_MS', 10 * 1000),
+        concurrency: parseIntEnv('WEBHOOK_CONCURRENCY', 4),
+        pollIntervalMs: parseIntEnv('WEBHOOK_POLL_INTERVAL_MS', 5000),
+        // Let webhooks reach localhost and private networks, for development against a local receiver
+        allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true'
+    },
+    retention: {
+        // Candidate records untouched for this many days are anonymized or deleted; 0 keeps them forever.
+        // Workspaces can set their own period and action.
+        days: parseIntEnv('RETENTION_DAYS', 0),
+        action: process.env.RETENTION_ACTION || 'anonymize', // anonymize or delete
+        // Candidates in these pipeline stages are kept regardless of age
+        keepStatuses: parseListEnv('RETENTION_KEEP_STATUSES'),
+        intervalMs: parseIntEnv('RETENTION_INTERVAL_MS', 6 * 60 * 60 * 1000)
+    }
+};
@@ -13,4 +13,84 @@ async function connectToDatabase() {
     return db;
 }
 
-module.exports = connectToDatabase;
\ No newline at end of file
+// Indexes backing the listing, filtering and queue queries; created on startup and safe to run repeatedly
+const indexes = {
+    responses: [
+        { key: { workspaceId: 1, createdAt: -1, _id: -1 } },
+        { key: { workspaceId: 1, candidateStatus: 1, createdAt: -1 } },
+        { key: { workspaceId: 1, status: 1, createdAt: -1 } },
+        { key: { workspaceId: 1, 'result.Name': 1, _id: 1 } },
+        { key: { workspaceId: 1, 'file.sha256': 1 } },
+        { key: { candidateId: 1, createdAt: -1 } },
+        { key: { workspaceId: 1, tags: 1 } },
+        { key: { workspaceId: 1, 'rating.average': -1 } },
+        { key: { workspaceId: 1, 'normalized.skills.name': 1 } }, // Skill search by canonical name
+        { key: { workspaceId: 1, 'processing.version': 1 } }, // Finding CVs to reprocess
+        // One response per queue item, so a retried item can't store its CV twice
+        { key: { ingestionItemId: 1 }, unique: true, partialFilterExpression: { ingestionItemId: { $exists: true } } }
+    ],
+    responseRevisions: [
+        // Unique so two reprocessing runs can't both replace the same revision
+        { key: { responseId: 1, revision: 1 }, unique: true },
+        { key: { ingestionItemId: 1 }, partialFilterExpression: { ingestionItemId: { $exists: true } } }
+    ],
+    candidates: [
+        { key: { workspaceId: 1, emails: 1 } },
+        { key: { workspaceId: 1, phones: 1 } },
+        { key: { workspaceId: 1, names: 1 } },
+        { key: { possibleDuplicates: 1 } }
+    ],
+    jobs: [
+        { key: { workspaceId: 1, status: 1, createdAt: -1 } }
+    ],
+    matchRuns: [
+        { key: { workspaceId: 1, jobId: 1, createdAt: -1 } }
+    ],
+    workspaces: [
+        { key: { name: 1 } }
+    ],
+    workspaceMembers: [
+        { key: { workspaceId: 1, userId: 1 }, unique: true },
+        { key: { userId: 1 } }
+    ],
+    users: [
+        { key: { email: 1 } },
+        { key: { linkedinId: 1 } }
+    ],
+    apiKeys: [
+        { key: { hash: 1 } }
+    ],
+    notes: [
+        { key: { responseId: 1, createdAt: 1 } },
+        { key: { parentId: 1 } }
+    ],
+    webhooks: [
+        { key: { workspaceId: 1, events: 1, active: 1 } }
+    ],
+    webhookDeliveries: [
+        { key: { status: 1, nextAttemptAt: 1 } },
+        { key: { webhookId: 1, createdAt: -1 } }
+    ],
+    auditLog: [
+        { key: { workspaceId: 1, at: -1 } },
+        { key: { workspaceId: 1, targetId: 1, at: -1 } }
+    ],
+    identityReveals: [
+        { key: { responseId: 1, revealedAt: -1 } }
+    ],
+    ingestionQueue: [
+        { key: { status: 1, createdAt: 1, index: 1 } },
+        { key: { jobId: 1, index: 1 } },
+        { key: { workspaceId: 1, createdAt: 1 } }
+    ]
+};
+
+async function ensureIndexes() {
+    const database = await connectToDatabase();
+    for (const [collection, specs] of Object.entries(indexes)) {
+        await database.collection(collection).createIndexes(specs);
+    }
+}
+
+module.exports = connectToDatabase;
+module.exports.ensureIndexes = ensureIndexes;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Scores every candidate in the request from a hash of its id, so the same input always ranks the same way
+module.exports = function match(messages) {
+    const candidatesMessage = messages.find(message => message.content.startsWith('Candidates: '));
+    const candidates = candidatesMessage ? JSON.parse(candidatesMessage.content.slice('Candidates: '.length)) : [];
+
+    return candidates.map(candidate => {
+        const digest = crypto.createHash('sha256').update(String(candidate.id)).digest();
+        return {
+            candidateId: candidate.id,
+            scores: {
+                requiredSkills: digest[0] % 101,
+                niceToHaveSkills: digest[1] % 101,
+                experience: digest[2] % 101,
+                education: digest[3] % 101,
+                languages: digest[4] % 101,
+                location: digest[5] % 101
+            },
+            matchedRequirements: [],
+            missingRequirements: [],
+            reasons: 'Mock scores generated from the candidate id.'
+        };
+    });
+};
@@ -0,0 +1,4 @@
+// Returns the extracted CV unchanged, which is enough to exercise the "both" translation mode offline
+module.exports = function translate(messages) {
+    return JSON.parse(messages[messages.length - 1].content);
+};
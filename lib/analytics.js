@@ -0,0 +1,304 @@
+// Recruiting analytics for GET /api/analytics. Every section is one MongoDB aggregation, so the numbers are
+// computed next to the data instead of loading the collection into the server. Ingestion volume and per-file-type
+// outcomes come from `ingestionQueue`, which also records documents that never produced a response; the
+// rest comes from `responses`.
+
+const { canonicalSkill } = require('./normalization');
+
+const SECTIONS = ['ingestion', 'fileTypes', 'funnel', 'stageDurations', 'talentPool', 'skillGaps'];
+const INTERVALS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Highest education level found in a CV's degrees, most advanced first. Patterns cover English, Azerbaijani,
+// Russian and Turkish degree names.
+const educationLevels = [
+    ['doctorate', 'ph\\.?\\s?d|doctor|doktor|доктор|кандидат наук|aspirantura|аспирант'],
+    ['master', 'master|m\\.?\\s?sc|mba|m\\.?a\\.?\\b|magistr|магистр|yüksek lisans'],
+    ['bachelor', 'bachelor|b\\.?\\s?sc|b\\.?a\\.?\\b|b\\.?eng|bakalavr|бакалавр|lisans|специалист'],
+    ['associate', 'associate|diploma|college|kollec|колледж|техникум|ön lisans'],
+    ['secondary', 'high school|secondary|orta|школ|lise']
+];
+
+// Expression: the array at `path` as trimmed lowercase strings
+const lowercased = path => ({
+    $map: { input: { $ifNull: [path, []] }, in: { $toLower: { $trim: { input: { $toString: { $ifNull: ['$$this', ''] } } } } } }
+});
+
+// Canonical skill names from the normalized CV; records normalized before that existed fall back to the raw list
+const SKILLS = { $ifNull: ['$normalized.skills.name', '$result.Skills'] };
+
+const round = value => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+const toDays = ms => (ms === null || ms === undefined ? null : round(ms / DAY_MS));
+
+// CV ingestion volume per day, week or month, split by outcome
+function ingestionVolume(db, queueFilter, { interval, timezone }) {
+    return db.collection('ingestionQueue').aggregate([
+        { $match: queueFilter },
+        {
+            $group: {
+                _id: { period: { $dateTrunc: { date: '$createdAt', unit: interval, timezone } }, status: '$status' },
+                count: { $sum: 1 }
+            }
+        },
+        { $group: { _id: '$_id.period', total: { $sum: '$count' }, byStatus: { $push: { k: '$_id.status', v: '$count' } } } },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, period: '$_id', total: 1, byStatus: { $arrayToObject: '$byStatus' } } }
+    ]).toArray();
+}
+
+// Success and error rates per file type; duplicates that were skipped count separately
+async function fileTypeOutcomes(db, queueFilter) {
+    const rows = await db.collection('ingestionQueue').aggregate([
+        { $match: { ...queueFilter, status: { $in: ['success', 'error', 'duplicate'] } } },
+        {
+            $group: {
+                _id: { $toLower: { $ifNull: ['$fileType', 'unknown'] } },
+                total: { $sum: 1 },
+                succeeded: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] } },
+                failed: { $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] } },
+                duplicates: { $sum: { $cond: [{ $eq: ['$status', 'duplicate'] }, 1, 0] } }
+            }
+        },
+        { $sort: { total: -1 } }
+    ]).toArray();
+
+    return rows.map(({ _id, total, succeeded, failed, duplicates }) => {
+        const processed = succeeded + failed;
+        return {
+            fileType: _id,
+            total,
+            succeeded,
+            failed,
+            duplicates,
+            successRate: processed ? round(succeeded / processed) : null,
+            errorRate: processed ? round(failed / processed) : null
+        };
+    });
+}
+
+// Current count per stage, how many candidates ever reached each stage and the conversion along every
+// transition of the pipeline (moved from A to B / reached A)
+async function funnel(db, filter, pipeline) {
+    const [result] = await db.collection('responses').aggregate([
+        { $match: filter },
+        {
+            $facet: {
+                current: [{ $group: { _id: '$candidateStatus', count: { $sum: 1 } } }],
+                reached: [
+                    { $project: { stages: { $setUnion: [{ $ifNull: ['$statusHistory.to', []] }, []] } } },
+                    { $unwind: '$stages' },
+                    { $group: { _id: '$stages', count: { $sum: 1 } } }
+                ],
+                moves: [
+                    { $unwind: '$statusHistory' },
+                    { $match: { 'statusHistory.from': { $ne: null } } },
+                    { $group: { _id: { from: '$statusHistory.from', to: '$statusHistory.to', response: '$_id' } } },
+                    { $group: { _id: { from: '$_id.from', to: '$_id.to' }, count: { $sum: 1 } } }
+                ]
+            }
+        }
+    ]).toArray();
+
+    const countsOf = rows => new Map(rows.map(row => [row._id, row.count]));
+    const current = countsOf(result.current);
+    const reached = countsOf(result.reached);
+    const moves = new Map(result.moves.map(row => [`${row._id.from}>${row._id.to}`, row.count]));
+    // Stages the pipeline no longer has still show up, after the configured ones
+    const stages = [...new Set([...pipeline.stages, ...current.keys(), ...reached.keys()])].filter(Boolean);
+
+    return {
+        stages: stages.map(stage => ({ stage, current: current.get(stage) || 0, reached: reached.get(stage) || 0 })),
+        conversions: Object.entries(pipeline.transitions).flatMap(([from, targets]) => targets.map(to => {
+            const moved = moves.get(`${from}>${to}`) || 0;
+            return { from, to, moved, rate: reached.get(from) ? round(moved / reached.get(from)) : null };
+        }))
+    };
+}
+
+// Time between entering a stage and leaving it, from the status history. Stays that haven't ended yet are
+// reported separately with their age so far.
+async function stageDurations(db, filter, now = new Date()) {
+    const rows = await db.collection('responses').aggregate([
+        { $match: { ...filter, 'statusHistory.0': { $exists: true } } },
+        {
+            $project: {
+                stays: {
+                    $map: {
+                        input: { $range: [0, { $size: '$statusHistory' }] },
+                        as: 'i',
+                        in: {
+                            stage: { $arrayElemAt: ['$statusHistory.to', '$$i'] },
+                            ongoing: { $eq: ['$$i', { $subtract: [{ $size: '$statusHistory' }, 1] }] },
+                            ms: {
+                                $subtract: [
+                                    {
+                                        $cond: [
+                                            { $eq: ['$$i', { $subtract: [{ $size: '$statusHistory' }, 1] }] },
+                                            now,
+                                            { $arrayElemAt: ['$statusHistory.changedAt', { $add: ['$$i', 1] }] }
+                                        ]
+                                    },
+                                    { $arrayElemAt: ['$statusHistory.changedAt', '$$i'] }
+                                ]
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        { $unwind: '$stays' },
+        {
+            $group: {
+                _id: { stage: '$stays.stage', ongoing: '$stays.ongoing' },
+                count: { $sum: 1 },
+                averageMs: { $avg: '$stays.ms' },
+                maxMs: { $max: '$stays.ms' }
+            }
+        }
+    ]).toArray();
+
+    const byStage = new Map();
+    for (const { _id, count, averageMs, maxMs } of rows) {
+        const entry = byStage.get(_id.stage) || {
+            stage: _id.stage,
+            completed: { count: 0, averageDays: null, maxDays: null },
+            current: { count: 0, averageDays: null }
+        };
+        if (_id.ongoing) {
+            entry.current = { count, averageDays: toDays(averageMs) };
+        } else {
+            entry.completed = { count, averageDays: toDays(averageMs), maxDays: toDays(maxMs) };
+        }
+        byStage.set(_id.stage, entry);
+    }
+    return [...byStage.values()];
+}
+
+// Most common skills, languages and education levels across the successfully extracted CVs
+async function talentPool(db, filter, { limit }) {
+    const levelBranches = educationLevels.map(([level, pattern]) => ({
+        case: { $regexMatch: { input: '$$degrees', regex: pattern, options: 'i' } },
+        then: level
+    }));
+    const topValues = path => [
+        { $project: { values: { $setUnion: [lowercased(path), []] } } }, // Once per candidate
+        { $unwind: '$values' },
+        { $match: { values: { $ne: '' } } },
+        { $group: { _id: '$values', candidates: { $sum: 1 } } },
+        { $sort: { candidates: -1, _id: 1 } },
+        { $limit: limit }
+    ];
+
+    const [result] = await db.collection('responses').aggregate([
+        { $match: { ...filter, status: 'success' } },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                skills: topValues(SKILLS),
+                languages: topValues('$result.Languages.Language'),
+                education: [
+                    {
+                        $project: {
+                            level: {
+                                $let: {
+                                    vars: {
+                                        degrees: {
+                                            $reduce: {
+                                                input: { $ifNull: ['$result.Education', []] },
+                                                initialValue: '',
+                                                in: {
+                                                    $concat: ['$$value', ' ', { $toString: { $ifNull: ['$$this.Degree', ''] } }]
+                                                }
+                                            }
+                                        }
+                                    },
+                                    in: { $switch: { branches: levelBranches, default: 'unknown' } }
+                                }
+                            }
+                        }
+                    },
+                    { $group: { _id: '$level', candidates: { $sum: 1 } } },
+                    { $sort: { candidates: -1 } }
+                ]
+            }
+        }
+    ]).toArray();
+
+    const total = result.total[0]?.count || 0;
+    const withShare = rows => rows.map(({ _id, candidates }) => ({
+        value: _id,
+        candidates,
+        share: total ? round(candidates / total) : null
+    }));
+    return {
+        candidates: total,
+        skills: withShare(result.skills),
+        languages: withShare(result.languages),
+        educationLevels: withShare(result.education)
+    };
+}
+
+// For every open job: how many candidates in the pool have each required skill, compared by canonical name
+// so "JS" in a job counts candidates with "JavaScript". Skills few candidates have are the gaps to source for.
+async function skillGaps(db, filter, workspaceId) {
+    const jobs = await db.collection('jobs')
+        .find({ workspaceId, status: 'open' }, { projection: { title: 1, requirements: 1 } })
+        .toArray();
+    const keyOf = skill => (canonicalSkill(skill)?.name || skill).trim().toLowerCase();
+    const wanted = [...new Set(jobs.flatMap(job => [
+        ...(job.requirements?.mustHaveSkills || []),
+        ...(job.requirements?.niceToHaveSkills || [])
+    ]).map(keyOf).filter(Boolean))];
+    if (!wanted.length) return { candidates: 0, jobs: [] };
+
+    const [result] = await db.collection('responses').aggregate([
+        { $match: { ...filter, status: 'success' } },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                supply: [
+                    { $project: { skills: { $setIntersection: [lowercased(SKILLS), { $literal: wanted }] } } },
+                    { $unwind: '$skills' },
+                    { $group: { _id: '$skills', candidates: { $sum: 1 } } }
+                ]
+            }
+        }
+    ]).toArray();
+
+    const total = result.total[0]?.count || 0;
+    const supply = new Map(result.supply.map(row => [row._id, row.candidates]));
+    const describe = (skill, required) => {
+        const candidates = supply.get(keyOf(skill)) || 0;
+        return { skill, required, candidates, share: total ? round(candidates / total) : null };
+    };
+
+    return {
+        candidates: total,
+        jobs: jobs.map(job => ({
+            jobId: job._id,
+            title: job.title,
+            // Scarcest first; required skills before nice-to-haves on ties
+            skills: [
+                ...(job.requirements?.mustHaveSkills || []).map(skill => describe(skill, true)),
+                ...(job.requirements?.niceToHaveSkills || []).map(skill => describe(skill, false))
+            ].sort((a, b) => a.candidates - b.candidates || Number(b.required) - Number(a.required))
+        }))
+    };
+}
+
+// Runs the requested sections in parallel. `filter` applies to responses, `queueFilter` to ingestion queue items.
+async function buildAnalytics(db, options) {
+    const { sections = SECTIONS, filter, queueFilter, workspaceId, pipeline, interval = 'day', timezone = 'UTC', limit = 20 } = options;
+    const runners = {
+        ingestion: () => ingestionVolume(db, queueFilter, { interval, timezone }),
+        fileTypes: () => fileTypeOutcomes(db, queueFilter),
+        funnel: () => funnel(db, filter, pipeline),
+        stageDurations: () => stageDurations(db, filter),
+        talentPool: () => talentPool(db, filter, { limit }),
+        skillGaps: () => skillGaps(db, filter, workspaceId)
+    };
+    const results = await Promise.all(sections.map(section => runners[section]()));
+    return Object.fromEntries(sections.map((section, index) => [section, results[index]]));
+}
+
+module.exports = { SECTIONS, INTERVALS, buildAnalytics };
@@ -0,0 +1,66 @@
+const connectToDatabase = require('../db');
+const { actorOf, principalKey } = require('./auth');
+
+// Append-only record of who read or changed candidate data, kept in `auditLog`. Entries are only ever
+// inserted; nothing in the API updates or deletes them. For a stronger guarantee, give the application's
+// database user insert and find rights on this collection only.
+
+// Route paths (as declared on the app) whose requests touch candidate data
+const auditedPaths = /^\/api\/(responses|candidates|analyze-cvs|match-candidates|match-runs|jobs\/:id\/match-runs|tags)(\/|$)/;
+
+// Query parameters that never go into the log
+const hiddenQueryKeys = ['signature', 'workspaceId'];
+
+async function recordAudit(db, entry) {
+    await db.collection('auditLog').insertOne({ ...entry, at: new Date() });
+}
+
+// Who is behind a request, in the shape stored on every entry
+const auditActor = req => ({ actor: actorOf(req), actorId: principalKey(req) });
+
+// Middleware: logs every successful request to a candidate data route once the response is sent.
+// Routes that do something more specific (erasure, reveals) add their own entries with recordAudit.
+function auditCandidateAccess() {
+    return (req, res, next) => {
+        res.on('finish', () => {
+            const routePath = req.route && `${req.baseUrl}${req.route.path}`;
+            if (!routePath || !auditedPaths.test(routePath) || res.statusCode >= 400) return;
+
+            const query = Object.fromEntries(Object.entries(req.query).filter(([key]) => !hiddenQueryKeys.includes(key)));
+            const entry = {
+                workspaceId: req.workspace ? req.workspace._id : null,
+                ...auditActor(req),
+                action: `${req.method} ${routePath}`,
+                kind: req.method === 'GET' ? 'read' : 'write',
+                targetId: req.params.id || null,
+                params: req.params,
+                ...(Object.keys(query).length && { query }),
+                status: res.statusCode,
+                ip: req.ip
+            };
+
+            connectToDatabase()
+                .then(db => recordAudit(db, entry))
+                .catch(error => console.error('Audit log error:', error));
+        });
+        next();
+    };
+}
+
+function formatAuditEntry(entry) {
+    return {
+        id: entry._id,
+        at: entry.at,
+        actor: entry.actor,
+        action: entry.action,
+        kind: entry.kind,
+        targetId: entry.targetId,
+        params: entry.params,
+        query: entry.query,
+        details: entry.details,
+        status: entry.status,
+        ip: entry.ip
+    };
+}
+
+module.exports = { recordAudit, auditActor, auditCandidateAccess, formatAuditEntry };
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const connectToDatabase = require('../db');
+const config = require('../config');
+
+// Authentication and role-based access. People sign in with LinkedIn, scripts and integrations with an
+// API key; both are exchanged for a JWT that is sent as `Authorization: Bearer <token>`. Users live in the
+// `users` collection, API keys (stored as hashes) in `apiKeys`.
+
+const ROLES = ['admin', 'recruiter', 'hiring_manager', 'read_only'];
+
+// What each role may do; routes ask for a permission rather than listing roles themselves
+const permissions = {
+    read: ['admin', 'recruiter', 'hiring_manager', 'read_only'],
+    export: ['admin', 'recruiter', 'hiring_manager'],
+    upload: ['admin', 'recruiter'],
+    review: ['admin', 'recruiter', 'hiring_manager'], // Move candidates through the pipeline
+    manageCandidates: ['admin', 'recruiter'], // Merge, unmerge and dismiss duplicates
+    manageJobs: ['admin', 'recruiter', 'hiring_manager'],
+    match: ['admin', 'recruiter', 'hiring_manager'],
+    revealIdentity: ['admin', 'recruiter'],
+    privacy: ['admin'], // Erasure, subject data exports, retention and the audit log
+    admin: ['admin']
+};
+
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function jwtSecret() {
+    if (!config.auth.jwtSecret) throw new AuthError('Authentication is not configured (JWT_SECRET is missing)', 500);
+    return config.auth.jwtSecret;
+}
+
+// `subject` is 'user:<id>' or 'apikey:<id>'
+function signToken(subject, role) {
+    return jwt.sign({ role }, jwtSecret(), { subject, expiresIn: config.auth.tokenTtl });
+}
+
+// Short-lived signed value for the OAuth `state` parameter, so no server-side storage is needed
+function signState() {
+    return jwt.sign({ nonce: crypto.randomBytes(8).toString('hex') }, jwtSecret(), { expiresIn: '10m', subject: 'oauth-state' });
+}
+
+function verifyState(state) {
+    try {
+        jwt.verify(String(state || ''), jwtSecret(), { subject: 'oauth-state' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const hashApiKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// The key is only returned here; the database keeps its hash and a prefix to recognize it by.
+// A key belongs to one workspace and has its role there.
+async function createApiKey(db, { name, role, workspaceId, createdBy }) {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `cvk_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = { name, role, workspaceId, prefix, hash: hashApiKey(key), createdBy, createdAt: new Date(), lastUsedAt: null, revokedAt: null };
+    const { insertedId } = await db.collection('apiKeys').insertOne(record);
+    return { key, apiKey: { ...record, _id: insertedId } };
+}
+
+// Resolves with the principal { id, type, name, email, role } for an API key, or null when it isn't valid.
+// ADMIN_API_KEY from the configuration is accepted as an admin key, so a new installation can be set up.
+async function findApiKeyPrincipal(db, key) {
+    if (!key) return null;
+    const { adminApiKey } = config.auth;
+    const given = Buffer.from(String(key));
+    if (adminApiKey && given.length === Buffer.byteLength(adminApiKey) && crypto.timingSafeEqual(given, Buffer.from(adminApiKey))) {
+        return { id: 'config', type: 'apikey', name: 'Configured admin key', role: 'admin' };
+    }
+
+    const apiKey = await db.collection('apiKeys').findOneAndUpdate(
+        { hash: hashApiKey(key), revokedAt: null },
+        { $set: { lastUsedAt: new Date() } }
+    );
+    return apiKey && { id: String(apiKey._id), type: 'apikey', name: apiKey.name, role: apiKey.role, workspaceId: apiKey.workspaceId || null };
+}
+
+// The role is read again on every request, so role changes and disabled accounts take effect right away
+async function loadPrincipal(db, subject) {
+    const [type, id] = String(subject).split(':');
+    if (type === 'apikey') {
+        if (id === 'config') return config.auth.adminApiKey ? { id, type, name: 'Configured admin key', role: 'admin' } : null;
+        if (!ObjectId.isValid(id)) return null;
+        const apiKey = await db.collection('apiKeys').findOne({ _id: new ObjectId(id), revokedAt: null });
+        return apiKey && { id, type, name: apiKey.name, role: apiKey.role, workspaceId: apiKey.workspaceId || null };
+    }
+    if (type === 'user' && ObjectId.isValid(id)) {
+        const user = await db.collection('users').findOne({ _id: new ObjectId(id), disabled: { $ne: true } });
+        return user && { id, type, name: user.name, email: user.email, role: user.role };
+    }
+    return null;
+}
+
+// Sessions only travel in the Authorization header; a token in the URL would end up in logs and browser history
+function tokenFrom(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme && scheme.toLowerCase() === 'bearer' && token) return token;
+    return null;
+}
+
+// Links can't send headers, so a download link carries ?signature= instead: a token that is only valid for
+// GET requests to that one path, for config.auth.downloadLinkTtl, on behalf of the signed-in principal.
+// Returns { signature, expiresAt }.
+function signDownload(req, path) {
+    const signature = jwt.sign({ path }, jwtSecret(), {
+        subject: `${req.user.type}:${req.user.id}`,
+        audience: 'download',
+        expiresIn: config.auth.downloadLinkTtl
+    });
+    return { signature, expiresAt: new Date(jwt.decode(signature).exp * 1000) };
+}
+
+// Resolves the request's token to its payload; throws a JsonWebTokenError when it isn't valid for the request
+function verifyRequestToken(req) {
+    const token = tokenFrom(req);
+    if (token) {
+        const payload = jwt.verify(token, jwtSecret());
+        // Download signatures are not sessions
+        if (payload.aud) throw new jwt.JsonWebTokenError('invalid audience');
+        return payload;
+    }
+    const payload = jwt.verify(String(req.query.signature), jwtSecret(), { audience: 'download' });
+    if (req.method !== 'GET' || payload.path !== `${req.baseUrl}${req.path}`) {
+        throw new jwt.JsonWebTokenError('signature is for another request');
+    }
+    return payload;
+}
+
+// Middleware: sets req.user from the bearer token (or a download link's signature) or answers 401.
+// Paths in `publicPaths` pass without a token.
+function authenticate({ publicPaths = [] } = {}) {
+    return async (req, res, next) => {
+        if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) return next();
+
+        if (!tokenFrom(req) && !req.query.signature) return res.status(401).json({ error: 'Authentication required.' });
+
+        let principal;
+        try {
+            const payload = verifyRequestToken(req);
+            const db = await connectToDatabase(); // Connect to MongoDB
+            principal = await loadPrincipal(db, payload.sub);
+        } catch (error) {
+            if (error instanceof jwt.JsonWebTokenError) {
+                const expired = tokenFrom(req) ? 'Session expired.' : 'Download link expired.';
+                return res.status(401).json({ error: error instanceof jwt.TokenExpiredError ? expired : 'Invalid token.' });
+            }
+            console.error('Authentication error:', error);
+            return res.status(error.status || 500).json({ error: error.message });
+        }
+
+        if (!principal) return res.status(401).json({ error: 'This account or API key is no longer active.' });
+        req.user = principal;
+        next();
+    };
+}
+
+// Middleware for a single route: 403 unless the signed-in role has the permission
+function authorize(permission) {
+    const roles = permissions[permission];
+    if (!roles) throw new Error(`Unknown permission "${permission}"`);
+    return (req, res, next) => {
+        if (!req.user) return res.status(401).json({ error: 'Authentication required.' });
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({ error: `The ${req.user.role} role is not allowed to do this.` });
+        }
+        next();
+    };
+}
+
+// Middleware for account-wide administration (users, creating workspaces, adopting unscoped records):
+// only user accounts with the admin account role and the configured admin key. A workspace API key's role
+// only holds inside its workspace, so even an admin key of a workspace is refused here.
+function authorizeAccountAdmin() {
+    return (req, res, next) => {
+        if (!req.user) return res.status(401).json({ error: 'Authentication required.' });
+        const accountRole = req.user.accountRole !== undefined ? req.user.accountRole : req.user.role;
+        if (req.user.id !== 'config' && !(req.user.type === 'user' && accountRole === 'admin')) {
+            return res.status(403).json({ error: 'Only account admins can do this.' });
+        }
+        next();
+    };
+}
+
+// Who did something, for status history, merge history and reveal logs
+const actorOf = req => (req.user ? req.user.email || `${req.user.type}:${req.user.name || req.user.id}` : 'anonymous');
+
+// Stable id of the signed-in principal, for records that belong to whoever wrote them (notes, ratings)
+const principalKey = req => (req.user ? `${req.user.type}:${req.user.id}` : null);
+
+module.exports = {
+    ROLES,
+    permissions,
+    AuthError,
+    signToken,
+    signDownload,
+    signState,
+    verifyState,
+    createApiKey,
+    findApiKeyPrincipal,
+    authenticate,
+    authorize,
+    authorizeAccountAdmin,
+    actorOf,
+    principalKey
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+
+// Candidate profiles group the `responses` that belong to the same person. Every response gets a
+// `candidateId`; a new CV joins an existing profile when its email or phone matches, and only
+// sharing a name puts the profiles on the review list instead of linking them.
+
+const EMAIL = /[^\s@<>()[\],;:"]+@[^\s@<>()[\],;:"]+\.[a-z]{2,}/gi;
+const PHONE = /\+?\d[\d\s().-]{6,}\d/g;
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+function normalizeEmail(email) {
+    return String(email).trim().toLowerCase().replace(/^mailto:/, '');
+}
+
+// Compare on the last nine digits so "+994 50 123 45 67" and "050-123-45-67" are the same number
+function normalizePhone(phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.length < 7) return null;
+    return digits.length > 9 ? digits.slice(-9) : digits;
+}
+
+// "Doe, Jane" and "JANE DOE" become "doe jane"
+function normalizeName(name) {
+    if (typeof name !== 'string') return null;
+    const tokens = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .split(/[^\p{L}]+/u).filter(Boolean).sort();
+    return tokens.length >= 2 ? tokens.join(' ') : null;
+}
+
+// Normalized identity signals of an extracted CV
+function identityOf(result = {}) {
+    const contact = result.ContactInformation;
+    const contactText = contact && typeof contact === 'object' ? Object.values(contact).join(' ') : String(contact || '');
+    const emails = (contactText.match(EMAIL) || []).map(normalizeEmail);
+    const phones = (contactText.replace(EMAIL, ' ').match(PHONE) || []).map(normalizePhone).filter(Boolean);
+    return {
+        emails: [...new Set(emails)],
+        phones: [...new Set(phones)],
+        name: normalizeName(result.Name)
+    };
+}
+
+// An earlier successfully processed response in the workspace built from byte-identical file content
+function findExactDuplicate(db, hash, workspaceId) {
+    return db.collection('responses').findOne(
+        { workspaceId, 'file.sha256': hash, status: 'success' },
+        { projection: { _id: 1, candidateId: 1 } }
+    );
+}
+
+// Attach a freshly stored response to a profile in its workspace and resolve with { candidateId, linkedBy, possibleDuplicates }.
+// Profiles are never matched across workspaces, even for the same e-mail address.
+async function linkToCandidate(db, responseId, identity, workspaceId) {
+    const candidates = db.collection('candidates');
+    const now = new Date();
+
+    const strong = [];
+    if (identity.emails.length) strong.push({ emails: { $in: identity.emails } });
+    if (identity.phones.length) strong.push({ phones: { $in: identity.phones } });
+    const existing = strong.length ? await candidates.find({ workspaceId, $or: strong }).sort({ createdAt: 1 }).limit(1).next() : null;
+
+    let candidateId;
+    let linkedBy = null;
+    if (existing) {
+        candidateId = existing._id;
+        linkedBy = identity.emails.some(email => existing.emails.includes(email)) ? 'email' : 'phone';
+    } else {
+        ({ insertedId: candidateId } = await candidates.insertOne({
+            workspaceId,
+            names: [], emails: [], phones: [], possibleDuplicates: [], dismissedDuplicates: [], mergeHistory: [],
+            createdAt: now, updatedAt: now
+        }));
+    }
+
+    await db.collection('responses').updateOne({ _id: responseId }, { $set: { candidateId, linkedBy } });
+    await refreshCandidate(db, candidateId);
+
+    // Same name but no shared contact details: let a recruiter decide
+    let possibleDuplicates = [];
+    if (identity.name) {
+        const namesakes = await candidates.find(
+            { workspaceId, _id: { $ne: candidateId }, names: identity.name },
+            { projection: { _id: 1 } }
+        ).toArray();
+        possibleDuplicates = namesakes.map(namesake => namesake._id);
+        if (possibleDuplicates.length) {
+            await flagPossibleDuplicates(db, candidateId, possibleDuplicates);
+        }
+    }
+
+    return { candidateId, linkedBy, possibleDuplicates };
+}
+
+async function flagPossibleDuplicates(db, candidateId, otherIds) {
+    const candidates = db.collection('candidates');
+    const profile = await candidates.findOne({ _id: candidateId }, { projection: { dismissedDuplicates: 1 } });
+    const dismissed = (profile?.dismissedDuplicates || []).map(String);
+    const fresh = otherIds.filter(id => !dismissed.includes(String(id)));
+    if (!fresh.length) return;
+
+    await candidates.updateOne({ _id: candidateId }, { $addToSet: { possibleDuplicates: { $each: fresh } } });
+    await candidates.updateMany({ _id: { $in: fresh } }, { $addToSet: { possibleDuplicates: candidateId } });
+}
+
+// Recompute a profile's identity from its responses; profiles left without responses are removed
+async function refreshCandidate(db, candidateId) {
+    const candidates = db.collection('candidates');
+    const versions = await db.collection('responses')
+        .find({ candidateId }, { projection: { identity: 1, createdAt: 1 } })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+    if (!versions.length) {
+        await candidates.deleteOne({ _id: candidateId });
+        await candidates.updateMany({ possibleDuplicates: candidateId }, { $pull: { possibleDuplicates: candidateId } });
+        return null;
+    }
+
+    const collect = key => [...new Set(versions.flatMap(version => [].concat(version.identity?.[key] || [])).filter(Boolean))];
+    return candidates.findOneAndUpdate({ _id: candidateId }, {
+        $set: {
+            names: collect('name'),
+            emails: collect('emails'),
+            phones: collect('phones'),
+            latestResponseId: versions[0]._id,
+            versionCount: versions.length,
+            updatedAt: new Date()
+        }
+    }, { returnDocument: 'after' });
+}
+
+// Move every response of `sourceIds` into `targetId` and drop the emptied profiles
+async function mergeCandidates(db, targetId, sourceIds, actor) {
+    const responses = await db.collection('responses')
+        .find({ candidateId: { $in: sourceIds } }, { projection: { _id: 1 } })
+        .toArray();
+    const responseIds = responses.map(response => response._id);
+
+    await db.collection('responses').updateMany(
+        { _id: { $in: responseIds } },
+        { $set: { candidateId: targetId, linkedBy: 'merge' } }
+    );
+    await db.collection('candidates').updateOne({ _id: targetId }, {
+        $pull: { possibleDuplicates: { $in: sourceIds } },
+        $push: { mergeHistory: { action: 'merge', candidateIds: sourceIds, responseIds, actor: actor || 'anonymous', at: new Date() } }
+    });
+    for (const sourceId of sourceIds) {
+        await refreshCandidate(db, sourceId);
+    }
+    return refreshCandidate(db, targetId);
+}
+
+// Split the given responses off `candidateId` into a new profile of their own
+async function unmergeCandidate(db, candidateId, responseIds, actor) {
+    const now = new Date();
+    const source = await db.collection('candidates').findOne({ _id: candidateId }, { projection: { workspaceId: 1 } });
+    const { insertedId: newCandidateId } = await db.collection('candidates').insertOne({
+        workspaceId: source && source.workspaceId,
+        names: [], emails: [], phones: [], possibleDuplicates: [],
+        // Don't suggest linking them again right after a recruiter separated them
+        dismissedDuplicates: [candidateId],
+        mergeHistory: [{ action: 'unmerge', candidateIds: [candidateId], responseIds, actor: actor || 'anonymous', at: now }],
+        createdAt: now, updatedAt: now
+    });
+
+    await db.collection('responses').updateMany(
+        { _id: { $in: responseIds }, candidateId },
+        { $set: { candidateId: newCandidateId, linkedBy: 'unmerge' } }
+    );
+    await db.collection('candidates').updateOne({ _id: candidateId }, {
+        $addToSet: { dismissedDuplicates: newCandidateId },
+        $push: { mergeHistory: { action: 'unmerge', candidateIds: [newCandidateId], responseIds, actor: actor || 'anonymous', at: now } }
+    });
+
+    const [original, separated] = [await refreshCandidate(db, candidateId), await refreshCandidate(db, newCandidateId)];
+    return { original, separated };
+}
+
+// Mark two profiles as different people so they leave the review list
+async function dismissDuplicate(db, candidateId, otherId) {
+    const candidates = db.collection('candidates');
+    await candidates.updateOne({ _id: candidateId }, { $pull: { possibleDuplicates: otherId }, $addToSet: { dismissedDuplicates: otherId } });
+    await candidates.updateOne({ _id: otherId }, { $pull: { possibleDuplicates: candidateId }, $addToSet: { dismissedDuplicates: candidateId } });
+}
+
+module.exports = {
+    EMAIL,
+    normalizeEmail,
+    sha256,
+    identityOf,
+    findExactDuplicate,
+    linkToCandidate,
+    refreshCandidate,
+    mergeCandidates,
+    unmergeCandidate,
+    dismissDuplicate
+};
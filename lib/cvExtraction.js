@@ -0,0 +1,70 @@
+const { complete } = require('./llm');
+const { SCHEMA_VERSION, validateCV } = require('./cvSchema');
+const config = require('../config');
+
+// Asking the model for a structured CV (an extraction or a translation of one) and checking its answer
+// against the CV schema before anything is stored.
+
+// Validate the model's answer against the CV schema. Malformed or incomplete output is sent back
+// to the model together with the validation errors until it passes or the repair attempts run out.
+async function completeAndValidate(messages, { task, model }) {
+    const { maxRepairAttempts } = config.extraction;
+
+    for (let attempt = 0; ; attempt++) {
+        const content = await complete(messages, { task, model });
+
+        let check;
+        try {
+            check = validateCV(cleanAIResponse(content));
+        } catch (error) {
+            check = { value: {}, valid: false, errors: [error.message], warnings: [] };
+        }
+
+        if (check.valid || attempt >= maxRepairAttempts) {
+            return {
+                result: check.value,
+                validation: {
+                    valid: check.valid,
+                    schemaVersion: SCHEMA_VERSION,
+                    attempts: attempt + 1,
+                    errors: check.errors,
+                    warnings: check.warnings
+                }
+            };
+        }
+
+        console.warn(`${task} failed validation (attempt ${attempt + 1}), asking for a repair:`, check.errors);
+        messages.push(
+            { role: 'assistant', content },
+            { role: 'user', content: buildRepairPrompt(check.errors) }
+        );
+    }
+}
+
+function buildRepairPrompt(errors) {
+    return `Your previous answer did not match the required format. Fix these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+Return the complete corrected JSON object with all required keys and nothing else.`;
+}
+
+function cleanAIResponse(responseContent) {
+    let cleanContent = responseContent.trim();
+    const jsonStart = cleanContent.indexOf('{');
+    const jsonEnd = cleanContent.lastIndexOf('}') + 1;
+    if (jsonStart !== -1 && jsonEnd !== 0) {
+        cleanContent = cleanContent.substring(jsonStart, jsonEnd);
+    } else {
+        throw new Error(`Failed to find JSON in AI response: ${cleanContent}`);
+    }
+
+    // Replace problematic characters
+    cleanContent = cleanContent.replace(/[\u0000-\u001F\u007F-\u009F]/g, '');
+
+    try {
+        return JSON.parse(cleanContent);
+    } catch (error) {
+        throw new Error(`${error} + Failed to parse AI response: ${cleanContent}`);
+    }
+}
+
+module.exports = { completeAndValidate, buildRepairPrompt, cleanAIResponse };
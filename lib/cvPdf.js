@@ -0,0 +1,175 @@
+const fs = require('fs');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const config = require('../config');
+
+// Renders an extracted CV (`result`) as a PDF with the same layout for every candidate
+
+const PAGE = { width: 595.28, height: 841.89, margin: 50 }; // A4 in points
+const COLORS = { text: rgb(0.1, 0.1, 0.1), muted: rgb(0.4, 0.4, 0.4), accent: rgb(0.13, 0.33, 0.6) };
+
+// The standard PDF fonts only cover Latin-1. A TrueType font with wider coverage (e.g. DejaVu Sans or Noto Sans)
+// keeps Azerbaijani and Cyrillic text intact; without one, letters outside the font lose their accents or become "?".
+async function loadFonts(pdf) {
+    const { fontPath, boldFontPath } = config.export;
+    if (fontPath) {
+        pdf.registerFontkit(require('@pdf-lib/fontkit'));
+        const regular = await pdf.embedFont(fs.readFileSync(fontPath), { subset: true });
+        const bold = boldFontPath ? await pdf.embedFont(fs.readFileSync(boldFontPath), { subset: true }) : regular;
+        return { regular, bold, unicode: true };
+    }
+    return {
+        regular: await pdf.embedFont(StandardFonts.Helvetica),
+        bold: await pdf.embedFont(StandardFonts.HelveticaBold),
+        unicode: false
+    };
+}
+
+function makeSanitizer(fonts) {
+    if (fonts.unicode) return value => value;
+    const supported = new Set(fonts.regular.getCharacterSet());
+    return value => Array.from(value, char => {
+        if (supported.has(char.codePointAt(0))) return char;
+        const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        return base && Array.from(base).every(part => supported.has(part.codePointAt(0))) ? base : '?';
+    }).join('');
+}
+
+// Plain text for the free-form fields (Certifications, Projects, ...), which may hold strings or objects
+function describe(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'object') return String(value).trim();
+    if (Array.isArray(value)) return value.map(describe).filter(Boolean).join('; ');
+    return Object.values(value).map(describe).filter(Boolean).join(' - ');
+}
+
+const joinParts = (parts, separator) => parts.map(describe).filter(Boolean).join(separator);
+
+// Tracks the cursor on the current page and starts a new page when the next line doesn't fit
+function createWriter(pdf, fonts, sanitize) {
+    const contentWidth = PAGE.width - PAGE.margin * 2;
+    let page;
+    let y;
+
+    function newPage() {
+        page = pdf.addPage([PAGE.width, PAGE.height]);
+        y = PAGE.height - PAGE.margin;
+    }
+
+    function ensureSpace(height) {
+        if (!page || y - height < PAGE.margin) newPage();
+    }
+
+    function wrap(text, font, size, width) {
+        const lines = [];
+        for (const paragraph of text.split(/\r?\n/)) {
+            let line = '';
+            for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && font.widthOfTextAtSize(candidate, size) > width) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            }
+            if (line) lines.push(line);
+        }
+        return lines;
+    }
+
+    function text(value, { size = 10, bold = false, color = COLORS.text, indent = 0, gap = 2 } = {}) {
+        const content = sanitize(describe(value));
+        if (!content) return;
+        const font = bold ? fonts.bold : fonts.regular;
+        for (const line of wrap(content, font, size, contentWidth - indent)) {
+            ensureSpace(size + gap);
+            y -= size;
+            page.drawText(line, { x: PAGE.margin + indent, y, size, font, color });
+            y -= gap;
+        }
+    }
+
+    function heading(title) {
+        ensureSpace(40); // Keep a heading together with at least its first lines
+        y -= 10;
+        text(title.toUpperCase(), { size: 11, bold: true, color: COLORS.accent });
+        page.drawLine({
+            start: { x: PAGE.margin, y: y - 1 },
+            end: { x: PAGE.width - PAGE.margin, y: y - 1 },
+            thickness: 0.5,
+            color: COLORS.accent
+        });
+        y -= 6;
+    }
+
+    const space = height => { y -= height; };
+
+    return { text, heading, space };
+}
+
+function writeSection(writer, title, entries, writeEntry) {
+    const items = (Array.isArray(entries) ? entries : [entries]).filter(entry => describe(entry));
+    if (!items.length) return;
+    writer.heading(title);
+    items.forEach(entry => writeEntry(entry));
+}
+
+// Resolves with the PDF bytes. `details` adds the candidate status and the generation date to the footer.
+async function renderCvPdf(result, details = {}) {
+    const cv = result || {};
+    const pdf = await PDFDocument.create();
+    const fonts = await loadFonts(pdf);
+    const sanitize = makeSanitizer(fonts);
+    const writer = createWriter(pdf, fonts, sanitize);
+    pdf.setTitle(sanitize(cv.Name ? `${cv.Name} - CV` : 'CV'));
+    pdf.setCreator('cvibes');
+
+    writer.text(cv.Name || 'Unnamed candidate', { size: 20, bold: true, gap: 6 });
+    const contact = cv.ContactInformation || {};
+    writer.text(joinParts([contact.Email, contact.Phone, contact.Address], '  |  '), { color: COLORS.muted });
+    writer.text(joinParts([contact.LinkedIn, contact.Other], '  |  '), { color: COLORS.muted });
+
+    writeSection(writer, 'Summary', cv.Summary, summary => writer.text(summary));
+
+    writeSection(writer, 'Work experience', cv.WorkExperience, role => {
+        writer.text(joinParts([role.JobTitle, role.Company], ' - '), { bold: true });
+        writer.text(role.Duration, { size: 9, color: COLORS.muted });
+        writer.text(role.Description, { indent: 10 });
+        writer.space(6);
+    });
+
+    writeSection(writer, 'Education', cv.Education, entry => {
+        writer.text(joinParts([entry.Degree, entry.FieldOfStudy], ', '), { bold: true });
+        writer.text(joinParts([entry.Institution, entry.Dates], ' - '), { color: COLORS.muted });
+        writer.space(4);
+    });
+
+    if (Array.isArray(cv.Skills) && cv.Skills.length) {
+        writer.heading('Skills');
+        writer.text(cv.Skills.map(describe).filter(Boolean).join(', '));
+    }
+
+    writeSection(writer, 'Languages', cv.Languages, entry => {
+        writer.text(entry.Proficiency ? `${describe(entry.Language)} - ${describe(entry.Proficiency)}` : entry.Language);
+    });
+    writeSection(writer, 'Certifications', cv.Certifications, entry => writer.text(`• ${describe(entry)}`));
+    writeSection(writer, 'Projects', cv.Projects, entry => writer.text(`• ${describe(entry)}`));
+    writeSection(writer, 'Achievements', cv.Achievements, entry => writer.text(`• ${describe(entry)}`));
+    writeSection(writer, 'Other details', cv.OtherDetails, entry => writer.text(entry));
+
+    // Footer on every page once the page count is known
+    const pages = pdf.getPages();
+    const footer = joinParts([
+        details.candidateStatus && `Status: ${details.candidateStatus}`,
+        `Generated ${new Date().toISOString().slice(0, 10)}`
+    ], '  |  ');
+    pages.forEach((page, index) => {
+        page.drawText(sanitize(`${footer}  |  Page ${index + 1} of ${pages.length}`), {
+            x: PAGE.margin, y: PAGE.margin / 2, size: 8, font: fonts.regular, color: COLORS.muted
+        });
+    });
+
+    return pdf.save();
+}
+
+module.exports = { renderCvPdf };
@@ -0,0 +1,143 @@
+// Shape of the structured CV the extraction prompt asks for. Every top-level key is required;
+// nested properties are optional and only coerced when present.
+const SCHEMA_VERSION = 1;
+
+const text = { type: 'string' };
+
+const cvSchema = {
+    type: 'object',
+    properties: {
+        Name: text,
+        ContactInformation: {
+            type: 'object',
+            fromString: 'Other', // "john@x.com, Baku" becomes { Other: 'john@x.com, Baku' }
+            properties: { Email: text, Phone: text, Address: text, LinkedIn: text, Other: text }
+        },
+        Summary: text,
+        Education: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fromString: 'Institution',
+                properties: { Institution: text, Degree: text, FieldOfStudy: text, Dates: text }
+            }
+        },
+        WorkExperience: {
+            type: 'array',
+            items: {
+                type: 'object',
+                fromString: 'Description',
+                properties: { JobTitle: text, Company: text, Duration: text, Description: text }
+            }
+        },
+        Skills: { type: 'array', items: text, flattenObject: true },
+        Certifications: { type: 'array', items: { type: 'any' } },
+        Languages: {
+            type: 'array',
+            items: { type: 'object', fromString: 'Language', properties: { Language: text, Proficiency: text } }
+        },
+        Projects: { type: 'array', items: { type: 'any' } },
+        Achievements: { type: 'array', items: { type: 'any' } },
+        OtherDetails: { type: 'any' }
+    }
+};
+
+function emptyValue(schema) {
+    if (schema.type === 'array') return [];
+    if (schema.type === 'object') return {};
+    return '';
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Walks the value against the schema, fixing what can be fixed without guessing (null -> empty,
+// numbers -> strings, a lone string -> one-item array, Skills grouped by category -> flat list)
+// and recording what cannot as errors
+function coerce(value, schema, path, report) {
+    if (schema.type === 'any') return value;
+
+    if (value === null || value === undefined) {
+        return emptyValue(schema);
+    }
+
+    const actual = typeOf(value);
+
+    if (schema.type === 'string') {
+        if (actual === 'string') return value.trim();
+        if (actual === 'number' || actual === 'boolean') {
+            report.warnings.push(`${path}: converted ${actual} to string`);
+            return String(value);
+        }
+        if (actual === 'array' && value.every(item => typeof item === 'string')) {
+            report.warnings.push(`${path}: joined array into string`);
+            return value.join(', ');
+        }
+        report.errors.push(`${path}: expected a string, got ${actual}`);
+        return '';
+    }
+
+    if (schema.type === 'array') {
+        if (actual === 'array') {
+            return value.map((item, i) => coerce(item, schema.items, `${path}[${i}]`, report));
+        }
+        if (actual === 'string') {
+            if (!value.trim()) return [];
+            report.warnings.push(`${path}: wrapped string in an array`);
+            return [coerce(value, schema.items, `${path}[0]`, report)];
+        }
+        if (actual === 'object' && schema.flattenObject) {
+            report.warnings.push(`${path}: flattened categories into a single list`);
+            const flattened = Object.values(value).flatMap(group => (Array.isArray(group) ? group : [group]));
+            return flattened.map((item, i) => coerce(item, schema.items, `${path}[${i}]`, report));
+        }
+        report.errors.push(`${path}: expected an array, got ${actual}`);
+        return [];
+    }
+
+    if (schema.type === 'object') {
+        if (actual === 'string' && schema.fromString) {
+            return { [schema.fromString]: value.trim() };
+        }
+        if (actual !== 'object') {
+            report.errors.push(`${path}: expected an object, got ${actual}`);
+            return {};
+        }
+        const result = { ...value };
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in value) {
+                result[key] = coerce(value[key], propertySchema, path ? `${path}.${key}` : key, report);
+            }
+        }
+        return result;
+    }
+
+    return value;
+}
+
+// Returns { value, valid, errors, warnings }. `value` is the coerced CV and is safe to store even when invalid.
+function validateCV(parsed) {
+    const report = { errors: [], warnings: [] };
+
+    if (typeOf(parsed) !== 'object') {
+        report.errors.push(`Expected a JSON object at the top level, got ${typeOf(parsed)}`);
+        return { value: {}, valid: false, ...report };
+    }
+
+    for (const key of Object.keys(cvSchema.properties)) {
+        if (!(key in parsed)) {
+            report.errors.push(`${key}: missing`);
+        }
+    }
+
+    const value = coerce(parsed, cvSchema, '', report);
+    for (const key of Object.keys(cvSchema.properties)) {
+        if (!(key in value)) value[key] = emptyValue(cvSchema.properties[key]);
+    }
+
+    return { value, valid: report.errors.length === 0, ...report };
+}
+
+module.exports = { SCHEMA_VERSION, cvSchema, validateCV };
@@ -0,0 +1,89 @@
+// Parsing of the free-text date ranges the model copies from CVs ("Jan 2020 - present", "2016-2018",
+// "03/2019 – 11/2021") and the years of experience they add up to
+
+const months = {
+    jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3, may: 4, jun: 5, june: 5,
+    jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8, september: 8, oct: 9, october: 9,
+    nov: 10, november: 10, dec: 11, december: 11
+};
+
+const PRESENT = /^(present|current|now|today|ongoing|till now|to date|halen|h[aə]l[aə]|настоящее время|по настоящее время|сейчас|günümüz|devam ediyor)$/i;
+
+// Parses one side of a range into { year, month } (month is 0-based, null when only the year is known)
+function parsePoint(text) {
+    const value = text.trim().replace(/[.,]$/, '');
+    if (!value) return null;
+    if (PRESENT.test(value)) return { present: true };
+
+    let match = value.match(/^(\d{1,2})[./-](\d{4})$/); // 03/2019, 03.2019
+    if (match) return { year: Number(match[2]), month: Math.min(Math.max(Number(match[1]) - 1, 0), 11) };
+
+    match = value.match(/^(\d{4})[./-](\d{1,2})(?:[./-]\d{1,2})?$/); // 2019-03, 2019-03-01
+    if (match) return { year: Number(match[1]), month: Math.min(Math.max(Number(match[2]) - 1, 0), 11) };
+
+    match = value.match(/^([a-z]+)\.?\s+(\d{4})$/i); // Jan 2019, January 2019
+    if (match && months[match[1].toLowerCase()] !== undefined) {
+        return { year: Number(match[2]), month: months[match[1].toLowerCase()] };
+    }
+
+    match = value.match(/^(\d{4})$/);
+    if (match) return { year: Number(match[1]), month: null };
+
+    return null;
+}
+
+// Returns { start, end, current, precision } with Dates, or null when the text isn't a recognizable range.
+// `precision` tells whether each side was given to the month or only the year ({ start: 'year', end: 'month' }).
+function parseDateRange(text, now = new Date()) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+
+    // Prefer spaced separators so the hyphens inside "2019-03 - 2020-01" stay put
+    let parts = text.split(/\s+(?:-|–|—|to|till|until)\s+/i);
+    if (parts.length === 1) parts = text.split(/(?<=\d)\s*[-–—]\s*(?=[a-z\d])/i);
+    const start = parsePoint(parts[0]);
+    const end = parts.length > 1 ? parsePoint(parts[parts.length - 1]) : start;
+    if (!start || start.present || !end) return null;
+
+    const startDate = new Date(Date.UTC(start.year, start.month ?? 0, 1));
+    // A bare year as the end of a range means "until the end of that year"
+    const endDate = end.present
+        ? now
+        : new Date(Date.UTC(end.year, end.month ?? 11, 28));
+
+    if (endDate < startDate) return null;
+    const precisionOf = point => (point.present ? null : point.month === null ? 'year' : 'month');
+    return { start: startDate, end: endDate, current: Boolean(end.present), precision: { start: precisionOf(start), end: precisionOf(end) } };
+}
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+function yearsBetween(start, end) {
+    return (end - start) / MS_PER_YEAR;
+}
+
+// Total years covered by the ranges, counting overlapping periods once
+function totalYears(ranges) {
+    const sorted = ranges.filter(Boolean).slice().sort((a, b) => a.start - b.start);
+    let total = 0;
+    let current = null;
+
+    for (const range of sorted) {
+        if (current && range.start <= current.end) {
+            if (range.end > current.end) current.end = range.end;
+            continue;
+        }
+        if (current) total += yearsBetween(current.start, current.end);
+        current = { start: range.start, end: range.end };
+    }
+    if (current) total += yearsBetween(current.start, current.end);
+
+    return Math.round(total * 10) / 10;
+}
+
+// Years of experience across an extracted WorkExperience array
+function yearsOfExperience(workExperience, now = new Date()) {
+    if (!Array.isArray(workExperience)) return 0;
+    return totalYears(workExperience.map(role => parseDateRange(role && role.Duration, now)));
+}
+
+module.exports = { parseDateRange, yearsBetween, totalYears, yearsOfExperience };
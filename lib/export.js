@@ -0,0 +1,102 @@
+const ExcelJS = require('exceljs');
+const { parseDateRange, yearsOfExperience } = require('./experience');
+
+// Flattened candidate rows for handing lists to people outside the tool, written as CSV or XLSX
+
+const text = value => (value === undefined || value === null ? '' : String(value).trim());
+const joinParts = (parts, separator) => parts.map(text).filter(Boolean).join(separator);
+
+// The role with the latest end date (current roles first); CVs usually list it first, so that is the fallback
+function latestRole(workExperience) {
+    if (!Array.isArray(workExperience) || !workExperience.length) return null;
+    const now = new Date();
+    let latest = null;
+    let latestEnd = null;
+    for (const role of workExperience) {
+        const range = parseDateRange(role && role.Duration, now);
+        if (range && (!latestEnd || range.end > latestEnd)) {
+            latest = role;
+            latestEnd = range.end;
+        }
+    }
+    return latest || workExperience[0];
+}
+
+const describeEducation = education => (Array.isArray(education) ? education : [])
+    .map(entry => joinParts([joinParts([entry.Degree, entry.FieldOfStudy], ', '), entry.Institution, entry.Dates], ' - '))
+    .filter(Boolean)
+    .join('; ');
+
+const describeLanguages = languages => (Array.isArray(languages) ? languages : [])
+    .map(entry => (entry.Proficiency ? `${text(entry.Language)} (${text(entry.Proficiency)})` : text(entry.Language)))
+    .filter(Boolean)
+    .join('; ');
+
+const columns = [
+    { key: 'id', header: 'ID', width: 26, value: response => text(response._id) },
+    { key: 'name', header: 'Name', width: 28, value: response => text(response.result.Name) },
+    { key: 'email', header: 'Email', width: 30, value: response => text(response.result.ContactInformation.Email) },
+    { key: 'phone', header: 'Phone', width: 18, value: response => text(response.result.ContactInformation.Phone) },
+    { key: 'location', header: 'Address', width: 24, value: response => text(response.result.ContactInformation.Address) },
+    { key: 'linkedIn', header: 'LinkedIn', width: 30, value: response => text(response.result.ContactInformation.LinkedIn) },
+    { key: 'latestRole', header: 'Latest role', width: 28, value: response => text((latestRole(response.result.WorkExperience) || {}).JobTitle) },
+    { key: 'latestCompany', header: 'Latest company', width: 24, value: response => text((latestRole(response.result.WorkExperience) || {}).Company) },
+    { key: 'yearsOfExperience', header: 'Years of experience', width: 12, value: response => yearsOfExperience(response.result.WorkExperience) },
+    { key: 'skills', header: 'Skills', width: 50, value: response => (response.result.Skills || []).map(text).filter(Boolean).join('; ') },
+    { key: 'education', header: 'Education', width: 50, value: response => describeEducation(response.result.Education) },
+    { key: 'languages', header: 'Languages', width: 30, value: response => describeLanguages(response.result.Languages) },
+    { key: 'candidateStatus', header: 'Candidate status', width: 16, value: response => text(response.candidateStatus) },
+    { key: 'status', header: 'Extraction status', width: 14, value: response => text(response.status) },
+    { key: 'candidateId', header: 'Candidate ID', width: 26, value: response => text(response.candidateId) },
+    { key: 'createdAt', header: 'Created at', width: 22, value: response => (response.createdAt ? new Date(response.createdAt).toISOString() : '') }
+];
+
+// Fields the export reads, so the listing query doesn't load the stored originals
+const exportProjection = { result: 1, status: 1, candidateStatus: 1, candidateId: 1, createdAt: 1 };
+
+function toRow(response) {
+    // Failed extractions may have no result at all; export them with empty columns
+    const result = response.result || {};
+    const normalized = { ...response, result: { ...result, ContactInformation: result.ContactInformation || {} } };
+    return Object.fromEntries(columns.map(column => [column.key, column.value(normalized)]));
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas, so they are prefixed with a quote
+function csvCell(value) {
+    let cell = text(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+const csvLine = values => `${values.map(csvCell).join(',')}\r\n`;
+
+// Streams the rows of a MongoDB cursor as CSV. The BOM makes Excel read the file as UTF-8.
+async function writeCsv(cursor, output) {
+    output.write(`\uFEFF${csvLine(columns.map(column => column.header))}`);
+    for await (const response of cursor) {
+        const row = toRow(response);
+        output.write(csvLine(columns.map(column => row[column.key])));
+    }
+    output.end();
+}
+
+async function writeXlsx(cursor, output) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Candidates', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(({ key, header, width }) => ({ key, header, width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const response of cursor) {
+        sheet.addRow(toRow(response)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+}
+
+const formats = {
+    csv: { contentType: 'text/csv; charset=utf-8', write: writeCsv },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: writeXlsx }
+};
+
+module.exports = { formats, columns, exportProjection, toRow, latestRole };
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const pdfParse = require('pdf-parse');
+const Tesseract = require('tesseract.js');
+const mammoth = require('mammoth');
+const textract = require('textract');
+const sharp = require('sharp');
+const { PDFDocument, PDFName, PDFRawStream, PDFDict, PDFArray } = require('pdf-lib');
+const config = require('../config');
+
+// Text extraction for every supported CV format. .doc and .rtf go through textract, which needs the
+// `antiword` and `unrtf` binaries installed on the server; everything else runs in-process.
+
+// Bump when a change here can change the text extracted from the same file; stamped on every processed CV
+// so stored extractions made with an older extractor can be found and reprocessed
+const EXTRACTOR_VERSION = 1;
+
+const textractMimeTypes = {
+    doc: 'application/msword',
+    rtf: 'application/rtf',
+    odt: 'application/vnd.oasis.opendocument.text',
+    html: 'text/html',
+    htm: 'text/html'
+};
+
+// Resolves with { text, ocrLanguages }, where ocrLanguages names the Tesseract packs used, or null when no OCR ran.
+// `ocrLanguages` in the options overrides the configured packs, e.g. 'aze+eng' for a CV known to be Azerbaijani.
+async function extractText(buffer, fileType, { ocrLanguages = config.ocr.languages } = {}) {
+    const ocr = { languages: ocrLanguages, used: false };
+    const text = await extractByType(buffer, fileType.toLowerCase(), ocr);
+    return { text, ocrLanguages: ocr.used ? ocr.languages : null };
+}
+
+async function extractByType(buffer, fileType, ocr) {
+    switch (fileType) {
+        case 'pdf': return extractTextFromPDF(buffer, ocr);
+        case 'docx': return extractTextFromDocx(buffer);
+        case 'doc': case 'rtf': case 'odt': case 'html': case 'htm':
+            return extractWithTextract(buffer, textractMimeTypes[fileType]);
+        case 'txt': return buffer.toString('utf8').replace(/^\uFEFF/, '');
+        case 'png': case 'jpg': case 'jpeg': case 'webp': return extractTextFromImage(buffer, ocr);
+        case 'tif': case 'tiff': return extractTextFromTiff(buffer, ocr);
+        default: throw new Error('Unsupported file type');
+    }
+}
+
+const isBlank = text => !text || !text.replace(/\s+/g, '');
+
+async function extractTextFromPDF(buffer, ocr) {
+    let text = '';
+    try {
+        const data = await pdfParse(buffer);
+        text = data.text;
+    } catch (error) {
+        console.error('Error extracting PDF text:', error);
+    }
+
+    // No text layer: most likely a scan, so OCR the page images instead
+    if (isBlank(text)) {
+        const pages = await extractPDFPageImages(buffer);
+        const pageTexts = [];
+        for (const image of pages) {
+            pageTexts.push(await extractTextFromImage(image, ocr));
+        }
+        text = pageTexts.join('\n\n');
+    }
+    return text;
+}
+
+async function extractTextFromDocx(buffer) {
+    try {
+        const { value } = await mammoth.extractRawText({ buffer });
+        return value;
+    } catch (error) {
+        console.error('Error extracting DOCX text:', error);
+        return '';
+    }
+}
+
+function extractWithTextract(buffer, mimeType) {
+    return new Promise((resolve, reject) => {
+        textract.fromBufferWithMime(mimeType, buffer, { preserveLineBreaks: true }, (error, text) => {
+            if (error) reject(error);
+            else resolve(text || '');
+        });
+    });
+}
+
+// With a local pack directory, packs missing from it are left out (with a warning) as long as one is there
+function localPacks(languages) {
+    const { langPath, gzip } = config.ocr;
+    const packs = languages.split('+');
+    const available = packs.filter(pack => fs.existsSync(path.join(langPath, `${pack}.traineddata${gzip ? '.gz' : ''}`)));
+    if (!available.length) {
+        throw new Error(`Tesseract language data not found in ${langPath}: ${packs.join(', ')}`);
+    }
+    if (available.length < packs.length) {
+        console.warn(`Tesseract language data missing in ${langPath}: ${packs.filter(pack => !available.includes(pack)).join(', ')}`);
+    }
+    return available.join('+');
+}
+
+async function extractTextFromImage(buffer, ocr) {
+    const { langPath, gzip } = config.ocr;
+    if (!langPath) {
+        ocr.used = true;
+        const { data: { text } } = await Tesseract.recognize(buffer, ocr.languages);
+        return text;
+    }
+
+    ocr.languages = localPacks(ocr.languages);
+    ocr.used = true;
+    // Read the packs from the local directory only, and don't write cached copies next to the app
+    const { data: { text } } = await Tesseract.recognize(buffer, ocr.languages, { langPath, gzip, cacheMethod: 'none' });
+    return text;
+}
+
+// Every page of a (possibly multi-page) TIFF is converted to PNG and recognized separately
+async function extractTextFromTiff(buffer, ocr) {
+    const { pages = 1 } = await sharp(buffer).metadata();
+    const pageTexts = [];
+    for (let page = 0; page < pages; page++) {
+        const png = await sharp(buffer, { page }).png().toBuffer();
+        pageTexts.push(await extractTextFromImage(png, ocr));
+    }
+    return pageTexts.join('\n\n');
+}
+
+// Scanned PDFs carry each page as one embedded image. Pull the largest image of every page out as a
+// JPEG or PNG that Tesseract can read. Pages drawn only with vector paths have no image to OCR.
+async function extractPDFPageImages(buffer) {
+    let pdf;
+    try {
+        pdf = await PDFDocument.load(buffer, { ignoreEncryption: true });
+    } catch (error) {
+        console.error('Error reading PDF for OCR:', error);
+        return [];
+    }
+
+    const images = [];
+    for (const page of pdf.getPages()) {
+        const resources = page.node.Resources();
+        const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+        if (!xObjects) continue;
+
+        let largest = null;
+        for (const ref of xObjects.values()) {
+            const stream = pdf.context.lookup(ref);
+            if (!(stream instanceof PDFRawStream) || stream.dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')) continue;
+            const width = stream.dict.lookup(PDFName.of('Width'))?.asNumber() || 0;
+            const height = stream.dict.lookup(PDFName.of('Height'))?.asNumber() || 0;
+            if (!largest || width * height > largest.width * largest.height) {
+                largest = { stream, width, height };
+            }
+        }
+
+        if (largest) {
+            try {
+                const image = await decodePDFImage(largest.stream, largest.width, largest.height);
+                if (image) images.push(image);
+            } catch (error) {
+                console.error('Error decoding PDF page image:', error);
+            }
+        }
+    }
+    return images;
+}
+
+// Only the encodings scanners actually produce are handled: JPEG as is, and Flate-compressed
+// 8-bit RGB/gray or 1-bit black-and-white pixels, which are re-encoded as PNG
+async function decodePDFImage(stream, width, height) {
+    const filterObject = stream.dict.lookup(PDFName.of('Filter'));
+    const filters = filterObject instanceof PDFArray
+        ? filterObject.asArray().map(name => name.toString())
+        : filterObject ? [filterObject.toString()] : [];
+
+    if (filters.length === 1 && filters[0] === '/DCTDecode') {
+        return Buffer.from(stream.contents);
+    }
+    if (filters.length !== 1 || filters[0] !== '/FlateDecode') {
+        return null;
+    }
+
+    const pixels = zlib.inflateSync(Buffer.from(stream.contents));
+    const bitsPerComponent = stream.dict.lookup(PDFName.of('BitsPerComponent'))?.asNumber() || 8;
+    const colorSpace = String(stream.dict.lookup(PDFName.of('ColorSpace')));
+
+    if (bitsPerComponent === 1) {
+        // Expand packed bits (rows are padded to whole bytes) into one gray byte per pixel
+        const rowBytes = Math.ceil(width / 8);
+        const gray = Buffer.alloc(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const bit = (pixels[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+                gray[y * width + x] = bit ? 255 : 0;
+            }
+        }
+        return sharp(gray, { raw: { width, height, channels: 1 } }).png().toBuffer();
+    }
+
+    if (bitsPerComponent !== 8) return null;
+    const channels = colorSpace === '/DeviceRGB' ? 3 : colorSpace === '/DeviceGray' ? 1 : null;
+    if (!channels || pixels.length < width * height * channels) return null;
+    return sharp(pixels.subarray(0, width * height * channels), { raw: { width, height, channels } }).png().toBuffer();
+}
+
+module.exports = { EXTRACTOR_VERSION, extractText, isBlank };
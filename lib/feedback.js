@@ -0,0 +1,132 @@
+const config = require('../config');
+
+// The team's opinion of a candidate, kept next to the extracted CV. Notes and their replies live in the
+// `notes` collection (one document per note, `parentId` pointing at the thread it answers). Tags and
+// scorecard ratings are stored on the `responses` record itself, so the listing and search routes can filter on them.
+
+const MAX_NOTE_LENGTH = 5000;
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 40;
+const RATING_MIN = 1;
+const RATING_MAX = 5;
+
+function validateNoteText(text) {
+    if (typeof text !== 'string' || !text.trim()) return 'text is required';
+    if (text.length > MAX_NOTE_LENGTH) return `text must be at most ${MAX_NOTE_LENGTH} characters`;
+    return null;
+}
+
+// "Relocation OK" and "relocation-ok" are the same tag
+const normalizeTag = tag => String(tag).trim().toLowerCase().replace(/[\s_]+/g, '-').replace(/[^\p{L}\p{N}-]/gu, '').replace(/-{2,}/g, '-');
+
+// Resolves with { tags, errors }; accepts an array or a comma-separated string
+function normalizeTags(input) {
+    const errors = [];
+    const values = Array.isArray(input) ? input : typeof input === 'string' ? input.split(',') : null;
+    if (!values) return { tags: [], errors: ['tags must be an array of strings'] };
+
+    const tags = [...new Set(values.map(normalizeTag).filter(Boolean))];
+    const tooLong = tags.filter(tag => tag.length > MAX_TAG_LENGTH);
+    if (tooLong.length) errors.push(`tags must be at most ${MAX_TAG_LENGTH} characters: ${tooLong.join(', ')}`);
+    if (tags.length > MAX_TAGS) errors.push(`a candidate can have at most ${MAX_TAGS} tags`);
+    return { tags, errors };
+}
+
+const isRating = value => Number.isInteger(value) && value >= RATING_MIN && value <= RATING_MAX;
+
+// A reviewer's scorecard: { overall, scores: { <criterion>: 1-5 }, comment }. Criteria come from the
+// configuration; the overall rating defaults to the rounded average of the criteria that were scored.
+function validateRating(input = {}) {
+    const errors = [];
+    const criteria = config.reviews.scorecardCriteria;
+    const scores = {};
+
+    if (input.scores !== undefined && (typeof input.scores !== 'object' || input.scores === null || Array.isArray(input.scores))) {
+        errors.push('scores must be an object');
+    } else {
+        for (const [criterion, score] of Object.entries(input.scores || {})) {
+            if (!criteria.includes(criterion)) {
+                errors.push(`Unknown criterion "${criterion}". Use one of: ${criteria.join(', ')}`);
+            } else if (!isRating(score)) {
+                errors.push(`scores.${criterion} must be a whole number from ${RATING_MIN} to ${RATING_MAX}`);
+            } else {
+                scores[criterion] = score;
+            }
+        }
+    }
+
+    let overall = input.overall;
+    if (overall === undefined || overall === null) {
+        const given = Object.values(scores);
+        overall = given.length ? Math.round(given.reduce((sum, score) => sum + score, 0) / given.length) : null;
+    }
+    if (!isRating(overall)) {
+        errors.push(`overall must be a whole number from ${RATING_MIN} to ${RATING_MAX} (or give scores to average)`);
+    }
+
+    if (input.comment !== undefined && typeof input.comment !== 'string') {
+        errors.push('comment must be a string');
+    }
+
+    return { value: { overall, scores, comment: (input.comment || '').trim() }, errors };
+}
+
+// Update pipeline that replaces the reviewer's rating (or adds it) and refreshes the summary used for filtering.
+// The rating goes in through $literal so a comment starting with "$" isn't read as a field path.
+function ratingUpdate(reviewerId, rating) {
+    const others = { $filter: { input: { $ifNull: ['$ratings', []] }, cond: { $ne: ['$$this.reviewerId', reviewerId] } } };
+    return [
+        { $set: { ratings: rating ? { $concatArrays: [others, [{ $literal: rating }]] } : others } },
+        {
+            $set: {
+                rating: {
+                    average: { $cond: [{ $gt: [{ $size: '$ratings' }, 0] }, { $round: [{ $avg: '$ratings.overall' }, 2] }, null] },
+                    count: { $size: '$ratings' }
+                }
+            }
+        }
+    ];
+}
+
+function formatNote(note) {
+    return {
+        id: note._id,
+        parentId: note.parentId || null,
+        text: note.text,
+        author: note.author,
+        createdAt: note.createdAt,
+        editedAt: note.editedAt || null
+    };
+}
+
+// Top-level notes, oldest first, each with its replies
+function buildThreads(notes) {
+    const threads = notes.filter(note => !note.parentId).map(note => ({ ...formatNote(note), replies: [] }));
+    const byId = new Map(threads.map(thread => [String(thread.id), thread]));
+    for (const note of notes) {
+        if (note.parentId) byId.get(String(note.parentId))?.replies.push(formatNote(note));
+    }
+    return threads;
+}
+
+function formatRatings(response) {
+    return {
+        criteria: config.reviews.scorecardCriteria,
+        average: response.rating?.average ?? null,
+        count: response.rating?.count || 0,
+        ratings: (response.ratings || []).map(({ reviewerId, ...rating }) => rating)
+    };
+}
+
+module.exports = {
+    RATING_MIN,
+    RATING_MAX,
+    validateNoteText,
+    normalizeTag,
+    normalizeTags,
+    validateRating,
+    ratingUpdate,
+    formatNote,
+    buildThreads,
+    formatRatings
+};
@@ -0,0 +1,45 @@
+// Detects a file's real type from its leading bytes instead of trusting the name or the client.
+// Returns one of the extractText() types, or null when the content isn't a supported format.
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = text => [...Buffer.from(text, 'latin1')];
+
+const SUPPORTED_TYPES = ['pdf', 'docx', 'doc', 'rtf', 'odt', 'txt', 'html', 'png', 'jpg', 'tiff', 'webp'];
+
+function detectFileType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+
+    if (startsWith(buffer, ascii('%PDF-'))) return 'pdf';
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpg';
+    if (startsWith(buffer, ascii('II*\0')) || startsWith(buffer, ascii('MM\0*'))) return 'tiff';
+    if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'webp';
+    if (startsWith(buffer, ascii('{\\rtf'))) return 'rtf';
+    // OLE compound file: legacy Word documents (Excel and PowerPoint share the container and fail later in extraction)
+    if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'doc';
+
+    // DOCX and ODT are ZIP archives; tell them apart from other ZIPs by the parts they must contain
+    if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+        if (buffer.includes('word/document.xml')) return 'docx';
+        if (buffer.includes('mimetypeapplication/vnd.oasis.opendocument.text')) return 'odt';
+        return null;
+    }
+
+    return detectText(buffer);
+}
+
+// Plain text or HTML: no NUL bytes and (almost) nothing that fails to decode as UTF-8
+function detectText(buffer) {
+    const sample = buffer.subarray(0, 8192);
+    if (sample.includes(0)) return null;
+
+    const text = sample.toString('utf8');
+    const invalid = (text.match(/\uFFFD/g) || []).length;
+    if (invalid > text.length / 100) return null;
+
+    const head = text.replace(/^\uFEFF/, '').trimStart().slice(0, 512).toLowerCase();
+    if (head.startsWith('<!doctype html') || head.startsWith('<html') || /<body[\s>]/.test(text.toLowerCase())) return 'html';
+    return 'txt';
+}
+
+module.exports = { SUPPORTED_TYPES, detectFileType };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { GridFSBucket } = require('mongodb');
+const connectToDatabase = require('../db');
+
+// Original CV files are kept in the `cvFiles` GridFS bucket; `responses` only references them
+const BUCKET_NAME = 'cvFiles';
+
+const contentTypes = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    doc: 'application/msword',
+    rtf: 'application/rtf',
+    odt: 'application/vnd.oasis.opendocument.text',
+    txt: 'text/plain; charset=utf-8',
+    html: 'text/html; charset=utf-8',
+    htm: 'text/html; charset=utf-8',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    webp: 'image/webp'
+};
+
+function contentTypeFor(fileType) {
+    return contentTypes[String(fileType).toLowerCase()] || 'application/octet-stream';
+}
+
+async function getBucket() {
+    const db = await connectToDatabase();
+    return new GridFSBucket(db, { bucketName: BUCKET_NAME });
+}
+
+// Upload a file and resolve with the metadata stored on the response record
+async function storeFile(buffer, { fileType, filename, workspaceId }) {
+    const bucket = await getBucket();
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const contentType = contentTypeFor(fileType);
+    const name = filename || `cv-${sha256.slice(0, 12)}.${String(fileType).toLowerCase()}`;
+
+    const upload = bucket.openUploadStream(name, { metadata: { contentType, fileType, sha256, workspaceId } });
+    await new Promise((resolve, reject) => {
+        upload.once('finish', resolve);
+        upload.once('error', reject);
+        upload.end(buffer);
+    });
+
+    return { id: upload.id, filename: name, contentType, size: buffer.length, sha256 };
+}
+
+async function openFileStream(fileId) {
+    const bucket = await getBucket();
+    return bucket.openDownloadStream(fileId);
+}
+
+async function readFile(fileId) {
+    const stream = await openFileStream(fileId);
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+async function deleteFile(fileId) {
+    const bucket = await getBucket();
+    await bucket.delete(fileId);
+}
+
+// Base64 of a response's original file; records from before GridFS still carry it inline
+async function readFileAsBase64(response) {
+    if (response.file) {
+        return (await readFile(response.file.id)).toString('base64');
+    }
+    return response.base64;
+}
+
+module.exports = { contentTypeFor, storeFile, openFileStream, readFile, readFileAsBase64, deleteFile };
@@ -0,0 +1,248 @@
+const { EventEmitter } = require('events');
+const connectToDatabase = require('../db');
+const config = require('../config');
+
+// Ingestion jobs live in `ingestionJobs` (one per batch, with counters) and `ingestionQueue` (one per
+// document, holding the payload until it is processed). Workers claim queue items with a lease, so
+// several server instances can share a queue and a crashed worker's items are picked up again.
+// A job is either an upload of new documents or a reprocessing of stored CVs (`kind`: 'upload' | 'reprocess');
+// reprocessing items carry { responseId } instead of a file.
+// An item whose processing keeps failing (a crash, or an error after the CV was stored) is given up on after
+// config.ingestion.maxAttempts claims. Processors get the queue item id and key what they store by it, so a
+// retried item finds its earlier result instead of storing the CV a second time.
+
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open progress stream
+
+let processors = null;
+let active = 0;
+let draining = false;
+
+// The job and its documents belong to the workspace they were uploaded to
+async function createIngestionJob(documents, { workspaceId, kind = 'upload' }) {
+    const db = await connectToDatabase();
+    const now = new Date();
+
+    const { insertedId: jobId } = await db.collection('ingestionJobs').insertOne({
+        workspaceId,
+        kind,
+        status: 'queued',
+        total: documents.length,
+        processed: 0,
+        succeeded: 0,
+        skipped: 0,
+        failed: 0,
+        createdAt: now,
+        updatedAt: now
+    });
+
+    if (documents.length) {
+        await db.collection('ingestionQueue').insertMany(documents.map((doc, index) => ({
+            workspaceId,
+            jobId,
+            kind,
+            index,
+            status: 'queued',
+            fileType: doc.fileType,
+            document: doc,
+            attempts: 0,
+            createdAt: now
+        })));
+    } else {
+        await finishJob(db, jobId);
+    }
+
+    drain();
+    return jobId;
+}
+
+async function getIngestionJob(jobId, workspaceId) {
+    const db = await connectToDatabase();
+    const job = await db.collection('ingestionJobs').findOne({ _id: jobId, workspaceId });
+    if (!job) return null;
+
+    const documents = await db.collection('ingestionQueue')
+        .find({ jobId }, { projection: { document: 0, jobId: 0, workspaceId: 0 } })
+        .sort({ index: 1 })
+        .toArray();
+
+    return { ...formatJob(job), documents: documents.map(formatItem) };
+}
+
+function formatJob(job) {
+    return {
+        id: job._id,
+        kind: job.kind || 'upload',
+        status: job.status,
+        total: job.total,
+        processed: job.processed,
+        succeeded: job.succeeded,
+        skipped: job.skipped,
+        failed: job.failed,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        completedAt: job.completedAt
+    };
+}
+
+function formatItem(item) {
+    return {
+        index: item.index,
+        status: item.status,
+        fileType: item.fileType,
+        attempts: item.attempts,
+        responseId: item.responseId,
+        duplicateOf: item.duplicateOf,
+        error: item.error,
+        startedAt: item.startedAt,
+        finishedAt: item.finishedAt
+    };
+}
+
+// `kinds` maps each job kind to its processor, `(doc, index, db, { workspaceId, queueItemId }) => outcome`.
+// Processors resolve with { status: 'success' | 'duplicate' | 'error', ... } and do not throw.
+function startIngestionWorker(kinds) {
+    processors = kinds;
+    const timer = setInterval(drain, config.ingestion.pollIntervalMs);
+    timer.unref(); // Don't keep the process alive just for polling
+    drain();
+}
+
+async function drain() {
+    if (!processors || draining) return;
+    draining = true;
+    try {
+        const db = await connectToDatabase();
+        while (active < config.ingestion.concurrency) {
+            const item = await claimNext(db);
+            if (!item) break;
+            active++;
+            processItem(db, item).finally(() => {
+                active--;
+                drain();
+            });
+        }
+    } catch (error) {
+        console.error('Ingestion worker error:', error);
+    } finally {
+        draining = false;
+    }
+}
+
+// One pass for deployments without a long-running server (see netlify/functions/queue-worker.js): processes
+// queued items with the `kinds` processors, `concurrency` at a time, until the queue is empty or the `until`
+// timestamp has passed. Items still running then finish; resolves with how many items were processed.
+async function processPending(kinds, { until }) {
+    const db = await connectToDatabase();
+    let processed = 0;
+    while (Date.now() < until) {
+        const items = [];
+        while (items.length < config.ingestion.concurrency) {
+            const item = await claimNext(db);
+            if (!item) break;
+            items.push(item);
+        }
+        if (!items.length) break;
+        await Promise.all(items.map(item => processItem(db, item, kinds)));
+        processed += items.length;
+    }
+    return processed;
+}
+
+async function claimNext(db) {
+    const now = new Date();
+    return db.collection('ingestionQueue').findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued' },
+                { status: 'processing', leaseExpiresAt: { $lt: now } }
+            ]
+        },
+        {
+            $set: { status: 'processing', startedAt: now, leaseExpiresAt: new Date(now.getTime() + config.ingestion.leaseMs) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { createdAt: 1, index: 1 }, returnDocument: 'after' }
+    );
+}
+
+async function processItem(db, item, kinds = processors) {
+    const jobs = db.collection('ingestionJobs');
+    const queue = db.collection('ingestionQueue');
+
+    try {
+        await jobs.updateOne({ _id: item.jobId, status: 'queued' }, { $set: { status: 'processing', updatedAt: new Date() } });
+        emit(item.jobId, { type: 'document', index: item.index, status: 'processing' });
+
+        let outcome;
+        if (item.payloadErasedAt) {
+            // The candidate was erased or anonymized while the item was unfinished (see privacy.js)
+            outcome = { status: 'error', error: 'The document was erased before processing finished' };
+        } else if (item.attempts > config.ingestion.maxAttempts) {
+            outcome = { status: 'error', error: `Processing failed ${config.ingestion.maxAttempts} times; giving up` };
+        } else {
+            outcome = await kinds[item.kind || 'upload'](item.document, item.index, db, { workspaceId: item.workspaceId, queueItemId: item._id });
+        }
+        const counter = { success: 'succeeded', duplicate: 'skipped' }[outcome.status] || 'failed';
+
+        // Drop the payload once processed so the queue doesn't keep a second copy of every file
+        await queue.updateOne({ _id: item._id }, {
+            $set: { status: outcome.status, responseId: outcome.id, duplicateOf: outcome.duplicateOf, error: outcome.error, finishedAt: new Date() },
+            $unset: { document: '', leaseExpiresAt: '' }
+        });
+
+        const job = await jobs.findOneAndUpdate(
+            { _id: item.jobId },
+            { $inc: { processed: 1, [counter]: 1 }, $set: { updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+
+        emit(item.jobId, {
+            type: 'document',
+            index: item.index,
+            status: outcome.status,
+            responseId: outcome.id,
+            duplicateOf: outcome.duplicateOf,
+            error: outcome.error
+        });
+        if (job && job.processed >= job.total) {
+            await finishJob(db, item.jobId);
+        } else if (job) {
+            emit(item.jobId, { type: 'progress', job: formatJob(job) });
+        }
+    } catch (error) {
+        // The lease stays in place, so the item is retried once it expires
+        console.error(`Ingestion Error [${item.jobId}/${item.index}]:`, error);
+    }
+}
+
+async function finishJob(db, jobId) {
+    const now = new Date();
+    const job = await db.collection('ingestionJobs').findOneAndUpdate(
+        { _id: jobId, status: { $nin: ['completed', 'completed_with_errors'] } },
+        [{
+            $set: {
+                status: { $cond: [{ $gt: ['$failed', 0] }, 'completed_with_errors', 'completed'] },
+                completedAt: now,
+                updatedAt: now
+            }
+        }],
+        { returnDocument: 'after' }
+    );
+    if (job) {
+        emit(jobId, { type: 'completed', job: formatJob(job) });
+    }
+}
+
+function emit(jobId, event) {
+    events.emit(String(jobId), event);
+}
+
+// Subscribe to progress events of one job; returns the unsubscribe function
+function onJobEvent(jobId, listener) {
+    const key = String(jobId);
+    events.on(key, listener);
+    return () => events.off(key, listener);
+}
+
+module.exports = { createIngestionJob, getIngestionJob, startIngestionWorker, processPending, onJobEvent };
@@ -0,0 +1,120 @@
+const { validateWeights } = require('./matchScoring');
+
+// Job openings stored in the `jobs` collection and the helpers the match runs use to describe them
+
+const JOB_STATUSES = ['draft', 'open', 'paused', 'closed'];
+
+const stringList = value => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+function normalizeRequirements(input = {}, errors) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push('requirements must be an object');
+        return {};
+    }
+
+    const requirements = {
+        mustHaveSkills: stringList(input.mustHaveSkills),
+        niceToHaveSkills: stringList(input.niceToHaveSkills),
+        minYearsExperience: null,
+        education: input.education ? String(input.education).trim() : '',
+        languages: []
+    };
+
+    if (input.minYearsExperience !== undefined && input.minYearsExperience !== null && input.minYearsExperience !== '') {
+        const years = Number(input.minYearsExperience);
+        if (Number.isNaN(years) || years < 0) {
+            errors.push('requirements.minYearsExperience must be a non-negative number');
+        } else {
+            requirements.minYearsExperience = years;
+        }
+    }
+
+    if (input.languages !== undefined) {
+        if (!Array.isArray(input.languages)) {
+            errors.push('requirements.languages must be an array');
+        } else {
+            // Accept "English" as well as { language: 'English', proficiency: 'B2' }
+            requirements.languages = input.languages.map(entry => (typeof entry === 'string'
+                ? { language: entry.trim(), proficiency: '' }
+                : { language: String(entry?.language || '').trim(), proficiency: String(entry?.proficiency || '').trim() }))
+                .filter(entry => entry.language);
+        }
+    }
+
+    return requirements;
+}
+
+// Returns { value, errors }; with `partial` only the given fields are checked (for updates)
+function validateJob(input = {}, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    for (const field of ['title', 'description']) {
+        if (input[field] !== undefined) {
+            value[field] = String(input[field]).trim();
+        }
+        if (!partial || input[field] !== undefined) {
+            if (!value[field]) errors.push(`${field} is required`);
+        }
+    }
+
+    if (input.location !== undefined || !partial) {
+        value.location = input.location ? String(input.location).trim() : '';
+    }
+
+    if (input.status !== undefined || !partial) {
+        value.status = input.status || 'open';
+        if (!JOB_STATUSES.includes(value.status)) {
+            errors.push(`status must be one of: ${JOB_STATUSES.join(', ')}`);
+        }
+    }
+
+    if (input.requirements !== undefined || !partial) {
+        value.requirements = normalizeRequirements(input.requirements, errors);
+    }
+
+    // Per-criterion match weights; criteria left out use the defaults from matchScoring.js
+    if (input.weights !== undefined) {
+        const weights = validateWeights(input.weights);
+        errors.push(...weights.errors);
+        value.weights = weights.value;
+    }
+
+    return { value, errors };
+}
+
+function formatJob(job) {
+    return {
+        id: job._id,
+        title: job.title,
+        description: job.description,
+        requirements: job.requirements,
+        location: job.location,
+        weights: job.weights || {},
+        status: job.status,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+// Plain-text version of a job for the matching prompt
+function describeJob(job) {
+    const { requirements = {} } = job;
+    const lines = job.title ? [`Title: ${job.title}`] : [];
+    if (job.location) lines.push(`Location: ${job.location}`);
+    if (requirements.mustHaveSkills?.length) lines.push(`Required skills: ${requirements.mustHaveSkills.join(', ')}`);
+    if (requirements.niceToHaveSkills?.length) lines.push(`Nice-to-have skills: ${requirements.niceToHaveSkills.join(', ')}`);
+    if (requirements.minYearsExperience !== null && requirements.minYearsExperience !== undefined) {
+        lines.push(`Minimum years of experience: ${requirements.minYearsExperience}`);
+    }
+    if (requirements.education) lines.push(`Education: ${requirements.education}`);
+    if (requirements.languages?.length) {
+        lines.push(`Languages: ${requirements.languages.map(l => (l.proficiency ? `${l.language} (${l.proficiency})` : l.language)).join(', ')}`);
+    }
+    lines.push('', job.description);
+    return lines.join('\n');
+}
+
+module.exports = { JOB_STATUSES, validateJob, formatJob, describeJob };
@@ -0,0 +1,60 @@
+// Language handling for CVs: guessing the language of extracted text, mapping language codes to the
+// Tesseract language packs, and the names used in extraction prompts.
+// Codes are ISO 639-1 ('az', 'ru', 'tr', 'en'); Tesseract uses its own three-letter pack names.
+
+const languages = {
+    en: { name: 'English', tesseract: 'eng' },
+    az: { name: 'Azerbaijani', tesseract: 'aze' },
+    ru: { name: 'Russian', tesseract: 'rus' },
+    tr: { name: 'Turkish', tesseract: 'tur' }
+};
+
+// Frequent short words that tell the Latin-script languages apart
+const markers = {
+    en: ['and', 'the', 'with', 'of', 'for', 'in', 'experience', 'skills', 'education', 'university'],
+    az: ['və', 'ilə', 'üçün', 'təhsil', 'təcrübə', 'universiteti', 'bakı', 'dili', 'il', 'bacarıqlar'],
+    tr: ['ve', 'ile', 'için', 'bir', 'eğitim', 'deneyim', 'üniversitesi', 'olarak', 'beceriler', 'iş']
+};
+
+// Returns the most likely language code, or null when there isn't enough text to tell
+function detectLanguage(text) {
+    if (!text) return null;
+    const sample = text.slice(0, 20000).toLowerCase();
+    const letters = sample.match(/\p{L}/gu) || [];
+    if (letters.length < 20) return null;
+
+    const cyrillic = letters.filter(letter => /\p{Script=Cyrillic}/u.test(letter)).length;
+    if (cyrillic / letters.length > 0.3) return 'ru';
+
+    const words = sample.split(/[^\p{L}]+/u).filter(Boolean);
+    const scores = Object.fromEntries(Object.entries(markers).map(([code, list]) => {
+        const set = new Set(list);
+        return [code, words.filter(word => set.has(word)).length];
+    }));
+    // Letters only one of the languages uses weigh more than shared words
+    scores.az += (sample.match(/ə/g) || []).length * 2;
+    scores.tr += (sample.match(/ı/g) || []).length * 0.5;
+
+    const [best, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return bestScore > 0 ? best : null;
+}
+
+const LANGUAGE_CODES = Object.keys(languages);
+
+// Hints come from the client, so only the codes above are accepted; routes answer 400 for anything else
+const isKnownLanguage = code => Object.prototype.hasOwnProperty.call(languages, String(code).toLowerCase());
+
+// Tesseract languages for a hint ('az' -> 'aze+eng'); CVs mix in English terms, so English is always added.
+// Without a hint, or with one that isn't a known code, the fallback packs are used.
+function tesseractLanguages(hint, fallback) {
+    const code = hint && String(hint).toLowerCase();
+    if (!code || !isKnownLanguage(code)) return fallback;
+    const pack = languages[code].tesseract;
+    return pack === 'eng' ? 'eng' : `${pack}+eng`;
+}
+
+function languageName(code) {
+    return (languages[code] && languages[code].name) || code;
+}
+
+module.exports = { LANGUAGE_CODES, isKnownLanguage, detectLanguage, tesseractLanguages, languageName };
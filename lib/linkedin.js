@@ -0,0 +1,62 @@
+const axios = require('axios');
+const config = require('../config');
+
+// LinkedIn sign-in (OpenID Connect): the browser is sent to LinkedIn, comes back to the frontend's
+// redirect URI with a code, and the frontend hands that code to /auth/linkedin/token
+
+const AUTHORIZE_URL = 'https://www.linkedin.com/oauth/v2/authorization';
+const TOKEN_URL = 'https://www.linkedin.com/oauth/v2/accessToken';
+const USERINFO_URL = 'https://api.linkedin.com/v2/userinfo';
+
+function linkedInConfig() {
+    const { clientId, clientSecret, redirectUri } = config.auth.linkedin;
+    if (!clientId || !clientSecret || !redirectUri) {
+        throw new Error('LinkedIn sign-in is not configured (LINKEDIN_CLIENT_ID, LINKEDIN_CLIENT_SECRET, LINKEDIN_REDIRECT_URI)');
+    }
+    return { clientId, clientSecret, redirectUri };
+}
+
+function authorizationUrl(state) {
+    const { clientId, redirectUri } = linkedInConfig();
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        state,
+        scope: 'openid profile email'
+    });
+    return `${AUTHORIZE_URL}?${params}`;
+}
+
+// Exchanges the code and resolves with the member's { linkedinId, email, name, picture }.
+// The LinkedIn access token is only used here and never leaves the server. `email` is null unless LinkedIn
+// has verified it: invites and adminEmails are claimed by email, so an unverified one must not count.
+async function fetchProfile(code) {
+    const { clientId, clientSecret, redirectUri } = linkedInConfig();
+    const tokenResponse = await axios.post(
+        TOKEN_URL,
+        new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            client_id: clientId,
+            client_secret: clientSecret
+        }),
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    const accessToken = tokenResponse.data.access_token;
+    if (!accessToken) {
+        throw new Error('No access token received');
+    }
+
+    const { data } = await axios.get(USERINFO_URL, { headers: { Authorization: `Bearer ${accessToken}` } });
+    return {
+        linkedinId: data.sub,
+        email: data.email && data.email_verified === true ? String(data.email).toLowerCase() : null,
+        name: data.name || [data.given_name, data.family_name].filter(Boolean).join(' '),
+        picture: data.picture || null
+    };
+}
+
+module.exports = { authorizationUrl, fetchProfile };
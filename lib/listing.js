@@ -0,0 +1,221 @@
+const { BSON } = require('mongodb');
+const { normalizeTag, RATING_MIN, RATING_MAX } = require('./feedback');
+
+// Query-string handling shared by the candidate listing routes: filters, sorting, field selection
+// and either page-based (?page=&pageSize=) or cursor-based (?cursor=) pagination
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const sortFields = {
+    createdAt: 'createdAt',
+    name: 'result.Name',
+    status: 'candidateStatus',
+    rating: 'rating.average'
+};
+
+// API field -> stored field; `result.<Key>` and `normalized.<key>` select a single section
+const selectableFields = {
+    index: 'index',
+    status: 'status',
+    result: 'result',
+    normalized: 'normalized',
+    file: 'file',
+    candidateStatus: 'candidateStatus',
+    tags: 'tags',
+    rating: 'rating',
+    createdAt: 'createdAt'
+};
+
+const timeRanges = {
+    lastHour: 60 * 60 * 1000,
+    lastDay: 24 * 60 * 60 * 1000,
+    lastWeek: 7 * 24 * 60 * 60 * 1000,
+    lastMonth: 30 * 24 * 60 * 60 * 1000
+};
+
+const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} date: ${value}`);
+    }
+    return date;
+}
+
+function parseRating(value, name) {
+    const rating = Number(value);
+    if (Number.isNaN(rating) || rating < RATING_MIN || rating > RATING_MAX) {
+        throw new Error(`${name} must be a number from ${RATING_MIN} to ${RATING_MAX}`);
+    }
+    return rating;
+}
+
+function buildFilter(query) {
+    const filter = {};
+
+    const createdAt = {};
+    if (query.timeRange && timeRanges[query.timeRange]) {
+        createdAt.$gte = new Date(Date.now() - timeRanges[query.timeRange]);
+    }
+    if (query.from) createdAt.$gte = parseDate(query.from, 'from');
+    if (query.to) createdAt.$lte = parseDate(query.to, 'to');
+    if (Object.keys(createdAt).length) filter.createdAt = createdAt;
+
+    const statuses = list(query.status);
+    if (statuses.length) filter.status = { $in: statuses };
+
+    const candidateStatuses = list(query.candidateStatus);
+    if (candidateStatuses.length) filter.candidateStatus = { $in: candidateStatuses };
+
+    // ?tags=a,b needs every tag, ?anyTag=a,b one of them
+    const tags = list(query.tags).map(normalizeTag);
+    const anyTags = list(query.anyTag).map(normalizeTag);
+    if (tags.length || anyTags.length) {
+        filter.tags = { ...(tags.length && { $all: tags }), ...(anyTags.length && { $in: anyTags }) };
+    }
+
+    // Average of the reviewers' overall ratings; ?rated=false finds the candidates nobody rated yet
+    const rating = {};
+    if (query.minRating !== undefined && query.minRating !== '') rating.$gte = parseRating(query.minRating, 'minRating');
+    if (query.maxRating !== undefined && query.maxRating !== '') rating.$lte = parseRating(query.maxRating, 'maxRating');
+    if (Object.keys(rating).length) filter['rating.average'] = rating;
+    if (query.rated === 'true' || query.rated === true) filter['rating.count'] = { $gt: 0 };
+    if (query.rated === 'false' || query.rated === false) filter['rating.count'] = { $not: { $gt: 0 } };
+
+    return filter;
+}
+
+// ?sort=name&order=asc or the shorthand ?sort=-createdAt; newest first by default
+function buildSort(query) {
+    let key = query.sort || '-createdAt';
+    let direction = key.startsWith('-') ? -1 : 1;
+    key = key.replace(/^[-+]/, '');
+    if (query.order) direction = query.order === 'asc' ? 1 : -1;
+
+    if (!sortFields[key]) {
+        throw new Error(`Cannot sort by "${key}". Use one of: ${Object.keys(sortFields).join(', ')}`);
+    }
+    return { field: sortFields[key], direction };
+}
+
+function buildProjection(query) {
+    const fields = list(query.fields);
+    if (!fields.length) return { fields: null, projection: null };
+
+    const projection = {};
+    for (const field of fields) {
+        const [root] = field.split('.');
+        if (!selectableFields[root] || (field.includes('.') && !['result', 'normalized'].includes(root))) {
+            throw new Error(`Unknown field "${field}". Use: ${Object.keys(selectableFields).join(', ')}, result.<Key> or normalized.<key>`);
+        }
+        projection[field.includes('.') ? field : selectableFields[root]] = 1;
+    }
+    return { fields, projection: withoutPathCollisions(projection) };
+}
+
+// MongoDB rejects projecting both `result` and `result.Name`; the parent already covers the child
+function withoutPathCollisions(projection) {
+    const paths = Object.keys(projection);
+    return Object.fromEntries(Object.entries(projection)
+        .filter(([path]) => !paths.some(other => path.startsWith(`${other}.`))));
+}
+
+function encodeCursor(document, sortField) {
+    const value = sortField.split('.').reduce((current, key) => (current == null ? current : current[key]), document);
+    return Buffer.from(BSON.EJSON.stringify({ v: value ?? null, id: document._id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        return BSON.EJSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+}
+
+// Documents strictly after the cursor position in (sort field, _id) order. $gt and $lt never match a missing
+// or null value, which MongoDB sorts before everything else: first ascending, last descending.
+function cursorFilter({ v, id }, { field, direction }) {
+    const after = direction === 1 ? '$gt' : '$lt';
+    const value = v ?? null;
+    const tie = { [field]: value, _id: { [after]: id } }; // { field: null } also matches records without the field
+    if (value === null) {
+        return direction === 1 ? { $or: [tie, { [field]: { $ne: null } }] } : tie;
+    }
+    return {
+        $or: [
+            { [field]: { [after]: value } },
+            tie,
+            ...(direction === 1 ? [] : [{ [field]: null }])
+        ]
+    };
+}
+
+function parsePaging(query) {
+    return {
+        page: Math.max(parseInt(query.page, 10) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+    };
+}
+
+// Turns the query string into a ready-to-run listing; throws with a user-facing message on bad input
+function parseListQuery(query) {
+    const { page, pageSize } = parsePaging(query);
+    const sort = buildSort(query);
+    const { fields, projection } = buildProjection(query);
+    const filter = buildFilter(query);
+
+    return { filter, sort, fields, projection, page, pageSize, cursor: query.cursor ? decodeCursor(query.cursor) : null };
+}
+
+// Runs the listing against a collection and resolves with the page of documents plus paging info
+async function runListQuery(collection, listQuery, baseProjection = {}) {
+    const { filter, sort, projection, page, pageSize, cursor } = listQuery;
+    const pageFilter = cursor ? { $and: [filter, cursorFilter(cursor, sort)] } : filter;
+    // The sort field has to come back for the next cursor even when it wasn't asked for
+    const findProjection = projection ? withoutPathCollisions({ ...projection, [sort.field]: 1 }) : baseProjection;
+
+    const [documents, total] = await Promise.all([
+        collection.find(pageFilter, { projection: findProjection })
+            .sort({ [sort.field]: sort.direction, _id: sort.direction })
+            .skip(cursor ? 0 : (page - 1) * pageSize)
+            .limit(pageSize + 1)
+            .toArray(),
+        collection.countDocuments(filter)
+    ]);
+
+    const hasMore = documents.length > pageSize;
+    const pageDocuments = documents.slice(0, pageSize);
+    const last = pageDocuments[pageDocuments.length - 1];
+
+    return {
+        documents: pageDocuments,
+        paging: {
+            total,
+            page: cursor ? null : page,
+            pageSize,
+            hasMore,
+            nextCursor: hasMore && last ? encodeCursor(last, sort.field) : null
+        }
+    };
+}
+
+// Keep only the requested API fields (plus id and, when it was asked for, the file) in a formatted record
+function pickFields(record, fields) {
+    if (!fields) return record;
+    const picked = { id: record.id };
+    if (record.base64 !== undefined) picked.base64 = record.base64;
+    for (const field of fields) {
+        const [root, ...rest] = field.split('.');
+        if (!rest.length) {
+            picked[root] = record[root];
+        } else if (record[root]) {
+            picked[root] = { ...picked[root], [rest.join('.')]: record[root][rest.join('.')] };
+        }
+    }
+    return picked;
+}
+
+module.exports = { parseListQuery, parsePaging, buildFilter, runListQuery, pickFields, cursorFilter, decodeCursor };
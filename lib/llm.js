@@ -0,0 +1,113 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+const config = require('../config');
+
+// Every provider exposes chat(messages, options) and resolves with the assistant message content as a string
+
+function createMistralProvider({ apiKey, model }) {
+    return {
+        name: 'mistral',
+        model,
+        async chat(messages, options = {}) {
+            const response = await axios.post('https://api.mistral.ai/v1/chat/completions', {
+                model: options.model || model,
+                messages
+            }, { headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' } });
+            return response.data.choices[0].message.content;
+        }
+    };
+}
+
+function createOpenAIProvider({ apiKey, baseURL, model }) {
+    // Local servers usually ignore the key, but the SDK refuses to start without one
+    const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, maxRetries: 0 });
+    return {
+        name: 'openai',
+        model,
+        async chat(messages, options = {}) {
+            const completion = await client.chat.completions.create({ model: options.model || model, messages });
+            return completion.choices[0].message.content;
+        }
+    };
+}
+
+// Answers from files in the fixtures directory so extraction and matching work without a network.
+// Lookup order: <task>-<hash of the messages>.json for a recorded answer, then <task>.js (a function of
+// the messages), then <task>.json. JSON fixtures are returned as the serialized model output.
+function createMockProvider({ mockFixturesDir }) {
+    return {
+        name: 'mock',
+        model: 'mock',
+        async chat(messages, { task = 'default' } = {}) {
+            const hash = hashMessages(messages);
+            const candidates = [`${task}-${hash}.json`, `${task}.js`, `${task}.json`];
+            for (const file of candidates) {
+                const fixturePath = path.join(mockFixturesDir, file);
+                if (!fs.existsSync(fixturePath)) continue;
+                if (file.endsWith('.js')) {
+                    const output = require(fixturePath)(messages);
+                    return typeof output === 'string' ? output : JSON.stringify(output);
+                }
+                return fs.readFileSync(fixturePath, 'utf8');
+            }
+            throw new Error(`No mock fixture for task "${task}" (looked for ${candidates.join(', ')} in ${mockFixturesDir})`);
+        }
+    };
+}
+
+function hashMessages(messages) {
+    return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+}
+
+const providers = {
+    mistral: createMistralProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+function createProvider(options) {
+    const factory = providers[options.provider];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${options.provider}". Use one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return factory(options);
+}
+
+// Rate limits, server errors and dropped connections are worth another try; bad requests are not
+function isRetryable(error) {
+    const status = error.response?.status ?? error.status;
+    if (status === undefined) {
+        return Boolean(error.code) || error.name === 'APIConnectionError';
+    }
+    return status === 429 || status >= 500;
+}
+
+async function withRetry(fn, retries = config.llm.maxRetries, delay = config.llm.retryDelay) {
+    try {
+        return await fn();
+    } catch (error) {
+        if (retries > 0 && isRetryable(error)) {
+            console.warn(`LLM request failed (${error.response?.status ?? error.status ?? error.code}), retrying in ${delay}ms...`);
+            await new Promise(resolve => setTimeout(resolve, delay + Math.random() * 1000));
+            return withRetry(fn, retries - 1, delay * 2);
+        }
+        throw error;
+    }
+}
+
+const provider = createProvider(config.llm);
+
+// Send a chat completion through the configured provider. `task` names the caller (e.g. 'extract', 'match')
+// and lets the mock provider pick a fixture; `model` overrides the configured model (workspaces pick their own).
+function complete(messages, options = {}) {
+    return withRetry(() => provider.chat(messages, options));
+}
+
+function getModelInfo(model) {
+    return { provider: provider.name, model: model || provider.model };
+}
+
+module.exports = { complete, getModelInfo, createProvider, withRetry };
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// Every match against a saved job is stored in `matchRuns` with the job as it was at that moment,
+// the model and prompt that produced it, and the per-candidate scores and reasons
+
+const promptVersion = prompt => crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+
+function toScore(matchingRate) {
+    const score = parseFloat(String(matchingRate).replace('%', ''));
+    return Number.isNaN(score) ? null : Math.min(Math.max(score, 0), 100);
+}
+
+async function createMatchRun(db, job, matchingResults, { model, prompt, stats, startedAt }) {
+    const results = matchingResults
+        .map(result => ({ ...result, score: result.score ?? toScore(result.matchingRate) }))
+        .sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+
+    const run = {
+        workspaceId: job.workspaceId,
+        jobId: job._id,
+        job: { title: job.title, description: job.description, requirements: job.requirements, location: job.location, weights: job.weights },
+        model,
+        promptVersion: promptVersion(prompt),
+        candidateCount: stats.considered,
+        stats,
+        results,
+        startedAt,
+        createdAt: new Date()
+    };
+    const { insertedId } = await db.collection('matchRuns').insertOne(run);
+    return { _id: insertedId, ...run };
+}
+
+function formatMatchRun(run, { includeResults = true } = {}) {
+    const formatted = {
+        id: run._id,
+        jobId: run.jobId,
+        job: run.job,
+        model: run.model,
+        promptVersion: run.promptVersion,
+        candidateCount: run.candidateCount,
+        stats: run.stats,
+        resultCount: run.results.length,
+        topScore: run.results[0]?.score ?? null,
+        startedAt: run.startedAt,
+        createdAt: run.createdAt
+    };
+    if (includeResults) formatted.results = run.results;
+    return formatted;
+}
+
+// Per-candidate score changes from `base` to `target`, biggest movers first
+function compareMatchRuns(base, target) {
+    const byCandidate = new Map();
+    for (const [key, run] of [['base', base], ['target', target]]) {
+        for (const result of run.results) {
+            const id = String(result.candidateId);
+            byCandidate.set(id, { ...byCandidate.get(id), candidateId: id, [key]: result.score });
+        }
+    }
+
+    const candidates = [...byCandidate.values()].map(entry => ({
+        candidateId: entry.candidateId,
+        baseScore: entry.base ?? null,
+        targetScore: entry.target ?? null,
+        change: entry.base !== undefined && entry.target !== undefined && entry.base !== null && entry.target !== null
+            ? Math.round((entry.target - entry.base) * 100) / 100
+            : null
+    })).sort((a, b) => Math.abs(b.change ?? 0) - Math.abs(a.change ?? 0));
+
+    return {
+        base: formatMatchRun(base, { includeResults: false }),
+        target: formatMatchRun(target, { includeResults: false }),
+        sameModel: base.model?.model === target.model?.model && base.model?.provider === target.model?.provider,
+        samePrompt: base.promptVersion === target.promptVersion,
+        added: candidates.filter(entry => entry.baseScore === null && entry.targetScore !== null).map(entry => entry.candidateId),
+        removed: candidates.filter(entry => entry.targetScore === null && entry.baseScore !== null).map(entry => entry.candidateId),
+        candidates
+    };
+}
+
+module.exports = { promptVersion, createMatchRun, formatMatchRun, compareMatchRuns };
@@ -0,0 +1,164 @@
+const { buildProfile, skillMatches, proficiencyOf, degreeLevelOf, tokenize } = require('./search');
+
+// Per-criterion breakdown of a match. A criterion is scored by rules when the job states a structured
+// requirement for it, otherwise by the model; criteria with neither are not applicable. The overall
+// score is reproducible from the breakdown:
+//   overall = sum(weight * score for applicable criteria) / sum(weight for applicable criteria)
+
+const CRITERIA = ['requiredSkills', 'niceToHaveSkills', 'experience', 'education', 'languages', 'location'];
+
+const DEFAULT_WEIGHTS = {
+    requiredSkills: 35,
+    niceToHaveSkills: 10,
+    experience: 25,
+    education: 10,
+    languages: 10,
+    location: 10
+};
+
+// Returns { value, errors } for a (possibly partial) weights object from a job
+function validateWeights(weights) {
+    const errors = [];
+    const value = {};
+    if (typeof weights !== 'object' || weights === null || Array.isArray(weights)) {
+        return { value, errors: ['weights must be an object'] };
+    }
+    for (const [key, weight] of Object.entries(weights)) {
+        if (!CRITERIA.includes(key)) {
+            errors.push(`Unknown weight "${key}". Use: ${CRITERIA.join(', ')}`);
+        } else if (typeof weight !== 'number' || weight < 0 || !Number.isFinite(weight)) {
+            errors.push(`weights.${key} must be a non-negative number`);
+        } else {
+            value[key] = weight;
+        }
+    }
+    return { value, errors };
+}
+
+const round = value => Math.round(value * 10) / 10;
+const clamp = value => Math.min(Math.max(Number(value), 0), 100);
+
+function fromModel(modelScores, criterion) {
+    const value = modelScores && modelScores[criterion];
+    return value === undefined || value === null || Number.isNaN(Number(value)) ? null : clamp(value);
+}
+
+function skillsCriterion(skills, profile, modelScore) {
+    if (skills.length) {
+        const matched = skills.filter(skill => profile.skills.some(have => skillMatches(have, skill)));
+        return {
+            score: round((matched.length / skills.length) * 100),
+            source: 'rules',
+            matched,
+            missing: skills.filter(skill => !matched.includes(skill))
+        };
+    }
+    return modelCriterion(modelScore);
+}
+
+function modelCriterion(modelScore) {
+    return modelScore === null
+        ? { score: null, source: null, matched: [], missing: [] }
+        : { score: modelScore, source: 'model', matched: [], missing: [] };
+}
+
+function experienceCriterion(minYears, profile, relevance) {
+    if (minYears === null || minYears === undefined) return modelCriterion(relevance);
+
+    const yearsScore = minYears > 0 ? Math.min(profile.years / minYears, 1) * 100 : 100;
+    const met = profile.years >= minYears;
+    const note = `${profile.years} years of experience (minimum ${minYears})`;
+    return {
+        // Years decide half, how relevant the roles are (judged by the model) the other half
+        score: round(relevance === null ? yearsScore : (yearsScore + relevance) / 2),
+        source: relevance === null ? 'rules' : 'rules+model',
+        matched: met ? [note] : [],
+        missing: met ? [] : [note]
+    };
+}
+
+function educationCriterion(requirement, profile, modelScore) {
+    const requiredLevel = requirement ? degreeLevelOf(requirement) : 0;
+    if (!requiredLevel) return modelCriterion(modelScore);
+
+    const gap = requiredLevel - profile.degreeLevel;
+    return {
+        score: gap <= 0 ? 100 : gap === 1 ? 50 : 0,
+        source: 'rules',
+        matched: gap <= 0 ? [requirement] : [],
+        missing: gap <= 0 ? [] : [requirement]
+    };
+}
+
+function languagesCriterion(languages, profile, modelScore) {
+    if (!languages.length) return modelCriterion(modelScore);
+
+    const matched = [];
+    const missing = [];
+    let points = 0;
+    for (const { language, proficiency } of languages) {
+        const label = proficiency ? `${language} (${proficiency})` : language;
+        const found = profile.languages.find(entry => entry.name.includes(language.toLowerCase()));
+        if (found && found.level >= proficiencyOf(proficiency)) {
+            points += 1;
+            matched.push(label);
+        } else {
+            // Speaking the language below the asked level still counts for half
+            if (found) points += 0.5;
+            missing.push(label);
+        }
+    }
+    return { score: round((points / languages.length) * 100), source: 'rules', matched, missing };
+}
+
+function locationCriterion(location, result, modelScore) {
+    if (!location) return modelCriterion(modelScore);
+    if (/\bremote\b/i.test(location)) return { score: 100, source: 'rules', matched: [location], missing: [] };
+
+    const contact = result.ContactInformation || {};
+    const address = typeof contact === 'object' ? [contact.Address, contact.Other].filter(Boolean).join(' ') : String(contact);
+    if (!address) return modelCriterion(modelScore);
+
+    const addressTokens = new Set(tokenize(address));
+    const matches = tokenize(location).filter(token => token.length > 2).some(token => addressTokens.has(token));
+    return { score: matches ? 100 : 0, source: 'rules', matched: matches ? [location] : [], missing: matches ? [] : [location] };
+}
+
+// `modelScores` is the model's { requiredSkills, ..., location } (0-100 each) or null when it gave none
+function scoreBreakdown(job, result = {}, modelScores = null) {
+    const requirements = job.requirements || {};
+    const weights = { ...DEFAULT_WEIGHTS, ...(job.weights || {}) };
+    const profile = buildProfile(result);
+
+    const criteria = {
+        requiredSkills: skillsCriterion(requirements.mustHaveSkills || [], profile, fromModel(modelScores, 'requiredSkills')),
+        niceToHaveSkills: skillsCriterion(requirements.niceToHaveSkills || [], profile, fromModel(modelScores, 'niceToHaveSkills')),
+        experience: experienceCriterion(requirements.minYearsExperience, profile, fromModel(modelScores, 'experience')),
+        education: educationCriterion(requirements.education, profile, fromModel(modelScores, 'education')),
+        languages: languagesCriterion(requirements.languages || [], profile, fromModel(modelScores, 'languages')),
+        location: locationCriterion(job.location, result, fromModel(modelScores, 'location'))
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    const breakdown = {};
+    for (const criterion of CRITERIA) {
+        const entry = criteria[criterion];
+        const applicable = entry.score !== null && weights[criterion] > 0;
+        breakdown[criterion] = { ...entry, weight: weights[criterion], applicable };
+        if (applicable) {
+            weighted += weights[criterion] * entry.score;
+            totalWeight += weights[criterion];
+        }
+    }
+
+    const applicable = CRITERIA.filter(criterion => breakdown[criterion].applicable);
+    return {
+        score: totalWeight ? round(weighted / totalWeight) : null,
+        breakdown,
+        matchedRequirements: applicable.flatMap(criterion => criteria[criterion].matched),
+        missingRequirements: applicable.flatMap(criterion => criteria[criterion].missing)
+    };
+}
+
+module.exports = { CRITERIA, DEFAULT_WEIGHTS, validateWeights, scoreBreakdown };
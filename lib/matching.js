@@ -0,0 +1,241 @@
+const { complete } = require('./llm');
+const { buildProfile, skillMatches, tokenize } = require('./search');
+const { CRITERIA, scoreBreakdown } = require('./matchScoring');
+const { redactCV } = require('./redaction');
+const config = require('../config');
+
+// Two-stage matching. Stage one pre-scores every candidate locally from skill and keyword overlap with
+// the job and keeps a shortlist; stage two sends the shortlist to the model in small batches, so the
+// prompt size no longer grows with the number of CVs in the database. The model's per-criterion scores
+// feed the weighted breakdown in matchScoring.js, which produces the final score.
+
+const matchingPrompt = `
+    You are an AI assistant specialized in matching job descriptions with candidate CVs. Analyze the provided job description and the list of candidate CVs, and score each candidate on every criterion below. Your output must be a valid JSON array with the following structure:
+    [
+        {
+            "candidateId": "candidate_id",
+            "scores": {
+                "requiredSkills": 0,
+                "niceToHaveSkills": 0,
+                "experience": 0,
+                "education": 0,
+                "languages": 0,
+                "location": 0
+            },
+            "matchedRequirements": ["requirement the candidate meets", ...],
+            "missingRequirements": ["requirement the candidate does not meet", ...],
+            "reasons": "reasons_for_matching"
+        },
+        ...
+    ]
+    Important:
+    - Return exactly one entry for every candidate in the list, using the candidate's id unchanged.
+    - Every score is a number between 0 and 100. Use null for a criterion the job description says nothing about.
+    - requiredSkills and niceToHaveSkills: how well the candidate covers the skills the job requires or merely prefers.
+    - experience: how relevant the candidate's roles and responsibilities are to the job, not only how long they lasted.
+    - education, languages, location: how well the candidate meets the job's expectations for each.
+    - The reasons should be a brief explanation of why the candidate is suitable or not suitable for the job.
+    `;
+
+const stopWords = new Set(('a an and are as at be by for from has have in is it its of on or our that the this to was we will with you your ' +
+    'who which work working team teams role job candidate candidates experience years year plus must should strong good ' +
+    'ability able knowledge skills skill looking required requirements responsibilities including etc').split(' '));
+
+function jobKeywords(job) {
+    const words = tokenize(`${job.title || ''} ${job.description || ''}`).filter(word => !stopWords.has(word) && !/^\d+$/.test(word));
+    return [...new Set(words)];
+}
+
+function profileText(result = {}) {
+    const parts = [
+        result.Summary,
+        ...(result.Skills || []),
+        ...(result.WorkExperience || []).map(w => w && [w.JobTitle, w.Company, w.Description].join(' ')),
+        ...(result.Education || []).map(e => e && [e.Degree, e.FieldOfStudy].join(' ')),
+        ...[].concat(result.Certifications || [], result.Projects || []).map(item => (typeof item === 'object' ? JSON.stringify(item) : item))
+    ];
+    return parts.filter(Boolean).join(' ');
+}
+
+// Deterministic 0-100 score from required/nice-to-have skill coverage and job keyword overlap
+function preScore(job, result) {
+    const profile = buildProfile(result);
+    const requirements = job.requirements || {};
+    const tokens = new Set(tokenize(profileText(result)));
+    const has = skill => profile.skills.some(candidateSkill => skillMatches(candidateSkill, skill));
+
+    const keywords = jobKeywords(job);
+    const keywordScore = keywords.length ? keywords.filter(word => tokens.has(word)).length / keywords.length : 0;
+
+    const mustHave = requirements.mustHaveSkills || [];
+    const niceToHave = requirements.niceToHaveSkills || [];
+    const matchedMust = mustHave.filter(has);
+    const matchedNice = niceToHave.filter(has);
+
+    let score;
+    if (mustHave.length || niceToHave.length) {
+        const mustScore = mustHave.length ? matchedMust.length / mustHave.length : 1;
+        const niceScore = niceToHave.length ? matchedNice.length / niceToHave.length : 0;
+        score = 0.55 * mustScore + 0.15 * niceScore + 0.3 * keywordScore;
+    } else {
+        // Free-text jobs: skills the candidate lists that the description mentions count as overlap
+        const description = `${job.title || ''} ${job.description || ''}`;
+        const mentioned = profile.skills.filter(skill => skillMatches(description, skill));
+        const skillScore = Math.min(mentioned.length / 5, 1);
+        score = 0.5 * skillScore + 0.5 * keywordScore;
+    }
+
+    return { score: Math.round(score * 1000) / 10 };
+}
+
+// Compact CV for the prompt: enough to judge fit without sending every field of every record
+function summarizeCandidate(id, result = {}) {
+    const cut = (text, length) => (text && String(text).length > length ? `${String(text).slice(0, length)}…` : text || '');
+    return {
+        id: String(id),
+        summary: cut(result.Summary, 400),
+        skills: (result.Skills || []).slice(0, 40),
+        experience: (result.WorkExperience || []).slice(0, 6).map(w => ({
+            title: w?.JobTitle, company: w?.Company, duration: w?.Duration, description: cut(w?.Description, 300)
+        })),
+        education: (result.Education || []).slice(0, 3).map(e => ({ degree: e?.Degree, field: e?.FieldOfStudy, institution: e?.Institution })),
+        languages: result.Languages || [],
+        certifications: (result.Certifications || []).slice(0, 10)
+    };
+}
+
+function parseMatchingResponse(content) {
+    const jsonStart = content.indexOf('[');
+    const jsonEnd = content.lastIndexOf(']') + 1;
+    if (jsonStart === -1 || jsonEnd === 0) {
+        throw new Error(`Failed to find JSON array in matching response: ${content.slice(0, 200)}`);
+    }
+    const parsed = JSON.parse(content.substring(jsonStart, jsonEnd));
+    if (!Array.isArray(parsed)) throw new Error('Matching response is not an array');
+    return parsed;
+}
+
+// One model request per batch; only ids from the batch are accepted back, candidates the model skipped are asked about once more
+async function scoreBatch(jobText, batch, model, retry = true) {
+    const content = await complete([
+        { role: 'system', content: matchingPrompt },
+        { role: 'user', content: `Job Description: ${jobText}` },
+        { role: 'user', content: `Candidates: ${JSON.stringify(batch)}` }
+    ], { task: 'match', model });
+
+    const ids = new Set(batch.map(candidate => candidate.id));
+    const scored = new Map();
+    for (const entry of parseMatchingResponse(content)) {
+        const id = String(entry && entry.candidateId);
+        if (!ids.has(id) || scored.has(id) || !entry.scores || typeof entry.scores !== 'object') continue;
+        const scores = Object.fromEntries(CRITERIA.map(criterion => [criterion, entry.scores[criterion] ?? null]));
+        const list = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+        scored.set(id, {
+            scores,
+            matched: list(entry.matchedRequirements),
+            missing: list(entry.missingRequirements),
+            reasons: entry.reasons || ''
+        });
+    }
+
+    const missing = batch.filter(candidate => !scored.has(candidate.id));
+    if (missing.length && retry) {
+        const retried = await scoreBatch(jobText, missing, model, false);
+        retried.forEach((value, id) => scored.set(id, value));
+    }
+    return scored;
+}
+
+// Keep the `size` best pre-scored candidates without holding every CV in memory
+function pushShortlist(shortlist, entry, size) {
+    if (shortlist.length < size) {
+        shortlist.push(entry);
+    } else if (entry.preScore > shortlist[shortlist.length - 1].preScore) {
+        shortlist[shortlist.length - 1] = entry;
+    } else {
+        return;
+    }
+    shortlist.sort((a, b) => b.preScore - a.preScore);
+}
+
+// `job` is a saved job or { description } for a one-off match, `jobText` its prompt version.
+// Only CVs of `workspaceId` are considered, scored with the workspace's `model`. With `blind` (the default from
+// config) the model only sees anonymized CVs; the local scoring still uses the originals.
+// Resolves with the ranked results and how many candidates each stage handled.
+async function matchCandidates(db, job, jobText, { workspaceId, model, blind = config.privacy.blindMatching }) {
+    const { shortlistSize, batchSize } = config.matching;
+    const responses = db.collection('responses');
+
+    // Stage one: local pre-score over every successfully extracted CV. A pre-score of 0 (no skill or keyword
+    // overlap) is a floor, not a cut: such candidates still fill the shortlist when fewer than `shortlistSize`
+    // others overlap, so the model can rank CVs whose wording differs from the job's.
+    let considered = 0;
+    const shortlist = [];
+    const cursor = responses.find({ workspaceId, status: 'success' }, { projection: { result: 1, candidateStatus: 1 } });
+    for await (const response of cursor) {
+        considered++;
+        const { score } = preScore(job, response.result);
+        pushShortlist(shortlist, { response, preScore: score }, shortlistSize);
+    }
+
+    // Stage two: the model scores the shortlist in bounded batches. A batch the model fails on (an error or
+    // an unreadable reply, also on the retry) doesn't fail the match: its candidates keep their pre-score.
+    let llmScores = new Map();
+    let batches = 0;
+    let failedBatches = 0;
+    const failed = new Set();
+    for (let i = 0; i < shortlist.length; i += batchSize) {
+        const batch = shortlist.slice(i, i + batchSize).map(entry => summarizeCandidate(
+            entry.response._id,
+            blind ? redactCV(entry.response.result) : entry.response.result
+        ));
+        try {
+            const scored = await scoreBatch(jobText, batch, model);
+            llmScores = new Map([...llmScores, ...scored]);
+        } catch (error) {
+            console.error('Error scoring matching batch:', error);
+            batch.forEach(candidate => failed.add(candidate.id));
+            failedBatches++;
+        }
+        batches++;
+    }
+
+    // Candidates may have been deleted while the model was working; only return ids that still exist
+    const existing = new Set((await responses
+        .find({ workspaceId, _id: { $in: shortlist.map(entry => entry.response._id) } }, { projection: { _id: 1 } })
+        .toArray()).map(response => String(response._id)));
+
+    const results = shortlist
+        .filter(entry => existing.has(String(entry.response._id)))
+        .map(entry => {
+            const llm = llmScores.get(String(entry.response._id));
+            const { score, breakdown, matchedRequirements, missingRequirements } = scoreBreakdown(job, entry.response.result, llm && llm.scores);
+            const batchFailed = failed.has(String(entry.response._id));
+            // Without any applicable criterion there is nothing to weigh; fall back to the pre-score
+            const overall = score === null || batchFailed ? entry.preScore : score;
+            // Rule-checked requirements first, then what the model found for the criteria it judged
+            const merge = (rules, model) => [...new Set([...rules, ...(model || [])])];
+            return {
+                candidateId: entry.response._id,
+                matchingRate: String(Math.round(overall)),
+                score: overall,
+                breakdown,
+                matchedRequirements: merge(matchedRequirements, llm && llm.matched),
+                missingRequirements: merge(missingRequirements, llm && llm.missing),
+                preScore: entry.preScore,
+                scoredByModel: Boolean(llm),
+                reasons: llm ? llm.reasons : batchFailed
+                    ? 'The model could not score this candidate; ranked by the local pre-score.'
+                    : 'Not scored by the model; model-judged criteria are left out.',
+                candidateStatus: entry.response.candidateStatus
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    return {
+        results,
+        stats: { considered, shortlisted: shortlist.length, batches, failedBatches, scoredByModel: llmScores.size, blind }
+    };
+}
+
+module.exports = { matchingPrompt, matchCandidates, preScore };
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+const { parseDateRange, yearsBetween, totalYears } = require('./experience');
+const { EMAIL, normalizeEmail } = require('./candidateProfiles');
+
+// Post-extraction normalization. The model's output is stored untouched in `result`; this derives a
+// `normalized` copy next to it with ISO date ranges, years of experience per role and in total (overlapping
+// roles counted once), skills mapped to canonical names and phone numbers and e-mail addresses in one format.
+// Every normalized entry keeps the raw text it came from.
+//
+// Skills are looked up in the taxonomy file (config.normalization.skillTaxonomyPath):
+//   { "JavaScript": { "category": "Programming languages", "synonyms": ["JS", "Javascript", "JavaScript ES6"] } }
+// Spelling differences in case, spaces, dots, dashes and underscores don't need their own synonym.
+
+// Bump when the output of normalizeCV changes shape or meaning
+const NORMALIZATION_VERSION = 1;
+
+// Like the profile matcher's pattern, but keeps an opening bracket so the raw value reads as written: "(050) 123-45-67"
+const PHONE = /\+?\(?\d[\d\s().-]{6,}\d/g;
+
+let taxonomy = null;
+
+// "Node.js", "NodeJS" and "node js" all become "nodejs"
+const normalizeSkill = skill => String(skill).toLowerCase().replace(/[\s._-]+/g, '');
+
+function loadTaxonomy() {
+    if (taxonomy) return taxonomy;
+
+    const source = fs.readFileSync(config.normalization.skillTaxonomyPath, 'utf8');
+    const lookup = new Map();
+    for (const [name, entry] of Object.entries(JSON.parse(source))) {
+        const skill = { name, category: entry.category || null };
+        for (const spelling of [name, ...(entry.synonyms || [])]) {
+            const key = normalizeSkill(spelling);
+            const taken = lookup.get(key);
+            if (taken && taken.name !== name) {
+                throw new Error(`Skill taxonomy: "${spelling}" is listed under both "${taken.name}" and "${name}"`);
+            }
+            lookup.set(key, skill);
+        }
+    }
+
+    taxonomy = { lookup, version: crypto.createHash('sha256').update(source).digest('hex').slice(0, 12) };
+    return taxonomy;
+}
+
+// Short hash of the taxonomy file, stored with every normalized record so edits to the file can be backfilled
+const taxonomyVersion = () => loadTaxonomy().version;
+
+// The taxonomy entry { name, category } for a skill as written, or null when it isn't in the taxonomy.
+// A trailing version or level ("Python 3", "Java 17", "Excel (advanced)") is ignored when the full text isn't known.
+function canonicalSkill(skill) {
+    const { lookup } = loadTaxonomy();
+    const text = String(skill ?? '').trim();
+    if (!text) return null;
+
+    const candidates = [
+        text,
+        text.replace(/\s*\([^)]*\)$/, ''),
+        text.replace(/\s+v?\d+(\.\d+)*\+?$/i, '')
+    ];
+    for (const candidate of candidates) {
+        const found = lookup.get(normalizeSkill(candidate));
+        if (found) return found;
+    }
+    return null;
+}
+
+// [{ name, category, raw }], one entry per canonical skill in the order the CV lists them. Items holding
+// several skills ("Python, SQL") are split; skills outside the taxonomy keep their own name and a null category.
+function normalizeSkills(skills) {
+    const byKey = new Map();
+    for (const item of Array.isArray(skills) ? skills : []) {
+        for (const raw of String(item ?? '').split(/\s*[,;|]\s*/)) {
+            const text = raw.trim().replace(/\s+/g, ' ');
+            if (!text) continue;
+
+            const known = canonicalSkill(text);
+            const name = known ? known.name : text;
+            const key = normalizeSkill(name);
+            if (!byKey.has(key)) byKey.set(key, { name, category: known ? known.category : null, raw: [] });
+            const entry = byKey.get(key);
+            if (!entry.raw.includes(text)) entry.raw.push(text);
+        }
+    }
+    return [...byKey.values()];
+}
+
+// E.164 ("+994501234567") or null when the digits can't be a phone number. Numbers without a country code
+// get config.normalization.defaultCountryCode, dropping the national trunk 0 ("050 123 45 67").
+function normalizePhoneNumber(phone, countryCode = config.normalization.defaultCountryCode) {
+    const text = String(phone ?? '').trim();
+    let digits = text.replace(/\D/g, '');
+
+    if (text.startsWith('+')) {
+        // Already international
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (countryCode && digits.startsWith(countryCode) && digits.length > countryCode.length + 7) {
+        // International, written without the plus
+    } else if (countryCode) {
+        digits = countryCode + digits.replace(/^0/, '');
+    } else {
+        return null;
+    }
+
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+// "linkedin.com/in/Jane-Doe/" and "https://www.linkedin.com/in/jane-doe?trk=x" are the same profile
+function normalizeLinkedIn(url) {
+    const match = String(url ?? '').match(/linkedin\.com\/in\/([^/?#\s]+)/i);
+    return match ? `https://www.linkedin.com/in/${decodeURIComponent(match[1]).toLowerCase()}` : null;
+}
+
+function normalizeContact(contact) {
+    const fields = contact && typeof contact === 'object' ? contact : { Other: contact };
+    const text = Object.values(fields).filter(value => typeof value === 'string').join(' \n ');
+
+    const emails = new Map();
+    for (const raw of text.match(EMAIL) || []) {
+        const value = normalizeEmail(raw);
+        if (!emails.has(value)) emails.set(value, { raw, value });
+    }
+    const phones = new Map();
+    for (const raw of text.replace(EMAIL, ' ').match(PHONE) || []) {
+        const value = normalizePhoneNumber(raw);
+        const key = value || raw.trim();
+        if (!phones.has(key)) phones.set(key, { raw: raw.trim(), value });
+    }
+
+    return {
+        emails: [...emails.values()],
+        phones: [...phones.values()],
+        linkedIn: fields.LinkedIn ? { raw: fields.LinkedIn, value: normalizeLinkedIn(fields.LinkedIn) } : null
+    };
+}
+
+// 'YYYY-MM', or 'YYYY' when the CV only gives the year
+function isoPoint(date, precision) {
+    const year = String(date.getUTCFullYear()).padStart(4, '0');
+    return precision === 'year' ? year : `${year}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// { raw, start, end, current, iso } with ISO 8601 dates; `iso` is the interval ("2020-01/2022-03", open-ended
+// "2020-01/.." for a current role). Text that isn't a recognizable range keeps only `raw`.
+function normalizeDateRange(text, now = new Date()) {
+    const raw = typeof text === 'string' && text.trim() ? text.trim() : null;
+    const range = parseDateRange(raw, now);
+    if (!range) return { raw, start: null, end: null, current: false, iso: null };
+
+    const start = isoPoint(range.start, range.precision.start);
+    const end = range.current ? null : isoPoint(range.end, range.precision.end);
+    return { raw, start, end, current: range.current, iso: `${start}/${end || '..'}` };
+}
+
+const roundYears = years => Math.round(years * 10) / 10;
+
+// The `normalized` record stored next to an extracted CV. Years of experience are as of `now`, so for
+// current roles they grow stale; code that needs today's figure computes it from the dates again.
+function normalizeCV(result = {}, { now = new Date() } = {}) {
+    const roles = (Array.isArray(result.WorkExperience) ? result.WorkExperience : []).map(role => {
+        const entry = role && typeof role === 'object' ? role : {};
+        const range = parseDateRange(entry.Duration, now);
+        return {
+            range,
+            normalized: {
+                jobTitle: entry.JobTitle || null,
+                company: entry.Company || null,
+                ...normalizeDateRange(entry.Duration, now),
+                years: range ? roundYears(yearsBetween(range.start, range.end)) : null
+            }
+        };
+    });
+
+    const education = (Array.isArray(result.Education) ? result.Education : []).map(entry => {
+        const { Institution, Degree, FieldOfStudy, Dates } = entry && typeof entry === 'object' ? entry : {};
+        const dates = normalizeDateRange(Dates, now);
+        // A single year on a degree is when it was completed, not a one-year course
+        if (dates.start && dates.start === dates.end) Object.assign(dates, { start: null, iso: `../${dates.end}` });
+        return { institution: Institution || null, degree: Degree || null, fieldOfStudy: FieldOfStudy || null, ...dates };
+    });
+
+    const dated = roles.filter(role => role.range);
+    const total = totalYears(dated.map(role => role.range));
+    const summed = dated.reduce((sum, role) => sum + role.normalized.years, 0);
+
+    return {
+        version: NORMALIZATION_VERSION,
+        taxonomyVersion: taxonomyVersion(),
+        normalizedAt: now,
+        contact: normalizeContact(result.ContactInformation),
+        workExperience: roles.map(role => role.normalized),
+        education,
+        experience: {
+            totalYears: total,
+            // Time covered by more than one role at once, counted once in totalYears
+            overlappingYears: Math.max(0, roundYears(summed - total)),
+            undatedRoles: roles.length - dated.length
+        },
+        skills: normalizeSkills(result.Skills)
+    };
+}
+
+module.exports = {
+    NORMALIZATION_VERSION,
+    taxonomyVersion,
+    normalizeSkill,
+    canonicalSkill,
+    normalizeSkills,
+    normalizePhoneNumber,
+    normalizeDateRange,
+    normalizeCV
+};
@@ -0,0 +1,57 @@
+const config = require('../config');
+
+// Check the configured pipeline once so a bad CANDIDATE_PIPELINE fails at startup, not on the first status change
+function loadPipeline(pipeline) {
+    if (!pipeline || typeof pipeline.transitions !== 'object' || Array.isArray(pipeline.transitions)) {
+        throw new Error('Pipeline must define a transitions object');
+    }
+    const stages = Object.keys(pipeline.transitions);
+    if (!stages.includes(pipeline.initial)) {
+        throw new Error(`Initial stage "${pipeline.initial}" is not part of the pipeline`);
+    }
+    for (const [stage, next] of Object.entries(pipeline.transitions)) {
+        if (!Array.isArray(next)) {
+            throw new Error(`Transitions for stage "${stage}" must be an array`);
+        }
+        const unknown = next.filter(target => !stages.includes(target));
+        if (unknown.length) {
+            throw new Error(`Stage "${stage}" points to unknown stage(s): ${unknown.join(', ')}`);
+        }
+    }
+    return { initial: pipeline.initial, stages, transitions: pipeline.transitions };
+}
+
+const pipeline = loadPipeline(config.pipeline);
+
+// The deployment-wide pipeline; workspaces may define their own (see workspaces.js)
+function getPipeline() {
+    return pipeline;
+}
+
+// Returns an error message when the move is not allowed in `current` (the default pipeline unless given), null otherwise
+function validateTransition(from, to, current = pipeline) {
+    if (!current.stages.includes(to)) {
+        return `Unknown status "${to}". Valid statuses: ${current.stages.join(', ')}`;
+    }
+    if (from === to) {
+        return `Candidate is already in status "${to}"`;
+    }
+    // Records created before the pipeline existed may hold a status outside of it; let them re-enter at any stage
+    const allowed = current.transitions[from];
+    if (allowed && !allowed.includes(to)) {
+        return `Cannot move candidate from "${from}" to "${to}". Allowed: ${allowed.join(', ') || 'none'}`;
+    }
+    return null;
+}
+
+function createHistoryEntry(from, to, actor, reason) {
+    return {
+        from: from || null,
+        to,
+        actor: actor || 'anonymous',
+        reason: reason || '',
+        changedAt: new Date()
+    };
+}
+
+module.exports = { loadPipeline, getPipeline, validateTransition, createHistoryEntry };
@@ -0,0 +1,299 @@
+const connectToDatabase = require('../db');
+const config = require('../config');
+const { deleteFile, readFileAsBase64 } = require('./files');
+const { refreshCandidate } = require('./candidateProfiles');
+const { aliasFor, identityTerms, redactCV, scrubText, REDACTED } = require('./redaction');
+const { workspaceSettings } = require('./workspaces');
+const { recordAudit } = require('./audit');
+
+// GDPR tooling: erasing a candidate everywhere their data is kept, anonymizing or purging records once the
+// retention period has passed, and collecting everything held about a candidate for a subject access request.
+
+const RETENTION_ACTOR = { actor: 'system:retention', actorId: 'system:retention' };
+const BATCH_SIZE = 100;
+
+// GridFS refuses to delete a file that is already gone; for erasure that is the outcome we want anyway
+async function removeFile(file) {
+    try {
+        await deleteFile(file.id);
+        return true;
+    } catch (error) {
+        if (/not found/i.test(error.message)) return false;
+        throw error;
+    }
+}
+
+// Profiles left without responses are dropped by refreshCandidate; the references other profiles keep go too
+async function refreshProfiles(db, candidateIds) {
+    for (const candidateId of candidateIds) {
+        const profile = await refreshCandidate(db, candidateId);
+        if (!profile) {
+            await db.collection('candidates').updateMany({ dismissedDuplicates: candidateId }, { $pull: { dismissedDuplicates: candidateId } });
+        }
+    }
+}
+
+const distinctIds = ids => [...new Map(ids.filter(Boolean).map(id => [String(id), id])).values()];
+
+// An upload whose queue item didn't finish (a crash after the CV was stored) still holds the file; drop it, and
+// mark the item so a retry gives up instead of storing the CV again. Resolves with how many items were scrubbed.
+async function scrubQueuedPayloads(db, workspaceId, responses) {
+    const { modifiedCount } = await db.collection('ingestionQueue').updateMany(
+        {
+            workspaceId,
+            kind: { $ne: 'reprocess' },
+            document: { $exists: true },
+            $or: [
+                { _id: { $in: responses.map(response => response.ingestionItemId).filter(Boolean) } },
+                { responseId: { $in: responses.map(response => response._id) } }
+            ]
+        },
+        { $set: { payloadErasedAt: new Date() }, $unset: { document: '' } }
+    );
+    return modifiedCount;
+}
+
+// Deletes responses with their original files, earlier extractions, notes, match results, webhook deliveries and
+// queued upload payloads. Identity reveal logs and the audit log only hold ids and stay as the record of who
+// accessed the data. Resolves with what was removed.
+async function eraseResponses(db, workspaceId, responseIds) {
+    const responses = await db.collection('responses')
+        .find({ workspaceId, _id: { $in: responseIds } }, { projection: { file: 1, candidateId: 1, ingestionItemId: 1 } })
+        .toArray();
+    const ids = responses.map(response => response._id);
+    if (!ids.length) return { responses: 0, files: 0, notes: 0, matchRuns: 0, queueItems: 0 };
+
+    let files = 0;
+    for (const response of responses) {
+        if (response.file && await removeFile(response.file)) files++;
+    }
+
+    const { modifiedCount: matchRuns } = await db.collection('matchRuns').updateMany(
+        { workspaceId, 'results.candidateId': { $in: ids } },
+        { $pull: { results: { candidateId: { $in: ids } } } }
+    );
+    const { deletedCount: notes } = await db.collection('notes').deleteMany({ workspaceId, responseId: { $in: ids } });
+    await db.collection('responseRevisions').deleteMany({ workspaceId, responseId: { $in: ids } });
+    // Webhook payloads can carry the candidate's name
+    await db.collection('webhookDeliveries').deleteMany({ workspaceId, 'payload.data.responseId': { $in: ids } });
+    const queueItems = await scrubQueuedPayloads(db, workspaceId, responses);
+    const { deletedCount } = await db.collection('responses').deleteMany({ workspaceId, _id: { $in: ids } });
+
+    await refreshProfiles(db, distinctIds(responses.map(response => response.candidateId)));
+    return { responses: deletedCount, files, notes, matchRuns, queueItems };
+}
+
+// Erases a candidate profile and every CV version linked to it
+async function eraseCandidate(db, workspaceId, candidateId) {
+    const profile = await db.collection('candidates').findOne({ _id: candidateId, workspaceId });
+    if (!profile) return null;
+
+    const versions = await db.collection('responses').find({ workspaceId, candidateId }, { projection: { _id: 1 } }).toArray();
+    const erased = await eraseResponses(db, workspaceId, versions.map(version => version._id));
+    // refreshCandidate drops the emptied profile; this covers a profile that had no versions to begin with
+    await db.collection('candidates').deleteOne({ _id: candidateId, workspaceId });
+    await db.collection('candidates').updateMany(
+        { workspaceId, $or: [{ possibleDuplicates: candidateId }, { dismissedDuplicates: candidateId }] },
+        { $pull: { possibleDuplicates: candidateId, dismissedDuplicates: candidateId } }
+    );
+    return erased;
+}
+
+// Keeps the record for statistics (skills, experience, pipeline stage, ratings) but removes the person:
+// the CV is redacted under its alias, the file, identity, normalized contact details, earlier extractions,
+// notes, match reasons, webhook deliveries and queued upload payloads are removed and the record is detached
+// from its candidate profile
+async function anonymizeResponses(db, workspaceId, responseIds) {
+    const responses = await db.collection('responses')
+        .find({ workspaceId, _id: { $in: responseIds }, anonymizedAt: { $exists: false } }, { projection: { base64: 0 } })
+        .toArray();
+    if (!responses.length) return { responses: 0, files: 0, notes: 0, matchRuns: 0, queueItems: 0 };
+
+    let files = 0;
+    const now = new Date();
+    for (const response of responses) {
+        const alias = aliasFor(response._id);
+        const known = identityTerms(response.result);
+        const update = {
+            result: redactCV(response.result, { alias }),
+            anonymizedAt: now
+        };
+        if (response.normalized) {
+            update['normalized.contact'] = null;
+        }
+        if (response.translations) {
+            update.translations = Object.fromEntries(Object.entries(response.translations)
+                .map(([language, translation]) => [language, redactCV(translation, { alias })]));
+        }
+        if (response.ratings) {
+            update.ratings = response.ratings.map(rating => ({ ...rating, comment: scrubText(rating.comment, known) }));
+        }
+        if (response.statusHistory) {
+            update.statusHistory = response.statusHistory.map(entry => ({ ...entry, reason: scrubText(entry.reason, known) }));
+        }
+
+        if (response.file && await removeFile(response.file)) files++;
+        await db.collection('responses').updateOne(
+            { _id: response._id },
+            { $set: update, $unset: { identity: '', file: '', base64: '', candidateId: '' } }
+        );
+    }
+
+    const ids = responses.map(response => response._id);
+    const { modifiedCount: matchRuns } = await db.collection('matchRuns').updateMany(
+        { workspaceId, 'results.candidateId': { $in: ids } },
+        { $set: { 'results.$[entry].reasons': REDACTED } },
+        { arrayFilters: [{ 'entry.candidateId': { $in: ids } }] }
+    );
+    const { deletedCount: notes } = await db.collection('notes').deleteMany({ workspaceId, responseId: { $in: ids } });
+    await db.collection('responseRevisions').deleteMany({ workspaceId, responseId: { $in: ids } });
+    await db.collection('webhookDeliveries').deleteMany({ workspaceId, 'payload.data.responseId': { $in: ids } });
+    const queueItems = await scrubQueuedPayloads(db, workspaceId, responses);
+
+    await refreshProfiles(db, distinctIds(responses.map(response => response.candidateId)));
+    return { responses: responses.length, files, notes, matchRuns, queueItems };
+}
+
+// Records past the retention period: created before the cutoff, no pipeline move since, not anonymized yet
+// and not in one of the stages that are kept
+function retentionFilter(workspaceId, cutoff) {
+    return {
+        workspaceId,
+        createdAt: { $lt: cutoff },
+        anonymizedAt: { $exists: false },
+        $or: [{ statusUpdatedAt: { $exists: false } }, { statusUpdatedAt: { $lt: cutoff } }],
+        ...(config.retention.keepStatuses.length && { candidateStatus: { $nin: config.retention.keepStatuses } })
+    };
+}
+
+function retentionCutoff(workspace, now = new Date()) {
+    const { days } = workspaceSettings(workspace).retention;
+    return days > 0 ? new Date(now.getTime() - days * 24 * 60 * 60 * 1000) : null;
+}
+
+// How many records the next retention run would touch in a workspace
+async function retentionPreview(db, workspace) {
+    const { retention } = workspaceSettings(workspace);
+    const cutoff = retentionCutoff(workspace);
+    const due = cutoff ? await db.collection('responses').countDocuments(retentionFilter(workspace._id, cutoff)) : 0;
+    return { ...retention, keepStatuses: config.retention.keepStatuses, cutoff, due };
+}
+
+// Applies the workspace's retention policy in batches and logs the run; resolves with the totals
+async function applyRetention(db, workspace, { actor = RETENTION_ACTOR } = {}) {
+    const { action } = workspaceSettings(workspace).retention;
+    const cutoff = retentionCutoff(workspace);
+    const totals = { responses: 0, files: 0, notes: 0, matchRuns: 0, queueItems: 0 };
+    if (!cutoff) return { action, cutoff, ...totals };
+
+    const apply = action === 'delete' ? eraseResponses : anonymizeResponses;
+    for (;;) {
+        const batch = await db.collection('responses')
+            .find(retentionFilter(workspace._id, cutoff), { projection: { _id: 1 } })
+            .limit(BATCH_SIZE)
+            .toArray();
+        if (!batch.length) break;
+
+        const done = await apply(db, workspace._id, batch.map(response => response._id));
+        for (const key of Object.keys(totals)) totals[key] += done[key];
+        if (!done.responses) break; // Nothing changed; don't loop on the same records
+    }
+
+    if (totals.responses) {
+        await recordAudit(db, {
+            workspaceId: workspace._id,
+            ...actor,
+            action: `retention.${action}`,
+            kind: 'write',
+            targetId: null,
+            details: { cutoff, ...totals }
+        });
+    }
+    return { action, cutoff, ...totals };
+}
+
+let retentionRunning = false;
+
+// Resolves with the totals of every workspace where records were touched (each run is also in the audit
+// log), or null when a run was already in progress or failed
+async function runRetention() {
+    if (retentionRunning) return null;
+    retentionRunning = true;
+    try {
+        const db = await connectToDatabase();
+        const runs = [];
+        for await (const workspace of db.collection('workspaces').find()) {
+            const result = await applyRetention(db, workspace);
+            if (result.responses) runs.push({ workspaceId: workspace._id, ...result });
+        }
+        return runs;
+    } catch (error) {
+        console.error('Retention error:', error);
+        return null;
+    } finally {
+        retentionRunning = false;
+    }
+}
+
+// Runs the retention policies on startup and then every config.retention.intervalMs
+function startRetentionSchedule() {
+    const timer = setInterval(runRetention, config.retention.intervalMs);
+    timer.unref(); // Don't keep the process alive just for the schedule
+    runRetention();
+}
+
+// Everything held about a candidate, for a subject access request. Original files are included as base64
+// when `includeFiles` is set.
+async function collectSubjectData(db, workspaceId, candidateId, { includeFiles = false } = {}) {
+    const profile = await db.collection('candidates').findOne({ _id: candidateId, workspaceId });
+    if (!profile) return null;
+
+    const responses = await db.collection('responses')
+        .find({ workspaceId, candidateId }, { projection: { base64: 0 } })
+        .sort({ createdAt: 1 })
+        .toArray();
+    const ids = responses.map(response => response._id);
+
+    const [notes, revisions, matchRuns, reveals, accessLog] = await Promise.all([
+        db.collection('notes').find({ workspaceId, responseId: { $in: ids } }, { projection: { workspaceId: 0, authorId: 0 } }).sort({ createdAt: 1 }).toArray(),
+        db.collection('responseRevisions').find({ workspaceId, responseId: { $in: ids } }, { projection: { workspaceId: 0 } }).sort({ responseId: 1, revision: 1 }).toArray(),
+        db.collection('matchRuns').find({ workspaceId, 'results.candidateId': { $in: ids } }, { projection: { jobId: 1, 'job.title': 1, createdAt: 1, results: 1 } }).toArray(),
+        db.collection('identityReveals').find({ workspaceId, responseId: { $in: ids } }, { projection: { _id: 0, workspaceId: 0 } }).toArray(),
+        db.collection('auditLog')
+            .find({ workspaceId, targetId: { $in: [candidateId, ...ids].map(String) } }, { projection: { _id: 0, workspaceId: 0, actorId: 0 } })
+            .sort({ at: 1 })
+            .toArray()
+    ]);
+
+    const wanted = new Set(ids.map(String));
+    const cvs = [];
+    for (const { workspaceId: omitted, ...response } of responses) {
+        const cv = { ...response, ratings: (response.ratings || []).map(({ reviewerId, ...rating }) => rating) };
+        if (includeFiles && response.file) cv.fileBase64 = await readFileAsBase64(response);
+        cvs.push(cv);
+    }
+
+    return {
+        exportedAt: new Date(),
+        candidate: { id: profile._id, names: profile.names, emails: profile.emails, phones: profile.phones, createdAt: profile.createdAt },
+        cvs,
+        earlierExtractions: revisions,
+        notes,
+        matchResults: matchRuns.flatMap(run => run.results
+            .filter(result => wanted.has(String(result.candidateId)))
+            .map(result => ({ matchRunId: run._id, jobId: run.jobId, jobTitle: run.job?.title, matchedAt: run.createdAt, ...result }))),
+        identityReveals: reveals,
+        accessLog
+    };
+}
+
+module.exports = {
+    eraseResponses,
+    eraseCandidate,
+    anonymizeResponses,
+    retentionPreview,
+    applyRetention,
+    runRetention,
+    startRetentionSchedule,
+    collectSubjectData
+};
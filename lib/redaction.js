@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Blind hiring: anonymized copies of extracted CVs for matching and review. Names, contact details,
+// age, gender, nationality and addresses are removed or masked; skills, roles, education and languages stay.
+
+const REDACTED = '[redacted]';
+
+// Free-form keys (mostly in OtherDetails) that describe the person rather than their work
+const personalKey = /^(dateofbirth|dob|birth(date|day|place)?|placeofbirth|age|gender|sex|nationality|citizenship|maritalstatus|familystatus|religion|photo|picture|image|avatar|height|weight|militaryservice|passport|idnumber|children|address|email|phone|mobile|linkedin)$/;
+
+const dateRange = /^(?:\d{1,2}[./-])?\d{4}\s*[-–]\s*(?:\d{1,2}[./-])?\d{4}$/;
+
+const textPatterns = [
+    [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, REDACTED], // e-mail addresses
+    [/(?:https?:\/\/|www\.)\S+|\b(?:linkedin|facebook|instagram|github|t\.me)\.(?:com|me)?\/?\S*/gi, REDACTED], // profile links
+    // Phone numbers: nine digits or more, but not date ranges like "01.2019 - 03.2021"
+    [/\+?\d[\d\s().-]{7,}\d/g, match => (match.replace(/\D/g, '').length < 9 || dateRange.test(match.trim()) ? match : REDACTED)],
+    [/\b(?:date of birth|d\.?o\.?b\.?|born(?: on| in)?|birth ?date)\b[:\s]*[^,;\n]{0,30}/gi, REDACTED],
+    [/\b(?:age[d]?[:\s]+\d{2}|\d{2}\s*(?:years|yrs)[\s-]+old)\b/gi, REDACTED],
+    [/\b(?:nationality|citizenship|citizen of|gender|sex|marital status)\b[:\s]*[^,;.\n]*/gi, REDACTED]
+];
+
+// Only for prose (summaries, descriptions, notes): in lists of skills and languages the same words are part
+// of names like "MS Office" or "MS SQL Server"
+const proseOnlyPatterns = [
+    [/\b(?:Mr|Mrs|Ms|Miss)\.?\s+(?=[A-Z])/g, ''], // Honorifics, when a name follows
+    [/\b(?:male|female)\b/gi, ''],
+    // Gendered pronouns become neutral ones so the text stays readable
+    [/\b(?:he|she)\b/gi, 'they'],
+    [/\b(?:him)\b/gi, 'them'],
+    [/\b(?:his|her|hers)\b/gi, 'their']
+];
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields of an extracted CV that hold short names rather than prose
+const listFields = new Set(['Skills', 'Languages']);
+
+// Stable pseudonym, so the same CV gets the same label in every list and match run
+function aliasFor(id) {
+    return `Candidate ${crypto.createHash('sha256').update(String(id)).digest('hex').slice(0, 6).toUpperCase()}`;
+}
+
+// Removes the identity signals from free text; `known` holds the candidate's own name parts and address.
+// `prose: false` is for names such as skills, which keep honorific-like and gendered words.
+function scrubText(value, known, { prose = true } = {}) {
+    if (typeof value !== 'string' || !value) return value;
+    let text = value;
+    // Patterns first, so an e-mail address containing the name is removed as a whole
+    for (const [pattern, replacement] of prose ? [...textPatterns, ...proseOnlyPatterns] : textPatterns) {
+        text = text.replace(pattern, replacement);
+    }
+    for (const item of known) {
+        text = text.replace(new RegExp(`(?<!\\p{L})${escapeRegExp(item)}(?!\\p{L})`, 'giu'), REDACTED);
+    }
+    return text.replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+function scrubValue(value, known, options = {}) {
+    if (typeof value === 'string') return scrubText(value, known, options);
+    if (Array.isArray(value)) return value.map(item => scrubValue(item, known, options));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !personalKey.test(key.toLowerCase().replace(/[^a-z]/g, '')))
+            .map(([key, item]) => [key, scrubValue(item, known, listFields.has(key) ? { prose: false } : options)]));
+    }
+    return value;
+}
+
+// Only the last part of an address (usually the city or country) is kept
+function maskAddress(address) {
+    if (typeof address !== 'string' || !address.trim()) return '';
+    const parts = address.split(',').map(part => part.trim()).filter(Boolean);
+    return parts.length > 1 ? parts[parts.length - 1] : REDACTED;
+}
+
+// Name parts (two letters or more) and the full address of a CV, longest first; these are removed wherever they are repeated
+function identityTerms(result) {
+    if (!result || typeof result !== 'object') return [];
+    return [
+        ...String(result.Name || '').split(/\s+/).filter(part => part.replace(/\P{L}/gu, '').length > 1),
+        (result.ContactInformation || {}).Address
+    ].filter(item => typeof item === 'string' && item.trim()).sort((a, b) => b.length - a.length);
+}
+
+// Anonymized copy of an extracted CV. The result keeps the schema shape; the original is left untouched.
+function redactCV(result, { alias = 'Candidate' } = {}) {
+    if (!result || typeof result !== 'object') return result;
+    const contact = result.ContactInformation || {};
+
+    const redacted = scrubValue(result, identityTerms(result));
+    redacted.Name = alias;
+    redacted.ContactInformation = {
+        Email: contact.Email ? REDACTED : '',
+        Phone: contact.Phone ? REDACTED : '',
+        Address: maskAddress(contact.Address),
+        LinkedIn: contact.LinkedIn ? REDACTED : '',
+        Other: contact.Other ? REDACTED : ''
+    };
+    return redacted;
+}
+
+module.exports = { REDACTED, aliasFor, identityTerms, redactCV, scrubText };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { promptVersion } = require('./matchRuns');
+const { EXTRACTOR_VERSION } = require('./extract');
+const { SCHEMA_VERSION } = require('./cvSchema');
+const { normalizeCV } = require('./normalization');
+
+// Which extraction pipeline produced a CV, and the extractions a reprocessing replaced. Every processed CV
+// is stamped with `processing` (prompt hash, model, extractor and schema versions). Reprocessing moves the
+// extraction it replaces to `responseRevisions`, one document per revision, so any two can be compared.
+// Revisions are numbered from 1; the record in `responses` holds the newest one (`revision`, 1 when absent).
+
+// The fields of a `responses` record that belong to one extraction
+const REVISED_FIELDS = ['result', 'normalized', 'validation', 'language', 'translations', 'identity', 'processing'];
+
+// `version` is a short hash over the other parts, so "everything out of date" is one equality check.
+// Normalization isn't part of it: it needs no model call and is redone by POST /api/responses/normalize.
+function processingStamp({ prompt, model }) {
+    const parts = {
+        promptVersion: promptVersion(prompt),
+        model,
+        extractorVersion: EXTRACTOR_VERSION,
+        schemaVersion: SCHEMA_VERSION
+    };
+    const version = crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 12);
+    return { version, ...parts };
+}
+
+// Responses not produced by the given stamp, including ones from before stamping
+const outdatedFilter = stamp => ({ 'processing.version': { $ne: stamp.version } });
+
+const revisionOf = response => response.revision || 1;
+
+// Moves the response's current extraction into `responseRevisions`. The unique { responseId, revision }
+// index makes this fail when another reprocessing of the same record got there first. `ingestionItemId` is
+// the reprocessing queue item, so a retry of it can tell that the extraction was already replaced.
+async function saveRevision(db, response, { actor, reason, ingestionItemId }) {
+    const revision = {
+        workspaceId: response.workspaceId,
+        responseId: response._id,
+        revision: revisionOf(response),
+        ...Object.fromEntries(REVISED_FIELDS.map(field => [field, response[field] ?? null])),
+        processedAt: response.processing?.processedAt || response.createdAt,
+        replacedAt: new Date(),
+        replacedBy: actor,
+        reason: reason || null,
+        ...(ingestionItemId && { ingestionItemId })
+    };
+    await db.collection('responseRevisions').insertOne(revision);
+    return revision;
+}
+
+// The current extraction of a response, in the shape of a stored revision
+function currentRevision(response) {
+    return {
+        responseId: response._id,
+        revision: revisionOf(response),
+        ...Object.fromEntries(REVISED_FIELDS.map(field => [field, response[field] ?? null])),
+        processedAt: response.processing?.processedAt || response.createdAt,
+        current: true
+    };
+}
+
+function formatRevision(revision, { includeData = false } = {}) {
+    return {
+        revision: revision.revision,
+        current: Boolean(revision.current),
+        processing: revision.processing,
+        processedAt: revision.processedAt,
+        valid: revision.validation ? revision.validation.valid : null,
+        replacedAt: revision.replacedAt || null,
+        replacedBy: revision.replacedBy || null,
+        reason: revision.reason || null,
+        ...(includeData && {
+            result: revision.result,
+            normalized: revision.normalized,
+            translations: revision.translations,
+            language: revision.language,
+            validation: revision.validation
+        })
+    };
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPrimitive = value => value === null || typeof value !== 'object';
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field-level changes from `before` to `after`: [{ path, before, after }], or [{ path, added, removed }]
+// for lists of plain values such as Skills, where only membership matters
+function diffValues(before, after, path = '') {
+    if (same(before, after)) return [];
+
+    if (Array.isArray(before) && Array.isArray(after) && [...before, ...after].every(isPrimitive)) {
+        const added = after.filter(value => !before.includes(value));
+        const removed = before.filter(value => !after.includes(value));
+        return added.length || removed.length ? [{ path, added, removed }] : [];
+    }
+    if ((isPlainObject(before) && isPlainObject(after)) || (Array.isArray(before) && Array.isArray(after))) {
+        const keys = Array.isArray(before)
+            ? [...Array(Math.max(before.length, after.length)).keys()]
+            : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys.flatMap(key => diffValues(
+            before[key],
+            after[key],
+            Array.isArray(before) ? `${path}[${key}]` : path ? `${path}.${key}` : key
+        ));
+    }
+    return [{ path, before: before ?? null, after: after ?? null }];
+}
+
+// What changed in the extraction from `base` to `target` (both stored or current revisions)
+function diffRevisions(base, target) {
+    // Extractions from before normalization existed are normalized on the fly
+    const [before, after] = [base, target].map(revision => revision.normalized || normalizeCV(revision.result || {}));
+    const [skillChanges = { added: [], removed: [] }] = diffValues(
+        before.skills.map(skill => skill.name),
+        after.skills.map(skill => skill.name)
+    );
+    return {
+        base: formatRevision(base),
+        target: formatRevision(target),
+        samePipeline: (base.processing?.version ?? null) === (target.processing?.version ?? null),
+        changes: diffValues(base.result || {}, target.result || {}),
+        // Canonical skills and experience, so renamed or reworded skills don't show up as changes
+        skills: { added: skillChanges.added, removed: skillChanges.removed },
+        totalYears: { before: before.experience.totalYears, after: after.experience.totalYears }
+    };
+}
+
+module.exports = {
+    processingStamp,
+    outdatedFilter,
+    revisionOf,
+    saveRevision,
+    currentRevision,
+    formatRevision,
+    diffValues,
+    diffRevisions
+};
@@ -0,0 +1,326 @@
+const { yearsOfExperience } = require('./experience');
+const { NORMALIZATION_VERSION, normalizeSkill, canonicalSkill } = require('./normalization');
+
+// Candidate search over extracted CVs. A search has an optional free-text query, a filter tree and
+// nice-to-have skills that only affect ranking:
+//   { q: 'backend', filter: { and: [{ skills: ['Node.js'] }, { or: [{ language: 'English', proficiency: 'B2' }, { minYears: 5 }] }] },
+//     niceToHaveSkills: ['Docker'] }
+// Leaves: { skills: [...] } (all required), { anySkill: [...] }, { language, proficiency? }, { degree }, { minYears }.
+// Combinators: { and: [...] }, { or: [...] }, { not: {...} }.
+
+const proficiencyLevels = [
+    [/\b(c2|native|mother tongue|bilingual|ana dili|родной)\b/i, 6],
+    [/\b(c1|fluent|advanced|proficient|professional)\b/i, 5],
+    [/\b(b2|upper[- ]intermediate)\b/i, 4],
+    [/\b(b1|intermediate|conversational|good)\b/i, 3],
+    [/\b(a2|elementary|pre[- ]intermediate|basic)\b/i, 2],
+    [/\b(a1|beginner)\b/i, 1]
+];
+
+const degreeLevels = [
+    [/\b(ph\.?\s?d|doctor(ate)?|dphil|doktor)/i, 5],
+    [/\b(master|m\.?sc|m\.?a\b|mba|m\.?eng|magist)/i, 4],
+    [/\b(bachelor|b\.?sc|b\.?a\b|b\.?eng|b\.?s\b|bakalavr|licen)/i, 3],
+    [/\b(associate|college|diploma|vocational)/i, 2],
+    [/\b(high school|secondary|lyceum|gymnasium)/i, 1]
+];
+
+const degreeNames = { highschool: 1, associate: 2, bachelor: 3, master: 4, phd: 5 };
+
+function levelOf(text, levels) {
+    if (!text) return 0;
+    const found = levels.find(([pattern]) => pattern.test(String(text)));
+    return found ? found[1] : 0;
+}
+
+const proficiencyOf = text => levelOf(text, proficiencyLevels);
+const degreeLevelOf = text => (degreeNames[String(text).toLowerCase().replace(/[^a-z]/g, '')] || levelOf(text, degreeLevels));
+
+function skillMatches(candidateSkill, wanted) {
+    const have = normalizeSkill(candidateSkill);
+    const want = normalizeSkill(wanted);
+    if (!want) return false;
+    if (have === want) return true;
+    // Synonyms from the skill taxonomy: "JS" satisfies "JavaScript"
+    const canonical = canonicalSkill(wanted);
+    if (canonical && canonicalSkill(candidateSkill) === canonical) return true;
+    // "JavaScript ES6" satisfies "JavaScript", but "Java" must not match "JavaScript"
+    return String(candidateSkill).toLowerCase().split(/[\s,/()]+/).some(token => normalizeSkill(token) === want);
+}
+
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex that matches every spelling of a stored skill skillMatches() would accept (and some it rejects);
+// taxonomy synonyms are left to skillPrefilter
+function looseSkillPattern(skill) {
+    const letters = [...normalizeSkill(skill)].map(escapeRegex);
+    return new RegExp(letters.join('[\\s._-]*'), 'i');
+}
+
+// MongoDB condition for responses that may have all of the skills, by spelling in the raw CV or by
+// canonical name in the normalized one
+function skillPrefilter(skills) {
+    return skills.map(skill => {
+        const canonical = canonicalSkill(skill);
+        const spelled = { 'result.Skills': looseSkillPattern(skill) };
+        return canonical ? { $or: [spelled, { 'normalized.skills.name': canonical.name }] } : spelled;
+    });
+}
+
+const hasSkill = (profile, wanted) => profile.skills.some(skill => skillMatches(skill, wanted));
+
+// Derived, search-friendly view of an extracted CV; computed once per candidate per search
+function buildProfile(result = {}) {
+    const skills = Array.isArray(result.Skills) ? result.Skills.map(String) : [];
+    const languages = Array.isArray(result.Languages) ? result.Languages : [];
+    const education = Array.isArray(result.Education) ? result.Education : [];
+
+    return {
+        skills,
+        languages: languages.map(entry => ({
+            name: String(entry && (entry.Language || entry) || '').toLowerCase(),
+            level: proficiencyOf(entry && entry.Proficiency)
+        })),
+        degreeLevel: Math.max(0, ...education.map(entry => degreeLevelOf(entry && `${entry.Degree || ''} ${entry.FieldOfStudy || ''}`))),
+        years: yearsOfExperience(result.WorkExperience)
+    };
+}
+
+function matchesLeaf(leaf, profile) {
+    if (leaf.skills) return [].concat(leaf.skills).every(skill => hasSkill(profile, skill));
+    if (leaf.anySkill) return [].concat(leaf.anySkill).some(skill => hasSkill(profile, skill));
+    if (leaf.language) {
+        const wantedLevel = proficiencyOf(leaf.proficiency);
+        return profile.languages.some(language => language.name.includes(String(leaf.language).toLowerCase())
+            && language.level >= wantedLevel);
+    }
+    if (leaf.degree) return profile.degreeLevel >= degreeLevelOf(leaf.degree);
+    if (leaf.minYears !== undefined) return profile.years >= Number(leaf.minYears);
+    throw new Error(`Unknown search filter: ${JSON.stringify(leaf)}`);
+}
+
+function matchesFilter(filter, profile) {
+    if (!filter) return true;
+    if (filter.and) return filter.and.every(child => matchesFilter(child, profile));
+    if (filter.or) return filter.or.some(child => matchesFilter(child, profile));
+    if (filter.not) return !matchesFilter(filter.not, profile);
+    return matchesLeaf(filter, profile);
+}
+
+// Check the tree up front so a typo is a 400, not a silent empty result
+function validateFilter(filter) {
+    if (!filter) return;
+    if (typeof filter !== 'object' || Array.isArray(filter)) throw new Error('Each search filter must be an object');
+    if (filter.and || filter.or) {
+        const children = filter.and || filter.or;
+        if (!Array.isArray(children)) throw new Error('"and" and "or" take an array of filters');
+        children.forEach(validateFilter);
+        return;
+    }
+    if (filter.not) return validateFilter(filter.not);
+    const leafKeys = ['skills', 'anySkill', 'language', 'degree', 'minYears'];
+    if (!leafKeys.some(key => filter[key] !== undefined)) {
+        throw new Error(`Unknown search filter ${JSON.stringify(filter)}. Use and/or/not or one of: ${leafKeys.join(', ')}`);
+    }
+    if (filter.degree && !degreeLevelOf(filter.degree)) {
+        throw new Error(`Unknown degree "${filter.degree}". Use one of: ${Object.keys(degreeNames).join(', ')}`);
+    }
+}
+
+// MongoDB condition every candidate matching `filter` meets, and some that don't: the database narrows the
+// candidates and matchesFilter() decides. null when a filter can't be narrowed in the database.
+function filterQuery(filter) {
+    if (!filter) return null;
+    if (filter.and) {
+        const conditions = filter.and.map(filterQuery).filter(Boolean);
+        return conditions.length ? { $and: conditions } : null;
+    }
+    if (filter.or) {
+        const conditions = filter.or.map(filterQuery);
+        return conditions.length && conditions.every(Boolean) ? { $or: conditions } : null;
+    }
+    // The leaf conditions are looser than the leaves, so negating one would drop candidates that pass
+    if (filter.not) return null;
+    return leafQuery(filter);
+}
+
+function leafQuery(leaf) {
+    if (leaf.skills) {
+        const skills = [].concat(leaf.skills);
+        return skills.length ? { $and: skillPrefilter(skills) } : null;
+    }
+    if (leaf.anySkill) {
+        const skills = [].concat(leaf.anySkill);
+        return skills.length ? { $or: skillPrefilter(skills) } : null;
+    }
+    if (leaf.language) {
+        // Languages are stored as { Language, Proficiency } or plain strings; the level is checked afterwards
+        const name = new RegExp(escapeRegex(leaf.language), 'i');
+        return { $or: [{ 'result.Languages.Language': name }, { 'result.Languages': name }] };
+    }
+    if (leaf.degree) {
+        const wanted = degreeLevelOf(leaf.degree);
+        const patterns = [
+            ...degreeLevels.filter(([, level]) => level >= wanted).map(([pattern]) => pattern),
+            // "High-School" or "PHD" written as the whole degree
+            ...Object.entries(degreeNames).filter(([, level]) => level >= wanted)
+                .map(([name]) => new RegExp(`^[^a-z]*${[...name].join('[^a-z]*')}[^a-z]*$`, 'i'))
+        ];
+        return { $or: ['result.Education.Degree', 'result.Education.FieldOfStudy'].flatMap(path => patterns.map(pattern => ({ [path]: pattern }))) };
+    }
+    if (leaf.minYears !== undefined) {
+        const years = Number(leaf.minYears);
+        if (!(years > 0)) return null;
+        // Stored totals are as of normalization: current roles have grown since, and older records may lack them
+        return {
+            $or: [
+                { 'normalized.experience.totalYears': { $gte: years } },
+                { 'normalized.workExperience.current': true },
+                { 'normalized.version': { $ne: NORMALIZATION_VERSION } }
+            ]
+        };
+    }
+    return null;
+}
+
+// Searchable text fields and how much a hit in each counts towards relevance. `stored` are the paths the
+// text lives at when it differs from `path`; `freeForm` fields may hold objects or numbers the database can't search.
+const textFields = [
+    { path: 'Name', weight: 3, get: r => [r.Name] },
+    { path: 'Skills', weight: 3, get: r => r.Skills },
+    { path: 'WorkExperience.JobTitle', weight: 2.5, get: r => (r.WorkExperience || []).map(w => w && w.JobTitle) },
+    { path: 'Summary', weight: 1.5, get: r => [r.Summary] },
+    { path: 'Certifications', weight: 1.5, freeForm: true, get: r => r.Certifications },
+    { path: 'WorkExperience.Company', weight: 1, get: r => (r.WorkExperience || []).map(w => w && w.Company) },
+    { path: 'WorkExperience.Description', weight: 1, get: r => (r.WorkExperience || []).map(w => w && w.Description) },
+    { path: 'Education', stored: ['Education.Degree', 'Education.FieldOfStudy', 'Education.Institution'], weight: 1, get: r => (r.Education || []).map(e => e && [e.Degree, e.FieldOfStudy, e.Institution].join(' ')) },
+    { path: 'Projects', weight: 1, freeForm: true, get: r => r.Projects },
+    { path: 'Achievements', weight: 0.5, freeForm: true, get: r => r.Achievements },
+    { path: 'OtherDetails', weight: 0.5, freeForm: true, get: r => [r.OtherDetails] }
+];
+
+const tokenize = text => String(text).toLowerCase().split(/[^\p{L}\p{N}+#]+/u).filter(term => term.length > 1);
+
+// MongoDB condition for candidates that may contain one of the terms; scoreText() decides on whole-word prefixes
+function textQuery(terms) {
+    const paths = textFields.flatMap(field => (field.stored || [field.path]).map(path => `result.${path}`));
+    return {
+        $or: [
+            ...terms.flatMap(term => paths.map(path => ({ [path]: new RegExp(escapeRegex(term), 'i') }))),
+            ...textFields.filter(field => field.freeForm).map(field => ({ [`result.${field.path}`]: { $type: ['object', 'number', 'bool'] } }))
+        ]
+    };
+}
+
+const asText = value => (value && typeof value === 'object' ? Object.values(value).join(' ') : String(value ?? ''));
+
+// Short plain-text excerpt around the first hit; clients mark up the returned terms themselves
+function snippet(text, terms) {
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(position => position >= 0));
+    const start = Number.isFinite(first) ? Math.max(0, first - 40) : 0;
+    const excerpt = text.slice(start, start + 160);
+    return `${start > 0 ? '…' : ''}${excerpt}${start + 160 < text.length ? '…' : ''}`;
+}
+
+function scoreText(result, terms) {
+    let score = 0;
+    const highlights = [];
+    const matchedTerms = new Set();
+
+    for (const field of textFields) {
+        const values = [].concat(field.get(result) || []).filter(value => value !== undefined && value !== null);
+        for (const value of values) {
+            const text = asText(value);
+            const tokens = tokenize(text);
+            const hits = terms.filter(term => tokens.some(token => token.startsWith(term)));
+            if (!hits.length) continue;
+            hits.forEach(term => matchedTerms.add(term));
+            score += field.weight * hits.length;
+            highlights.push({ field: field.path, snippet: snippet(text, hits), terms: hits });
+        }
+    }
+
+    // Profiles that cover every term rank above ones that repeat a single term many times
+    score *= matchedTerms.size / terms.length;
+    return { score, highlights, matchedTerms: [...matchedTerms] };
+}
+
+// Collect the skills named anywhere in the filter tree so they can be highlighted
+function filterSkills(filter) {
+    if (!filter) return [];
+    if (filter.and || filter.or) return (filter.and || filter.or).flatMap(filterSkills);
+    if (filter.not) return [];
+    return [].concat(filter.skills || [], filter.anySkill || []);
+}
+
+// Scores one candidate; resolves to null when it doesn't pass the filters or shares no term with the query
+function evaluateCandidate(response, search) {
+    const result = response.result || {};
+    const profile = buildProfile(result);
+    if (!matchesFilter(search.filter, profile)) return null;
+
+    const terms = search.q ? tokenize(search.q) : [];
+    const text = terms.length ? scoreText(result, terms) : { score: 0, highlights: [], matchedTerms: [] };
+    if (terms.length && !text.matchedTerms.length) return null;
+
+    const matchedSkills = filterSkills(search.filter).filter(skill => hasSkill(profile, skill));
+    const matchedNiceToHave = (search.niceToHaveSkills || []).filter(skill => hasSkill(profile, skill));
+    const skillHighlights = [...new Set([...matchedSkills, ...matchedNiceToHave])]
+        .map(skill => ({ field: 'Skills', snippet: profile.skills.filter(have => skillMatches(have, skill)).join(', '), terms: [skill] }));
+
+    return {
+        score: Math.round((text.score + matchedNiceToHave.length * 2 + matchedSkills.length) * 100) / 100,
+        matched: {
+            terms: text.matchedTerms,
+            skills: matchedSkills,
+            niceToHaveSkills: matchedNiceToHave
+        },
+        highlights: [...text.highlights, ...skillHighlights],
+        yearsOfExperience: profile.years,
+        degreeLevel: profile.degreeLevel
+    };
+}
+
+// MongoDB conditions (to combine with $and) that every candidate evaluateCandidate() accepts meets, so only those
+// are read and scored. Leave out `text` when the candidates are scored in redacted form, whose wording the
+// stored CVs don't share.
+function searchQuery(search, { text = true } = {}) {
+    const conditions = [];
+    const filter = filterQuery(search.filter);
+    if (filter) conditions.push(filter);
+    const terms = search.q ? tokenize(search.q) : [];
+    if (text && terms.length) conditions.push(textQuery(terms));
+    return conditions;
+}
+
+// Builds a search from either a JSON body or query-string parameters (GET):
+// ?q=&mustHave=a,b&niceToHave=c&language=English&proficiency=B2&degree=master&minYears=3
+function parseSearch(input) {
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(',')).map(item => String(item).trim()).filter(Boolean);
+    const conditions = [];
+
+    const mustHave = list(input.mustHaveSkills || input.mustHave);
+    if (mustHave.length) conditions.push({ skills: mustHave });
+    if (input.language) conditions.push({ language: input.language, proficiency: input.proficiency });
+    if (input.degree) conditions.push({ degree: input.degree });
+    if (input.minYears !== undefined && input.minYears !== '') {
+        if (Number.isNaN(Number(input.minYears))) throw new Error('minYears must be a number');
+        conditions.push({ minYears: Number(input.minYears) });
+    }
+    if (input.filter) conditions.push(input.filter);
+
+    const filter = conditions.length === 0 ? null : conditions.length === 1 ? conditions[0] : { and: conditions };
+    validateFilter(filter);
+
+    return {
+        q: input.q ? String(input.q) : '',
+        filter,
+        niceToHaveSkills: list(input.niceToHaveSkills || input.niceToHave),
+        mustHaveSkills: mustHave
+    };
+}
+
+module.exports = {
+    parseSearch, searchQuery, evaluateCandidate, buildProfile, skillMatches, normalizeSkill, looseSkillPattern, skillPrefilter, proficiencyOf, degreeLevelOf, tokenize
+};
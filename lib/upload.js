@@ -0,0 +1,62 @@
+const { SUPPORTED_TYPES, detectFileType } = require('./fileType');
+
+// multer storage engine that keeps files in memory like multer.memoryStorage(), but turns files over
+// the per-file or per-batch size limit, and files of an unsupported type, into per-file rejections
+// instead of failing the whole request
+function createUploadStorage({ maxFileBytes, maxBatchBytes }) {
+    return {
+        _handleFile(req, file, cb) {
+            req.uploadedBytes = req.uploadedBytes || 0;
+            const chunks = [];
+            let size = 0;
+            let rejection = null;
+
+            file.stream.on('data', chunk => {
+                size += chunk.length;
+                if (rejection) return;
+                if (size > maxFileBytes) {
+                    rejection = `File is larger than the ${formatBytes(maxFileBytes)} per-file limit`;
+                } else if (req.uploadedBytes + size > maxBatchBytes) {
+                    rejection = `Upload exceeds the ${formatBytes(maxBatchBytes)} per-batch limit`;
+                } else {
+                    chunks.push(chunk);
+                    return;
+                }
+                chunks.length = 0; // Keep draining the stream, but stop holding on to it
+            });
+            file.stream.on('error', cb);
+            file.stream.on('end', () => {
+                if (rejection) return cb(null, { size, rejection });
+
+                const buffer = Buffer.concat(chunks);
+                req.uploadedBytes += size;
+                if (!size) return cb(null, { size, rejection: 'File is empty' });
+
+                const detectedType = detectFileType(buffer);
+                if (!detectedType) {
+                    return cb(null, { size, rejection: `Unsupported file type (supported: ${SUPPORTED_TYPES.join(', ')})` });
+                }
+                cb(null, { buffer, size, detectedType });
+            });
+        },
+        _removeFile(req, file, cb) {
+            delete file.buffer;
+            cb(null);
+        }
+    };
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))}MB` : `${Math.round(bytes / 1024)}KB`;
+}
+
+// Translates multer's request-level errors into a message for the client
+function uploadErrorMessage(error, { maxFiles }) {
+    switch (error.code) {
+        case 'LIMIT_FILE_COUNT': return `Too many files: at most ${maxFiles} per upload`;
+        case 'LIMIT_UNEXPECTED_FILE': return `Unexpected file field "${error.field}"; send files in the "files" field`;
+        default: return error.message;
+    }
+}
+
+module.exports = { createUploadStorage, uploadErrorMessage, formatBytes };
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const connectToDatabase = require('../db');
+const config = require('../config');
+
+// Webhook subscriptions (`webhooks`) and their deliveries (`webhookDeliveries`). Every event is stored as one
+// delivery per subscribed webhook and sent by a worker that claims deliveries with a lease, like the ingestion
+// queue, so a delivery survives restarts and is sent by one server only. Failed attempts are retried with
+// exponential backoff; every attempt is kept on the delivery.
+//
+// Requests carry these headers; the signature is an HMAC-SHA256 of `<timestamp>.<body>` with the webhook's secret:
+//   X-Webhook-Id, X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp, X-Webhook-Signature: sha256=<hex>
+//
+// Webhooks are set up by workspace admins, so they may only reach public addresses: loopback, private,
+// link-local and other reserved ranges are refused when the URL is saved and again for every address the
+// host name resolves to when a request is made (WEBHOOK_ALLOW_PRIVATE_NETWORKS=true lifts this for local setups).
+// Only the status code of the receiver's answer is kept.
+
+const EVENTS = ['cv.processed', 'cv.failed', 'candidate.status_changed', 'match_run.completed'];
+
+let started = false;
+let active = 0;
+let draining = false;
+
+const createSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+// Addresses a webhook must not reach: this host, private networks, cloud metadata services and reserved ranges
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+    blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+    if (config.webhooks.allowPrivateNetworks) return false;
+    const family = net.isIP(address);
+    if (!family) return false;
+    // IPv4-mapped IPv6 ("::ffff:127.0.0.1") is checked as the IPv4 address it stands for
+    const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+    return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that fails for blocked addresses. The agents below connect through it, so the address checked
+// is the address connected to, even when the host name resolves differently between saving and sending.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to ${blocked.address}, which webhooks may not reach`);
+            refused.code = 'EBLOCKEDADDRESS';
+            return callback(refused);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Resolves with { value, errors }; `partial` is for updates where missing fields stay as they are
+function validateWebhook(input = {}, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (input.url !== undefined || !partial) {
+        let url = null;
+        try {
+            url = new URL(String(input.url || ''));
+        } catch (error) {
+            // Reported below
+        }
+        // Host names are checked again when they are resolved for each delivery
+        const host = url && url.hostname.replace(/^\[|\]$/g, '');
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.push('url must be an http(s) URL');
+        } else if (!config.webhooks.allowPrivateNetworks && (isBlockedAddress(host) || /^localhost$|\.localhost$/i.test(host))) {
+            errors.push('url must point to a public address, not a local, private or link-local one');
+        } else {
+            value.url = url.toString();
+        }
+    }
+    if (input.events !== undefined || !partial) {
+        const events = Array.isArray(input.events) ? input.events : [];
+        const unknown = events.filter(event => !EVENTS.includes(event));
+        if (!events.length) {
+            errors.push(`events must list at least one of: ${EVENTS.join(', ')}`);
+        } else if (unknown.length) {
+            errors.push(`Unknown event(s): ${unknown.join(', ')}. Use: ${EVENTS.join(', ')}`);
+        } else {
+            value.events = [...new Set(events)];
+        }
+    }
+    if (input.description !== undefined) {
+        value.description = String(input.description).trim();
+    }
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') {
+            errors.push('active must be true or false');
+        } else {
+            value.active = input.active;
+        }
+    }
+
+    return { value, errors };
+}
+
+// The secret is only shown when the webhook is created or its secret is rotated
+function formatWebhook(webhook, { includeSecret = false } = {}) {
+    return {
+        id: webhook._id,
+        url: webhook.url,
+        events: webhook.events,
+        description: webhook.description || '',
+        active: webhook.active,
+        ...(includeSecret && { secret: webhook.secret }),
+        createdBy: webhook.createdBy,
+        createdAt: webhook.createdAt,
+        updatedAt: webhook.updatedAt
+    };
+}
+
+// Deliveries from before response bodies were dropped may still hold one; it isn't shown
+const formatAttempt = ({ responseBody, ...attempt }) => attempt;
+
+function formatDelivery(delivery, { includePayload = false } = {}) {
+    const attempts = delivery.attempts.map(formatAttempt);
+    return {
+        id: delivery._id,
+        webhookId: delivery.webhookId,
+        event: delivery.event,
+        status: delivery.status,
+        attemptCount: attempts.length,
+        lastAttempt: attempts[attempts.length - 1] || null,
+        nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+        replayOf: delivery.replayOf || null,
+        createdAt: delivery.createdAt,
+        deliveredAt: delivery.deliveredAt || null,
+        ...(includePayload && { payload: delivery.payload, attempts })
+    };
+}
+
+function newDelivery(webhook, event, payload, extra = {}) {
+    const now = new Date();
+    return {
+        workspaceId: webhook.workspaceId,
+        webhookId: webhook._id,
+        event,
+        payload,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: now,
+        createdAt: now,
+        ...extra
+    };
+}
+
+// Queues the event for every active webhook of the workspace subscribed to it. Never throws: a webhook
+// problem must not fail the upload, status change or match run that triggered it.
+async function emitEvent(db, workspaceId, event, data) {
+    try {
+        const webhooks = await db.collection('webhooks').find({ workspaceId, active: true, events: event }).toArray();
+        if (!webhooks.length) return;
+
+        const payload = { event, workspaceId, occurredAt: new Date(), data };
+        await db.collection('webhookDeliveries').insertMany(webhooks.map(webhook => newDelivery(webhook, event, payload)));
+        drain();
+    } catch (error) {
+        console.error(`Webhook Error [${event}]:`, error);
+    }
+}
+
+// Sends the same payload again as a new delivery (signed with the webhook's current secret)
+async function replayDelivery(db, delivery) {
+    const webhook = await db.collection('webhooks').findOne({ _id: delivery.webhookId });
+    if (!webhook) return null;
+
+    const replay = newDelivery(webhook, delivery.event, delivery.payload, { replayOf: delivery._id });
+    replay._id = (await db.collection('webhookDeliveries').insertOne(replay)).insertedId;
+    drain();
+    return replay;
+}
+
+// 30s, 1m, 2m, 4m, ... up to retryMaxMs, with up to 10% jitter so retries of one outage don't arrive together
+function retryDelay(attempt) {
+    const delay = Math.min(config.webhooks.retryBaseMs * 2 ** (attempt - 1), config.webhooks.retryMaxMs);
+    return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+function startWebhookWorker() {
+    started = true;
+    const timer = setInterval(drain, config.webhooks.pollIntervalMs);
+    timer.unref(); // Don't keep the process alive just for polling
+    drain();
+}
+
+// Without a running worker (serverless), deliveries wait for deliverPending
+async function drain() {
+    if (!started || draining) return;
+    draining = true;
+    try {
+        const db = await connectToDatabase();
+        while (active < config.webhooks.concurrency) {
+            const delivery = await claimNext(db);
+            if (!delivery) break;
+            active++;
+            attemptDelivery(db, delivery).finally(() => {
+                active--;
+                drain();
+            });
+        }
+    } catch (error) {
+        console.error('Webhook worker error:', error);
+    } finally {
+        draining = false;
+    }
+}
+
+// One pass for deployments without a long-running server (see netlify/functions/queue-worker.js): delivers
+// what is due, `concurrency` at a time, until nothing is left or the `until` timestamp has passed.
+// Resolves with how many deliveries were attempted.
+async function deliverPending({ until }) {
+    const db = await connectToDatabase();
+    let attempted = 0;
+    while (Date.now() < until) {
+        const deliveries = [];
+        while (deliveries.length < config.webhooks.concurrency) {
+            const delivery = await claimNext(db);
+            if (!delivery) break;
+            deliveries.push(delivery);
+        }
+        if (!deliveries.length) break;
+        await Promise.all(deliveries.map(delivery => attemptDelivery(db, delivery)));
+        attempted += deliveries.length;
+    }
+    return attempted;
+}
+
+async function claimNext(db) {
+    const now = new Date();
+    return db.collection('webhookDeliveries').findOneAndUpdate(
+        {
+            status: 'pending',
+            nextAttemptAt: { $lte: now },
+            $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }]
+        },
+        // Long enough for the request to time out; a crashed worker's delivery is picked up again afterwards
+        { $set: { leaseExpiresAt: new Date(now.getTime() + config.webhooks.timeoutMs * 3) } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+}
+
+async function attemptDelivery(db, delivery) {
+    const deliveries = db.collection('webhookDeliveries');
+    try {
+        const webhook = await db.collection('webhooks').findOne({ _id: delivery.webhookId });
+        if (!webhook || !webhook.active) {
+            await deliveries.updateOne({ _id: delivery._id }, {
+                $set: { status: 'cancelled', reason: webhook ? 'Webhook disabled' : 'Webhook deleted' },
+                $unset: { leaseExpiresAt: '' }
+            });
+            return;
+        }
+
+        const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        const attempt = { at: new Date(), statusCode: null, error: null, durationMs: 0 };
+
+        try {
+            const response = await axios.post(webhook.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'cvibes-webhooks',
+                    'X-Webhook-Id': String(webhook._id),
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': String(delivery._id),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+                },
+                timeout: config.webhooks.timeoutMs,
+                maxRedirects: 0,
+                httpAgent,
+                httpsAgent,
+                proxy: false,
+                validateStatus: () => true,
+                responseType: 'stream' // The answer isn't read, only its status code is kept
+            });
+            response.data.destroy();
+            attempt.statusCode = response.status;
+            if (response.status < 200 || response.status >= 300) {
+                attempt.error = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            attempt.error = error.code || error.message;
+        }
+        attempt.durationMs = Date.now() - started;
+
+        const attemptNumber = delivery.attempts.length + 1;
+        const update = { $push: { attempts: attempt }, $unset: { leaseExpiresAt: '' } };
+        if (!attempt.error) {
+            update.$set = { status: 'delivered', deliveredAt: attempt.at };
+        } else if (attemptNumber >= config.webhooks.maxAttempts) {
+            update.$set = { status: 'failed' };
+        } else {
+            update.$set = { nextAttemptAt: new Date(Date.now() + retryDelay(attemptNumber)) };
+        }
+        await deliveries.updateOne({ _id: delivery._id }, update);
+    } catch (error) {
+        // The lease stays in place, so the delivery is tried again once it expires
+        console.error(`Webhook Delivery Error [${delivery._id}]:`, error);
+    }
+}
+
+module.exports = {
+    EVENTS,
+    createSecret,
+    sign,
+    validateWebhook,
+    formatWebhook,
+    formatDelivery,
+    emitEvent,
+    replayDelivery,
+    startWebhookWorker,
+    deliverPending
+};
@@ -0,0 +1,193 @@
+const { ObjectId } = require('mongodb');
+const connectToDatabase = require('../db');
+const { loadPipeline, getPipeline } = require('./pipeline');
+const config = require('../config');
+
+// Workspaces separate hiring teams and partner agencies sharing one deployment. Every candidate, job,
+// match run and ingestion job carries a `workspaceId`, and the routes only ever query inside the
+// workspace of the request. Members are kept in `workspaceMembers` with a role per workspace; a user
+// whose account role is admin is an admin in every workspace.
+
+const RETENTION_ACTIONS = ['anonymize', 'delete'];
+
+function validateSettings(input = {}, errors) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push('settings must be an object');
+        return {};
+    }
+
+    const settings = {};
+    if (input.pipeline !== undefined && input.pipeline !== null) {
+        try {
+            const { initial, transitions } = loadPipeline(input.pipeline);
+            settings.pipeline = { initial, transitions };
+        } catch (error) {
+            errors.push(`settings.pipeline: ${error.message}`);
+        }
+    }
+    if (input.llmModel !== undefined && input.llmModel !== null && input.llmModel !== '') {
+        if (typeof input.llmModel !== 'string') {
+            errors.push('settings.llmModel must be a string');
+        } else {
+            settings.llmModel = input.llmModel.trim();
+        }
+    }
+    if (input.retention !== undefined && input.retention !== null) {
+        const { days, action } = typeof input.retention === 'object' ? input.retention : {};
+        if (!Number.isInteger(days) || days < 0) {
+            errors.push('settings.retention.days must be a whole number of days (0 keeps records forever)');
+        } else if (action !== undefined && !RETENTION_ACTIONS.includes(action)) {
+            errors.push(`settings.retention.action must be one of: ${RETENTION_ACTIONS.join(', ')}`);
+        } else {
+            settings.retention = { days, action: action || config.retention.action };
+        }
+    }
+    return settings;
+}
+
+// Resolves with { value, errors }; `partial` is for updates where missing fields stay as they are
+function validateWorkspace(input = {}, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (input.name !== undefined || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim()) {
+            errors.push('name is required');
+        } else {
+            value.name = input.name.trim();
+        }
+    }
+    if (input.settings !== undefined) {
+        value.settings = validateSettings(input.settings, errors);
+    } else if (!partial) {
+        value.settings = {};
+    }
+
+    return { value, errors };
+}
+
+// Settings with the deployment defaults filled in
+function workspaceSettings(workspace) {
+    const settings = (workspace && workspace.settings) || {};
+    return {
+        pipeline: settings.pipeline ? loadPipeline(settings.pipeline) : getPipeline(),
+        llmModel: settings.llmModel || config.llm.model,
+        retention: settings.retention || { days: config.retention.days, action: config.retention.action }
+    };
+}
+
+function formatWorkspace(workspace, role) {
+    return {
+        id: workspace._id,
+        name: workspace.name,
+        settings: workspaceSettings(workspace),
+        ...(role && { role }),
+        createdAt: workspace.createdAt,
+        updatedAt: workspace.updatedAt
+    };
+}
+
+async function findMembership(db, workspaceId, userId) {
+    return db.collection('workspaceMembers').findOne({ workspaceId, userId });
+}
+
+// The workspaces a signed-in principal can use, with the role it has in each
+async function listWorkspacesFor(db, principal) {
+    if ((principal.type === 'user' && principal.role === 'admin') || principal.id === 'config') {
+        const workspaces = await db.collection('workspaces').find().sort({ name: 1 }).toArray();
+        return workspaces.map(workspace => ({ workspace, role: 'admin' }));
+    }
+    if (principal.type === 'apikey') {
+        const workspace = principal.workspaceId && await db.collection('workspaces').findOne({ _id: principal.workspaceId });
+        return workspace ? [{ workspace, role: principal.role }] : [];
+    }
+
+    const memberships = await db.collection('workspaceMembers').find({ userId: new ObjectId(principal.id) }).toArray();
+    const workspaces = await db.collection('workspaces')
+        .find({ _id: { $in: memberships.map(membership => membership.workspaceId) } })
+        .sort({ name: 1 })
+        .toArray();
+    const roles = new Map(memberships.map(membership => [String(membership.workspaceId), membership.role]));
+    return workspaces.map(workspace => ({ workspace, role: roles.get(String(workspace._id)) }));
+}
+
+// The role of the principal inside the workspace, or null when it has no access
+async function roleIn(db, workspace, principal) {
+    if (principal.id === 'config') return 'admin';
+    if (principal.type === 'apikey') {
+        return principal.workspaceId && String(principal.workspaceId) === String(workspace._id) ? principal.role : null;
+    }
+    if (principal.role === 'admin') return 'admin';
+    const membership = await findMembership(db, workspace._id, new ObjectId(principal.id));
+    return membership ? membership.role : null;
+}
+
+// Middleware: resolves the workspace of the request (from `getId(req)`), checks that the signed-in
+// principal belongs to it and switches req.user.role to the principal's role in that workspace.
+// Without an id the principal's only workspace is used. Paths in `unscopedPaths` (and below them) are skipped.
+function scopeToWorkspace(getId, { unscopedPaths = [] } = {}) {
+    return async (req, res, next) => {
+        if (req.method === 'OPTIONS' || !req.user) return next();
+        if (unscopedPaths.some(path => req.path === path || req.path.startsWith(`${path}/`))) return next();
+
+        let workspace;
+        let role;
+        try {
+            const db = await connectToDatabase(); // Connect to MongoDB
+            const id = getId(req);
+            if (id) {
+                if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid workspace id.' });
+                workspace = await db.collection('workspaces').findOne({ _id: new ObjectId(id) });
+                role = workspace && await roleIn(db, workspace, req.user);
+            } else {
+                const available = await listWorkspacesFor(db, req.user);
+                if (available.length !== 1) {
+                    return res.status(400).json({
+                        error: 'Choose a workspace with the X-Workspace-Id header.',
+                        workspaces: available.map(({ workspace: option, role: optionRole }) => ({ id: option._id, name: option.name, role: optionRole }))
+                    });
+                }
+                ({ workspace, role } = available[0]);
+            }
+        } catch (error) {
+            console.error('Error resolving workspace:', error);
+            return res.status(500).json({ error: error.message });
+        }
+
+        // Same answer for a workspace that doesn't exist and one the principal can't see
+        if (!workspace || !role) return res.status(404).json({ error: 'Workspace not found' });
+
+        req.workspace = workspace;
+        // API keys have no account role: theirs is a role in their workspace only
+        const accountRole = req.user.type === 'user' || req.user.id === 'config' ? req.user.role : null;
+        req.user = { ...req.user, accountRole, role };
+        next();
+    };
+}
+
+// Adds the workspace condition to a MongoDB filter
+const inWorkspace = (req, filter = {}) => ({ ...filter, workspaceId: req.workspace._id });
+
+// Records created before workspaces existed have no workspaceId; this moves them into one workspace
+const scopedCollections = ['responses', 'candidates', 'jobs', 'matchRuns', 'ingestionJobs', 'ingestionQueue', 'identityReveals', 'apiKeys', 'notes', 'webhooks', 'webhookDeliveries', 'responseRevisions'];
+
+async function adoptUnscopedRecords(db, workspaceId) {
+    const counts = {};
+    for (const name of scopedCollections) {
+        const { modifiedCount } = await db.collection(name).updateMany({ workspaceId: { $exists: false } }, { $set: { workspaceId } });
+        counts[name] = modifiedCount;
+    }
+    return counts;
+}
+
+module.exports = {
+    RETENTION_ACTIONS,
+    validateWorkspace,
+    workspaceSettings,
+    formatWorkspace,
+    findMembership,
+    listWorkspacesFor,
+    scopeToWorkspace,
+    inWorkspace,
+    adoptUnscopedRecords
+};
@@ -0,0 +1,15 @@
+const app = require('../../app');
+const config = require('../../config');
+
+// Netlify scheduled function (every minute, see netlify.toml): processes queued CVs and sends due webhook
+// deliveries. New work is only claimed during the first config.serverless.workerBudgetMs, so what is claimed
+// can finish before the function's time limit; the rest waits for the next run.
+module.exports.handler = async () => {
+    try {
+        const done = await app.processPendingWork({ until: Date.now() + config.serverless.workerBudgetMs });
+        return { statusCode: 200, body: JSON.stringify(done) };
+    } catch (error) {
+        console.error('Queue worker error:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
@@ -0,0 +1,8 @@
+const { runRetention } = require('../../lib/privacy');
+
+// Netlify scheduled function (see netlify.toml) applying the workspaces' retention policies, which the
+// long-running server does every config.retention.intervalMs
+module.exports.handler = async () => {
+    const runs = await runRetention();
+    return { statusCode: runs ? 200 : 500, body: JSON.stringify({ runs }) };
+};
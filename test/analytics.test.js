@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { buildAnalytics } = require('../lib/analytics');
+
+// The aggregations need a server; this db answers each one with the rows MongoDB would return for it and
+// records the pipelines, so what is tested is how the rows are turned into the report
+function cannedDb(rows, jobs = []) {
+    const pipelines = [];
+    const sectionOf = (name, pipeline) => {
+        const facet = pipeline.find(stage => stage.$facet)?.$facet;
+        if (facet) return facet.current ? 'funnel' : facet.supply ? 'skillGaps' : 'talentPool';
+        if (pipeline.some(stage => stage.$unwind === '$stays')) return 'stageDurations';
+        return pipeline[1].$group._id.period ? 'ingestion' : 'fileTypes';
+    };
+    return {
+        pipelines,
+        collection: name => ({
+            aggregate: pipeline => {
+                const section = sectionOf(name, pipeline);
+                pipelines.push({ name, section, pipeline });
+                return { toArray: async () => rows[section] };
+            },
+            find: () => ({ toArray: async () => jobs })
+        })
+    };
+}
+
+const workspaceId = new ObjectId();
+const filter = { workspaceId, createdAt: { $gte: new Date('2024-01-01') } };
+const queueFilter = { workspaceId };
+const pipeline = { initial: 'new', stages: ['new', 'interview', 'hired'], transitions: { new: ['interview'], interview: ['hired'], hired: [] } };
+const run = (db, sections) => buildAnalytics(db, { sections, filter, queueFilter, workspaceId, pipeline });
+
+test('file type rates leave skipped duplicates out of the denominator', async () => {
+    const db = cannedDb({
+        fileTypes: [
+            { _id: 'pdf', total: 5, succeeded: 3, failed: 1, duplicates: 1 },
+            { _id: 'png', total: 2, succeeded: 0, failed: 0, duplicates: 2 }
+        ]
+    });
+    const { fileTypes } = await run(db, ['fileTypes']);
+
+    assert.deepStrictEqual(fileTypes, [
+        { fileType: 'pdf', total: 5, succeeded: 3, failed: 1, duplicates: 1, successRate: 0.75, errorRate: 0.25 },
+        { fileType: 'png', total: 2, succeeded: 0, failed: 0, duplicates: 2, successRate: null, errorRate: null }
+    ]);
+    assert.deepStrictEqual(db.pipelines[0].pipeline[0].$match, { workspaceId, status: { $in: ['success', 'error', 'duplicate'] } });
+    assert.strictEqual(db.pipelines[0].name, 'ingestionQueue');
+});
+
+test('the funnel lists every stage and converts along the pipeline transitions', async () => {
+    const db = cannedDb({
+        funnel: [{
+            current: [{ _id: 'new', count: 4 }, { _id: 'interview', count: 2 }, { _id: 'archived', count: 1 }],
+            reached: [{ _id: 'new', count: 8 }, { _id: 'interview', count: 4 }, { _id: 'archived', count: 1 }],
+            moves: [{ _id: { from: 'new', to: 'interview' }, count: 4 }, { _id: { from: 'new', to: 'archived' }, count: 1 }]
+        }]
+    });
+    const { funnel } = await run(db, ['funnel']);
+
+    assert.deepStrictEqual(funnel.stages, [
+        { stage: 'new', current: 4, reached: 8 },
+        { stage: 'interview', current: 2, reached: 4 },
+        { stage: 'hired', current: 0, reached: 0 },
+        { stage: 'archived', current: 1, reached: 1 }
+    ]);
+    assert.deepStrictEqual(funnel.conversions, [
+        { from: 'new', to: 'interview', moved: 4, rate: 0.5 },
+        { from: 'interview', to: 'hired', moved: 0, rate: 0 }
+    ]);
+    assert.deepStrictEqual(db.pipelines[0].pipeline[0].$match, filter);
+});
+
+test('stage durations are reported in days, split into finished and ongoing stays', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const db = cannedDb({
+        stageDurations: [
+            { _id: { stage: 'new', ongoing: false }, count: 3, averageMs: 1.5 * day, maxMs: 4 * day },
+            { _id: { stage: 'new', ongoing: true }, count: 2, averageMs: day / 3, maxMs: day },
+            { _id: { stage: 'interview', ongoing: true }, count: 1, averageMs: 10 * day, maxMs: 10 * day }
+        ]
+    });
+    const { stageDurations } = await run(db, ['stageDurations']);
+
+    assert.deepStrictEqual(stageDurations, [
+        { stage: 'new', completed: { count: 3, averageDays: 1.5, maxDays: 4 }, current: { count: 2, averageDays: 0.33 } },
+        { stage: 'interview', completed: { count: 0, averageDays: null, maxDays: null }, current: { count: 1, averageDays: 10 } }
+    ]);
+});
+
+test('talent pool values come with their share of the extracted candidates', async () => {
+    const db = cannedDb({
+        talentPool: [{
+            total: [{ count: 4 }],
+            skills: [{ _id: 'node.js', candidates: 3 }, { _id: 'go', candidates: 1 }],
+            languages: [{ _id: 'english', candidates: 4 }],
+            education: [{ _id: 'bachelor', candidates: 3 }, { _id: 'unknown', candidates: 1 }]
+        }]
+    });
+    const { talentPool } = await run(db, ['talentPool']);
+
+    assert.deepStrictEqual(talentPool, {
+        candidates: 4,
+        skills: [{ value: 'node.js', candidates: 3, share: 0.75 }, { value: 'go', candidates: 1, share: 0.25 }],
+        languages: [{ value: 'english', candidates: 4, share: 1 }],
+        educationLevels: [{ value: 'bachelor', candidates: 3, share: 0.75 }, { value: 'unknown', candidates: 1, share: 0.25 }]
+    });
+    assert.deepStrictEqual(db.pipelines[0].pipeline[0].$match, { ...filter, status: 'success' });
+
+    const empty = await run(cannedDb({ talentPool: [{ total: [], skills: [], languages: [], education: [] }] }), ['talentPool']);
+    assert.deepStrictEqual(empty.talentPool, { candidates: 0, skills: [], languages: [], educationLevels: [] });
+});
+
+test('skill gaps compare canonical skill names and list the scarcest first', async () => {
+    const jobId = new ObjectId();
+    const db = cannedDb({
+        skillGaps: [{ total: [{ count: 10 }], supply: [{ _id: 'javascript', candidates: 6 }, { _id: 'kubernetes', candidates: 1 }] }]
+    }, [{ _id: jobId, title: 'Platform engineer', requirements: { mustHaveSkills: ['JS', 'Terraform'], niceToHaveSkills: ['Kubernetes'] } }]);
+    const { skillGaps } = await run(db, ['skillGaps']);
+
+    assert.deepStrictEqual(skillGaps, {
+        candidates: 10,
+        jobs: [{
+            jobId,
+            title: 'Platform engineer',
+            skills: [
+                { skill: 'Terraform', required: true, candidates: 0, share: 0 },
+                { skill: 'Kubernetes', required: false, candidates: 1, share: 0.1 },
+                { skill: 'JS', required: true, candidates: 6, share: 0.6 }
+            ]
+        }]
+    });
+    const wanted = db.pipelines[0].pipeline[1].$facet.supply[0].$project.skills.$setIntersection[1].$literal;
+    assert.deepStrictEqual(wanted.sort(), ['javascript', 'kubernetes', 'terraform']);
+
+    const noJobs = cannedDb({});
+    assert.deepStrictEqual((await run(noJobs, ['skillGaps'])).skillGaps, { candidates: 0, jobs: [] });
+    assert.strictEqual(noJobs.pipelines.length, 0, 'no aggregation without skills to look for');
+});
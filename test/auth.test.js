@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017';
+process.env.JWT_SECRET = 'test-secret';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// Only the configured admin key is used below, which needs no database
+require.cache[path.join(__dirname, '..', 'db.js')] = { loaded: true, exports: async () => ({}) };
+
+const { authorizeAccountAdmin, authenticate, signToken, signDownload } = require('../lib/auth');
+
+// Runs the middleware and resolves with the status it answered, or 'next' when it let the request through
+function run(middleware, user) {
+    return new Promise(resolve => {
+        const res = { status: code => ({ json: () => resolve(code) }) };
+        middleware({ user }, res, () => resolve('next'));
+    });
+}
+
+test('account administration is only open to admin user accounts and the configured key', async () => {
+    const middleware = authorizeAccountAdmin();
+
+    assert.strictEqual(await run(middleware, { type: 'user', id: 'u1', role: 'admin' }), 'next');
+    assert.strictEqual(await run(middleware, { type: 'apikey', id: 'config', role: 'admin' }), 'next');
+    assert.strictEqual(await run(middleware, { type: 'user', id: 'u2', role: 'recruiter' }), 403);
+    assert.strictEqual(await run(middleware, undefined), 401);
+});
+
+test('a workspace admin API key is not an account admin', async () => {
+    const middleware = authorizeAccountAdmin();
+
+    assert.strictEqual(await run(middleware, { type: 'apikey', id: 'k1', role: 'admin', workspaceId: 'w1' }), 403);
+    // Inside a workspace the role is the workspace role; the account role decides
+    assert.strictEqual(await run(middleware, { type: 'apikey', id: 'k1', role: 'admin', accountRole: null }), 403);
+    assert.strictEqual(await run(middleware, { type: 'user', id: 'u3', role: 'admin', accountRole: 'recruiter' }), 403);
+});
+
+// Runs authenticate() on a request to `url` and resolves with the status it answered, or the principal it let through
+function authenticateRequest(url, { method = 'GET', authorization } = {}) {
+    const [pathname, search] = url.split('?');
+    const req = {
+        method,
+        baseUrl: '/api',
+        path: pathname.replace(/^\/api/, ''),
+        query: Object.fromEntries(new URLSearchParams(search)),
+        get: name => (name === 'Authorization' ? authorization : undefined)
+    };
+    return new Promise(resolve => {
+        const res = { status: code => ({ json: () => resolve(code) }) };
+        authenticate()(req, res, () => resolve(req.user));
+    });
+}
+
+const admin = { type: 'apikey', id: 'config' };
+
+test('sessions are only accepted from the Authorization header', async () => {
+    const token = signToken('apikey:config', 'admin');
+
+    assert.strictEqual((await authenticateRequest('/api/responses', { authorization: `Bearer ${token}` })).id, 'config');
+    assert.strictEqual(await authenticateRequest(`/api/responses?access_token=${token}`), 401);
+    assert.strictEqual(await authenticateRequest(`/api/responses/1/file?signature=${token}`), 401);
+});
+
+test('a download signature opens its own path with GET until it expires', async () => {
+    const file = '/api/responses/65f000000000000000000001/file';
+    const { signature, expiresAt } = signDownload({ user: admin }, file);
+
+    assert.ok(expiresAt > new Date() && expiresAt <= new Date(Date.now() + 5 * 60 * 1000));
+    assert.strictEqual((await authenticateRequest(`${file}?signature=${signature}`)).id, 'config');
+    assert.strictEqual(await authenticateRequest(`/api/responses/65f000000000000000000002/file?signature=${signature}`), 401);
+    assert.strictEqual(await authenticateRequest(`${file}?signature=${signature}`, { method: 'DELETE' }), 401);
+    // Not a session either
+    assert.strictEqual(await authenticateRequest('/api/responses', { authorization: `Bearer ${signature}` }), 401);
+
+    const expired = jwt.sign({ path: file, exp: Math.floor(Date.now() / 1000) - 10 }, 'test-secret', { subject: 'apikey:config', audience: 'download' });
+    assert.strictEqual(await authenticateRequest(`${file}?signature=${expired}`), 401);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { identityOf, linkToCandidate, mergeCandidates, unmergeCandidate } = require('../lib/candidateProfiles');
+
+// Equality on an array field matches any element, as in MongoDB
+const same = (a, b) => String(a) === String(b);
+const has = (value, wanted) => (Array.isArray(value) ? value.some(item => same(item, wanted)) : same(value, wanted));
+
+function matches(document, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$or') return condition.some(child => matches(document, child));
+        const value = document[key];
+        if (condition && typeof condition === 'object' && !(condition instanceof ObjectId)) {
+            if (condition.$in) return condition.$in.some(wanted => has(value, wanted));
+            if (condition.$ne) return !has(value, condition.$ne);
+        }
+        return has(value, condition);
+    });
+}
+
+function applyUpdate(document, update) {
+    Object.assign(document, update.$set);
+    for (const [key, value] of Object.entries(update.$addToSet || {})) {
+        for (const item of value.$each || [value]) {
+            if (!has(document[key] || [], item)) document[key] = [...(document[key] || []), item];
+        }
+    }
+    for (const [key, value] of Object.entries(update.$pull || {})) {
+        const removed = value.$in || [value];
+        document[key] = (document[key] || []).filter(item => !removed.some(other => same(item, other)));
+    }
+    for (const [key, value] of Object.entries(update.$push || {})) document[key] = [...(document[key] || []), value];
+}
+
+// In-memory `responses` and `candidates` with what candidateProfiles.js asks of them
+function memoryDb() {
+    const collections = { responses: [], candidates: [] };
+    const collection = name => {
+        const documents = collections[name];
+        const cursor = found => {
+            const chain = {
+                sort: spec => {
+                    const [[key, direction]] = Object.entries(spec);
+                    found = found.slice().sort((a, b) => (a[key] - b[key]) * direction);
+                    return chain;
+                },
+                limit: n => { found = found.slice(0, n); return chain; },
+                next: async () => found[0] || null,
+                toArray: async () => found
+            };
+            return chain;
+        };
+        return {
+            find: filter => cursor(documents.filter(document => matches(document, filter))),
+            findOne: async filter => documents.find(document => matches(document, filter)) || null,
+            insertOne: async document => {
+                const _id = new ObjectId();
+                documents.push({ _id, ...document });
+                return { insertedId: _id };
+            },
+            updateOne: async (filter, update) => {
+                const document = documents.find(item => matches(item, filter));
+                if (document) applyUpdate(document, update);
+            },
+            updateMany: async (filter, update) => {
+                documents.filter(item => matches(item, filter)).forEach(document => applyUpdate(document, update));
+            },
+            findOneAndUpdate: async (filter, update) => {
+                const document = documents.find(item => matches(item, filter));
+                if (document) applyUpdate(document, update);
+                return document || null;
+            },
+            deleteOne: async filter => {
+                const index = documents.findIndex(item => matches(item, filter));
+                if (index !== -1) documents.splice(index, 1);
+            }
+        };
+    };
+    return { collection, collections };
+}
+
+const workspaceId = new ObjectId();
+let clock = 0;
+
+// Stores a response the way ingestion does and links it to a profile
+async function ingest(db, result, workspace = workspaceId) {
+    const identity = identityOf(result);
+    const { insertedId } = await db.collection('responses').insertOne({ workspaceId: workspace, identity, result, createdAt: new Date(++clock) });
+    return { responseId: insertedId, ...(await linkToCandidate(db, insertedId, identity, workspace)) };
+}
+
+test('contact details and names are normalized for comparison', () => {
+    const identity = identityOf({
+        Name: 'Doe, Jané',
+        ContactInformation: { Email: 'mailto:Jane.Doe@Example.com', Phone: '+994 50 123 45 67', Other: 'jane.doe@example.com' }
+    });
+
+    assert.deepStrictEqual(identity, { emails: ['jane.doe@example.com'], phones: ['501234567'], name: 'doe jane' });
+    assert.deepStrictEqual(identityOf({ ContactInformation: 'Call 050-123-45-67' }).phones, ['501234567']);
+    assert.deepStrictEqual(identityOf({ Name: 'Jane', ContactInformation: 'Phone: 12-34' }), { emails: [], phones: [], name: null });
+});
+
+test('a CV sharing an email or phone joins the earlier profile; a shared name is only flagged', async () => {
+    const db = memoryDb();
+    const first = await ingest(db, { Name: 'Jane Doe', ContactInformation: { Email: 'jane@example.com' } });
+    const byEmail = await ingest(db, { Name: 'Jane A. Doe', ContactInformation: { Email: 'JANE@example.com', Phone: '050 123 45 67' } });
+    const byPhone = await ingest(db, { Name: 'J. Doe', ContactInformation: { Phone: '+994501234567' } });
+    const namesake = await ingest(db, { Name: 'Doe Jane', ContactInformation: { Email: 'other@example.com' } });
+
+    assert.deepStrictEqual([byEmail.linkedBy, byPhone.linkedBy], ['email', 'phone']);
+    assert.ok([byEmail, byPhone].every(link => same(link.candidateId, first.candidateId)));
+    assert.ok(!same(namesake.candidateId, first.candidateId));
+    assert.deepStrictEqual(namesake.possibleDuplicates.map(String), [String(first.candidateId)]);
+
+    const profile = db.collections.candidates.find(candidate => same(candidate._id, first.candidateId));
+    assert.strictEqual(profile.versionCount, 3);
+    assert.ok(same(profile.latestResponseId, byPhone.responseId));
+    assert.deepStrictEqual(profile.possibleDuplicates.map(String), [String(namesake.candidateId)]);
+});
+
+test('profiles are never linked across workspaces', async () => {
+    const db = memoryDb();
+    const here = await ingest(db, { Name: 'Jane Doe', ContactInformation: 'jane@example.com' });
+    const elsewhere = await ingest(db, { Name: 'Jane Doe', ContactInformation: 'jane@example.com' }, new ObjectId());
+
+    assert.ok(!same(here.candidateId, elsewhere.candidateId));
+    assert.deepStrictEqual(elsewhere.possibleDuplicates, []);
+});
+
+test('merged profiles can be split again and are not suggested as duplicates afterwards', async () => {
+    const db = memoryDb();
+    const jane = await ingest(db, { Name: 'Jane Doe', ContactInformation: 'jane@example.com' });
+    const namesake = await ingest(db, { Name: 'Jane Doe', ContactInformation: 'doe@example.org' });
+
+    const merged = await mergeCandidates(db, jane.candidateId, [namesake.candidateId], 'user:1');
+    assert.strictEqual(merged.versionCount, 2);
+    assert.deepStrictEqual(merged.emails.sort(), ['doe@example.org', 'jane@example.com']);
+    assert.deepStrictEqual(merged.possibleDuplicates, []);
+    assert.strictEqual(db.collections.candidates.length, 1);
+
+    const { original, separated } = await unmergeCandidate(db, jane.candidateId, [namesake.responseId], 'user:1');
+    assert.deepStrictEqual([original.emails, separated.emails], [['jane@example.com'], ['doe@example.org']]);
+    assert.deepStrictEqual(original.dismissedDuplicates.map(String), [String(separated._id)]);
+
+    const again = await ingest(db, { Name: 'Jane Doe', ContactInformation: 'doe@example.org' });
+    assert.ok(same(again.candidateId, separated._id));
+    assert.ok(!separated.possibleDuplicates.some(id => same(id, jane.candidateId)), 'the split-off profile is not re-flagged');
+});
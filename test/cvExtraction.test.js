@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The mock provider answers from fixtures written below: 'repairable' gets it right on the third try,
+// 'broken' never does
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-extraction-'));
+fs.writeFileSync(path.join(fixturesDir, 'repairable.js'), `
+module.exports = messages => {
+    const repairs = messages.filter(message => message.role === 'user' && message.content.startsWith('Your previous answer')).length;
+    if (repairs === 0) return 'Sorry, I cannot read this CV.';
+    if (repairs === 1) return '{ "Name": "Jane Doe", "Skills": "Node.js" }';
+    return ${JSON.stringify(JSON.stringify({
+        Name: 'Jane Doe', ContactInformation: {}, Summary: '', Education: [], WorkExperience: [], Skills: ['Node.js'],
+        Certifications: [], Languages: [], Projects: [], Achievements: [], OtherDetails: ''
+    }))};
+};
+`);
+fs.writeFileSync(path.join(fixturesDir, 'broken.json'), '{ "Name": { "First": "Jane" } }');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MOCK_FIXTURES = fixturesDir;
+process.env.EXTRACTION_REPAIR_ATTEMPTS = '2';
+
+const { completeAndValidate, buildRepairPrompt, cleanAIResponse } = require('../lib/cvExtraction');
+
+test.after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+
+test('JSON is taken out of the text around it', () => {
+    assert.deepStrictEqual(cleanAIResponse('Here is the CV:\n```json\n{ "Name": "Jane" }\n```'), { Name: 'Jane' });
+    assert.throws(() => cleanAIResponse('No JSON here'), /Failed to find JSON/);
+    assert.throws(() => cleanAIResponse('{ "Name": "Jane", }'), /Failed to parse AI response/);
+});
+
+test('invalid answers are sent back with their errors until they pass', async () => {
+    const messages = [{ role: 'system', content: 'Extract the CV' }, { role: 'user', content: 'Jane Doe, Node.js' }];
+    const { result, validation } = await completeAndValidate(messages, { task: 'repairable' });
+
+    assert.strictEqual(validation.valid, true);
+    assert.strictEqual(validation.attempts, 3);
+    assert.deepStrictEqual(result.Skills, ['Node.js']);
+
+    const repairs = messages.filter(message => message.content.startsWith('Your previous answer'));
+    assert.strictEqual(repairs.length, 2);
+    assert.match(repairs[0].content, /Failed to find JSON in AI response/);
+    assert.match(repairs[1].content, /- ContactInformation: missing/);
+    assert.strictEqual(messages[2].role, 'assistant');
+    assert.strictEqual(messages[2].content, 'Sorry, I cannot read this CV.');
+});
+
+test('the last invalid answer is returned once the repair attempts run out', async () => {
+    const messages = [{ role: 'user', content: 'Jane Doe' }];
+    const { result, validation } = await completeAndValidate(messages, { task: 'broken' });
+
+    assert.strictEqual(validation.valid, false);
+    assert.strictEqual(validation.attempts, 3);
+    assert.ok(validation.errors.includes('Name: expected a string, got object'));
+    assert.ok(validation.errors.includes('Skills: missing'));
+    assert.strictEqual(result.Name, '');
+    assert.strictEqual(messages.length, 5); // The question, then two answers each followed by a repair request
+});
+
+test('the repair prompt lists every error', () => {
+    const prompt = buildRepairPrompt(['Name: missing', 'Skills: expected an array, got number']);
+
+    assert.match(prompt, /^- Name: missing$/m);
+    assert.match(prompt, /^- Skills: expected an array, got number$/m);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateCV, cvSchema } = require('../lib/cvSchema');
+
+const completeCV = () => ({
+    Name: 'Jane Doe',
+    ContactInformation: { Email: 'jane@example.com', Phone: '+994 50 123 45 67' },
+    Summary: 'Backend developer',
+    Education: [{ Institution: 'Baku State University', Degree: 'BSc', Dates: '2014 - 2018' }],
+    WorkExperience: [{ JobTitle: 'Developer', Company: 'Acme', Duration: '2018 - Present' }],
+    Skills: ['Node.js', 'MongoDB'],
+    Certifications: [],
+    Languages: [{ Language: 'English', Proficiency: 'Fluent' }],
+    Projects: [],
+    Achievements: [],
+    OtherDetails: ''
+});
+
+test('a complete CV is valid without warnings', () => {
+    const check = validateCV(completeCV());
+
+    assert.strictEqual(check.valid, true);
+    assert.deepStrictEqual(check.errors, []);
+    assert.deepStrictEqual(check.warnings, []);
+    assert.deepStrictEqual(check.value, completeCV());
+});
+
+test('output that is not a JSON object is invalid', () => {
+    for (const parsed of [null, [], 'Jane Doe', 42]) {
+        const check = validateCV(parsed);
+        assert.strictEqual(check.valid, false);
+        assert.match(check.errors[0], /Expected a JSON object at the top level/);
+        assert.deepStrictEqual(check.value, {});
+    }
+});
+
+test('missing top-level keys are errors and are filled with empty values', () => {
+    const { Skills, Education, Summary, ...partial } = completeCV();
+    const check = validateCV(partial);
+
+    assert.strictEqual(check.valid, false);
+    assert.deepStrictEqual(check.errors, ['Summary: missing', 'Education: missing', 'Skills: missing']);
+    assert.strictEqual(check.value.Summary, '');
+    assert.deepStrictEqual(check.value.Education, []);
+    assert.deepStrictEqual(check.value.Skills, []);
+    assert.deepStrictEqual(Object.keys(check.value).sort(), Object.keys(cvSchema.properties).sort());
+});
+
+test('wrong types that can be fixed without guessing are coerced with a warning', () => {
+    const check = validateCV({
+        ...completeCV(),
+        Name: '  Jane Doe  ',
+        Summary: ['Backend developer', 'Team lead'],
+        ContactInformation: 'jane@example.com, Baku',
+        Education: 'Baku State University',
+        WorkExperience: [{ JobTitle: 'Developer', Company: 404, Duration: null }],
+        Skills: { Languages: ['JavaScript', 'Python'], Databases: 'MongoDB' },
+        Languages: ['English']
+    });
+
+    assert.strictEqual(check.valid, true);
+    assert.strictEqual(check.value.Name, 'Jane Doe');
+    assert.strictEqual(check.value.Summary, 'Backend developer, Team lead');
+    assert.deepStrictEqual(check.value.ContactInformation, { Other: 'jane@example.com, Baku' });
+    assert.deepStrictEqual(check.value.Education, [{ Institution: 'Baku State University' }]);
+    assert.deepStrictEqual(check.value.WorkExperience, [{ JobTitle: 'Developer', Company: '404', Duration: '' }]);
+    assert.deepStrictEqual(check.value.Skills, ['JavaScript', 'Python', 'MongoDB']);
+    assert.deepStrictEqual(check.value.Languages, [{ Language: 'English' }]);
+    assert.deepStrictEqual(check.warnings, [
+        'Summary: joined array into string',
+        'Education: wrapped string in an array',
+        'WorkExperience[0].Company: converted number to string',
+        'Skills: flattened categories into a single list'
+    ]);
+});
+
+test('wrong types that cannot be coerced are errors with their path', () => {
+    const check = validateCV({
+        ...completeCV(),
+        Name: { First: 'Jane' },
+        Skills: 42,
+        WorkExperience: [{ JobTitle: ['Developer', { level: 'senior' }] }, 7]
+    });
+
+    assert.strictEqual(check.valid, false);
+    assert.deepStrictEqual(check.errors, [
+        'Name: expected a string, got object',
+        'WorkExperience[0].JobTitle: expected a string, got array',
+        'WorkExperience[1]: expected an object, got number',
+        'Skills: expected an array, got number'
+    ]);
+    // The coerced value keeps the schema's shape, so it can be stored even when invalid
+    assert.strictEqual(check.value.Name, '');
+    assert.deepStrictEqual(check.value.Skills, []);
+});
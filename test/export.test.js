@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('node:stream');
+const ExcelJS = require('exceljs');
+const { PDFDocument } = require('pdf-lib');
+const { ObjectId } = require('mongodb');
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017';
+
+const { formats, columns, toRow, latestRole } = require('../lib/export');
+const { renderCvPdf } = require('../lib/cvPdf');
+
+const jane = {
+    _id: new ObjectId(),
+    status: 'success',
+    candidateStatus: 'interview',
+    createdAt: new Date('2024-03-01T10:00:00Z'),
+    result: {
+        Name: 'Jane Doe',
+        ContactInformation: { Email: 'jane@example.com', Phone: '+994 50 123 45 67', Address: 'Bakı' },
+        WorkExperience: [
+            { JobTitle: 'Developer', Company: 'Old Co', Duration: '2015 - 2018' },
+            { JobTitle: 'Lead developer', Company: 'New Co', Duration: 'Jan 2019 - present' }
+        ],
+        Skills: ['Node.js', ' MongoDB '],
+        Education: [{ Degree: 'BSc', FieldOfStudy: 'Computer Science', Institution: 'ADA University', Dates: '2011-2015' }],
+        Languages: [{ Language: 'English', Proficiency: 'C1' }, { Language: 'Azerbaijani' }]
+    }
+};
+
+// Runs an export format over `responses` and resolves with everything it wrote
+async function exportAs(format, responses) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    await formats[format].write(responses, output);
+    return Buffer.concat(chunks);
+}
+
+test('a candidate is flattened into one row of text columns', () => {
+    const row = toRow(jane);
+
+    assert.strictEqual(row.name, 'Jane Doe');
+    assert.strictEqual(row.email, 'jane@example.com');
+    assert.deepStrictEqual([row.latestRole, row.latestCompany], ['Lead developer', 'New Co']);
+    assert.strictEqual(row.skills, 'Node.js; MongoDB');
+    assert.strictEqual(row.education, 'BSc, Computer Science - ADA University - 2011-2015');
+    assert.strictEqual(row.languages, 'English (C1); Azerbaijani');
+    assert.deepStrictEqual([row.candidateStatus, row.status, row.createdAt], ['interview', 'success', '2024-03-01T10:00:00.000Z']);
+    assert.deepStrictEqual(Object.keys(row), columns.map(column => column.key));
+});
+
+test('failed extractions export with empty columns', () => {
+    const row = toRow({ _id: new ObjectId(), status: 'error' });
+
+    assert.deepStrictEqual([row.name, row.email, row.latestRole, row.skills, row.status], ['', '', '', '', 'error']);
+});
+
+test('the latest role is the one that ended last, or the first listed when no dates parse', () => {
+    assert.strictEqual(latestRole(jane.result.WorkExperience).Company, 'New Co');
+    assert.strictEqual(latestRole([{ Company: 'A', Duration: 'a while' }, { Company: 'B' }]).Company, 'A');
+    assert.strictEqual(latestRole([]), null);
+    assert.strictEqual(latestRole(undefined), null);
+});
+
+test('CSV has a BOM and a header, quotes separators and defuses formulas', async () => {
+    const risky = { ...jane, result: { ...jane.result, Name: '=HYPERLINK("http://x")', Skills: ['C, C++', 'Go'] } };
+    const csv = (await exportAs('csv', [jane, risky])).toString('utf8');
+    const lines = csv.split('\r\n');
+
+    assert.ok(csv.startsWith('﻿ID,Name,Email,'));
+    assert.strictEqual(lines.length, 4, 'header, two rows and the final line break');
+    assert.ok(lines[1].includes(',Bakı,'));
+    assert.ok(lines[2].includes(',"\'=HYPERLINK(""http://x"")",'));
+    assert.ok(lines[2].includes(',"C, C++; Go",'));
+    assert.ok(lines[1].includes(",'+994 50 123 45 67,"), 'a leading + is defused too');
+});
+
+test('XLSX has a bold header row and one row per candidate', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exportAs('xlsx', [jane, { _id: new ObjectId(), status: 'error' }]));
+    const sheet = workbook.getWorksheet('Candidates');
+
+    assert.strictEqual(sheet.rowCount, 3);
+    assert.deepStrictEqual(sheet.getRow(1).values.slice(1), columns.map(column => column.header));
+    assert.strictEqual(sheet.getRow(1).getCell(1).font.bold, true);
+    assert.strictEqual(sheet.getRow(2).getCell(2).value, 'Jane Doe');
+    assert.strictEqual(sheet.getRow(3).getCell(columns.findIndex(column => column.key === 'status') + 1).value, 'error');
+});
+
+test('the standardized CV is a PDF titled after the candidate, also without a result', async () => {
+    const pdf = await PDFDocument.load(await renderCvPdf(jane.result, { candidateStatus: 'interview' }));
+    assert.strictEqual(pdf.getTitle(), 'Jane Doe - CV');
+    assert.ok(pdf.getPageCount() >= 1);
+
+    const long = { Name: 'Jane Doe', WorkExperience: Array.from({ length: 40 }, (_, i) => ({ JobTitle: `Role ${i}`, Description: 'Built things. '.repeat(30) })) };
+    assert.ok((await PDFDocument.load(await renderCvPdf(long))).getPageCount() > 1);
+
+    assert.strictEqual((await PDFDocument.load(await renderCvPdf(null))).getTitle(), 'CV');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('node:stream');
+
+const { detectFileType } = require('../lib/fileType');
+const { createUploadStorage } = require('../lib/upload');
+
+const bytes = (...parts) => Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'binary'))));
+
+// A ZIP local file header followed by the entry name, the way DOCX and ODT archives start
+const zip = (...entries) => bytes('PK\x03\x04', Buffer.alloc(26), ...entries);
+
+function upload(name, buffer, limits = { maxFileBytes: 1024 * 1024, maxBatchBytes: 1024 * 1024 }) {
+    const storage = createUploadStorage(limits);
+    return new Promise((resolve, reject) => {
+        storage._handleFile({}, { originalname: name, stream: Readable.from([buffer]) }, (error, info) => (error ? reject(error) : resolve(info)));
+    });
+}
+
+test('detects each supported format from its magic bytes', () => {
+    assert.strictEqual(detectFileType(bytes('%PDF-1.7\n%\xe2\xe3\xcf\xd3')), 'pdf');
+    assert.strictEqual(detectFileType(bytes('\x89PNG\r\n\x1a\n', Buffer.alloc(8))), 'png');
+    assert.strictEqual(detectFileType(bytes('\xff\xd8\xff\xe0', Buffer.alloc(8))), 'jpg');
+    assert.strictEqual(detectFileType(bytes('II*\x00', Buffer.alloc(8))), 'tiff');
+    assert.strictEqual(detectFileType(bytes('MM\x00*', Buffer.alloc(8))), 'tiff');
+    assert.strictEqual(detectFileType(bytes('RIFF\x24\x00\x00\x00WEBPVP8 ')), 'webp');
+    assert.strictEqual(detectFileType(bytes('{\\rtf1\\ansi Jane Doe}')), 'rtf');
+    assert.strictEqual(detectFileType(bytes('\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1', Buffer.alloc(8))), 'doc');
+});
+
+test('tells DOCX and ODT apart by their entries and rejects other ZIP archives', () => {
+    assert.strictEqual(detectFileType(zip('[Content_Types].xml', 'word/document.xml')), 'docx');
+    assert.strictEqual(detectFileType(zip('mimetypeapplication/vnd.oasis.opendocument.text')), 'odt');
+    assert.strictEqual(detectFileType(zip('mimetypeapplication/vnd.oasis.opendocument.spreadsheet')), null);
+    assert.strictEqual(detectFileType(zip('photos/cv.png')), null);
+});
+
+test('accepts UTF-8 text and HTML but not binary content', () => {
+    assert.strictEqual(detectFileType(Buffer.from('Jane Doe\nSoftware engineer\nBakı, Azərbaycan')), 'txt');
+    assert.strictEqual(detectFileType(Buffer.from('Иван Петров\nИнженер')), 'txt');
+    assert.strictEqual(detectFileType(Buffer.from('<!DOCTYPE html><html><body>Jane Doe</body></html>')), 'html');
+    assert.strictEqual(detectFileType(Buffer.from('<body><p>Jane Doe</p></body>')), 'html');
+    assert.strictEqual(detectFileType(bytes('MZ\x90\x00\x03\x00\x00\x00')), null);
+    assert.strictEqual(detectFileType(Buffer.from(Array.from({ length: 64 }, (_, i) => 0x80 + (i % 64)))), null);
+});
+
+test('returns null for short or missing input', () => {
+    assert.strictEqual(detectFileType(Buffer.from('%PD')), null);
+    assert.strictEqual(detectFileType(Buffer.alloc(0)), null);
+    assert.strictEqual(detectFileType('%PDF-1.7'), null);
+    assert.strictEqual(detectFileType(null), null);
+});
+
+test('uploads are typed by content, not by their file name', async () => {
+    const png = bytes('\x89PNG\r\n\x1a\n', Buffer.alloc(8));
+    assert.strictEqual((await upload('cv.pdf', png)).detectedType, 'png');
+
+    const pdf = bytes('%PDF-1.4\n');
+    assert.strictEqual((await upload('cv.txt', pdf)).detectedType, 'pdf');
+    assert.strictEqual((await upload('cv', pdf)).detectedType, 'pdf');
+});
+
+test('uploads with a CV extension but unsupported content are rejected per file', async () => {
+    const executable = await upload('cv.pdf', bytes('MZ\x90\x00\x03\x00\x00\x00\x04\x00'));
+    assert.match(executable.rejection, /^Unsupported file type \(supported: /);
+    assert.strictEqual(executable.buffer, undefined);
+
+    const archive = await upload('cv.docx', zip('photos/cv.png'));
+    assert.match(archive.rejection, /^Unsupported file type/);
+
+    assert.strictEqual((await upload('cv.pdf', Buffer.alloc(0))).rejection, 'File is empty');
+    assert.match((await upload('cv.pdf', bytes('%PDF-1.4\n'), { maxFileBytes: 4, maxBatchBytes: 1024 })).rejection, /per-file limit$/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const mongodb = require('mongodb');
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017';
+
+// GridFS needs a server, so the bucket is replaced by one keeping the files in memory
+const stored = new Map();
+class MemoryBucket {
+    constructor(db, { bucketName }) {
+        this.bucketName = bucketName;
+    }
+
+    openUploadStream(filename, { metadata }) {
+        const upload = new PassThrough();
+        const chunks = [];
+        upload.id = new mongodb.ObjectId();
+        upload.on('data', chunk => chunks.push(chunk));
+        upload.on('end', () => stored.set(String(upload.id), { bucketName: this.bucketName, filename, metadata, data: Buffer.concat(chunks) }));
+        upload.resume();
+        return upload;
+    }
+
+    openDownloadStream(id) {
+        return Readable.from([stored.get(String(id)).data]);
+    }
+}
+require.cache[require.resolve('mongodb')].exports = { ...mongodb, GridFSBucket: MemoryBucket };
+require.cache[path.join(__dirname, '..', 'db.js')] = { loaded: true, exports: async () => ({}) };
+
+const { contentTypeFor, storeFile, readFile, readFileAsBase64 } = require('../lib/files');
+
+test('files are served with the MIME type of their format', () => {
+    assert.strictEqual(contentTypeFor('pdf'), 'application/pdf');
+    assert.strictEqual(contentTypeFor('DOCX'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    assert.strictEqual(contentTypeFor('tif'), 'image/tiff');
+    assert.strictEqual(contentTypeFor('exe'), 'application/octet-stream');
+});
+
+test('a stored file is recorded with its type, size and checksum and reads back unchanged', async () => {
+    const buffer = Buffer.from('%PDF-1.4 a CV');
+    const workspaceId = new mongodb.ObjectId();
+    const file = await storeFile(buffer, { fileType: 'PDF', workspaceId });
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    assert.deepStrictEqual(file, { id: file.id, filename: `cv-${sha256.slice(0, 12)}.pdf`, contentType: 'application/pdf', size: buffer.length, sha256 });
+    const upload = stored.get(String(file.id));
+    assert.strictEqual(upload.bucketName, 'cvFiles');
+    assert.deepStrictEqual(upload.metadata, { contentType: 'application/pdf', fileType: 'PDF', sha256, workspaceId });
+
+    assert.deepStrictEqual(await readFile(file.id), buffer);
+    assert.strictEqual((await storeFile(buffer, { fileType: 'pdf', filename: 'jane.pdf' })).filename, 'jane.pdf');
+});
+
+test('the base64 of an original comes from GridFS, or inline for records stored before it', async () => {
+    const file = await storeFile(Buffer.from('Jane Doe'), { fileType: 'txt' });
+
+    assert.strictEqual(await readFileAsBase64({ file }), Buffer.from('Jane Doe').toString('base64'));
+    assert.strictEqual(await readFileAsBase64({ base64: 'SmFuZQ==' }), 'SmFuZQ==');
+    assert.strictEqual(await readFileAsBase64({}), undefined);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017';
+process.env.INGESTION_CONCURRENCY = '2';
+process.env.INGESTION_MAX_ATTEMPTS = '2';
+process.env.INGESTION_LEASE_MS = '60000';
+
+// In-memory stand-in for the two collections the queue uses, with the query and update operators it sends
+const collections = {};
+let failQueueFinish = 0;
+
+const get = (document, key) => document[key];
+function matches(document, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$or') return condition.some(child => matches(document, child));
+        const value = get(document, key);
+        if (condition && typeof condition === 'object' && !(condition instanceof ObjectId)) {
+            return Object.entries(condition).every(([op, arg]) => ({
+                $lt: () => value !== undefined && value < arg,
+                $nin: () => !arg.includes(value)
+            })[op]());
+        }
+        return String(value) === String(condition);
+    });
+}
+function applyUpdate(document, update) {
+    if (Array.isArray(update)) {
+        // finishJob's pipeline: completed_with_errors when anything failed
+        const { status, ...rest } = update[0].$set;
+        Object.assign(document, rest, { status: document.failed > 0 ? status.$cond[1] : status.$cond[2] });
+        return;
+    }
+    Object.assign(document, update.$set);
+    for (const [key, by] of Object.entries(update.$inc || {})) document[key] = (document[key] || 0) + by;
+    for (const key of Object.keys(update.$unset || {})) delete document[key];
+}
+function collection(name) {
+    const documents = (collections[name] = collections[name] || []);
+    return {
+        insertOne: async document => {
+            const _id = new ObjectId();
+            documents.push({ _id, ...document });
+            return { insertedId: _id };
+        },
+        insertMany: async list => { list.forEach(document => documents.push({ _id: new ObjectId(), ...document })); },
+        findOne: async filter => documents.find(document => matches(document, filter)) || null,
+        find: filter => ({
+            sort: () => ({ toArray: async () => documents.filter(document => matches(document, filter)).sort((a, b) => a.index - b.index) })
+        }),
+        updateOne: async (filter, update) => {
+            if (name === 'ingestionQueue' && update.$set && update.$set.finishedAt && failQueueFinish > 0) {
+                failQueueFinish--;
+                throw new Error('connection reset');
+            }
+            const document = documents.find(item => matches(item, filter));
+            if (document) applyUpdate(document, update);
+        },
+        findOneAndUpdate: async (filter, update, options = {}) => {
+            let candidates = documents.filter(document => matches(document, filter));
+            if (options.sort) candidates = candidates.sort((a, b) => a.createdAt - b.createdAt || a.index - b.index);
+            if (!candidates.length) return null;
+            applyUpdate(candidates[0], update);
+            return candidates[0];
+        }
+    };
+}
+require.cache[path.join(__dirname, '..', 'db.js')] = { loaded: true, exports: async () => ({ collection }) };
+
+const { createIngestionJob, getIngestionJob, processPending } = require('../lib/ingestion');
+
+const workspaceId = new ObjectId();
+const soon = () => Date.now() + 5000;
+const queue = () => collections.ingestionQueue;
+
+// Records every call and answers success with a fake response id
+function recorder(outcome = () => ({ status: 'success', id: new ObjectId() })) {
+    const calls = [];
+    const processor = async (doc, index, db, context) => {
+        calls.push({ doc, index, ...context });
+        return outcome(doc, index);
+    };
+    return { calls, kinds: { upload: processor } };
+}
+
+test.beforeEach(() => {
+    collections.ingestionQueue = [];
+    collections.ingestionJobs = [];
+    failQueueFinish = 0;
+});
+
+test('a pass processes every queued document, drops the payloads and completes the job', async () => {
+    const { calls, kinds } = recorder((doc, index) => (index === 2 ? { status: 'error', error: 'No text' } : { status: 'success', id: new ObjectId() }));
+    const jobId = await createIngestionJob([{ fileName: 'a.pdf' }, { fileName: 'b.pdf' }, { fileName: 'c.pdf' }], { workspaceId });
+
+    assert.strictEqual(await processPending(kinds, { until: soon() }), 3);
+
+    assert.deepStrictEqual(calls.map(call => [call.doc.fileName, call.index]), [['a.pdf', 0], ['b.pdf', 1], ['c.pdf', 2]]);
+    assert.deepStrictEqual(calls.map(call => String(call.queueItemId)), queue().map(item => String(item._id)));
+    assert.ok(calls.every(call => String(call.workspaceId) === String(workspaceId)));
+    assert.ok(queue().every(item => item.document === undefined && item.leaseExpiresAt === undefined));
+
+    const job = await getIngestionJob(jobId, workspaceId);
+    assert.strictEqual(job.status, 'completed_with_errors');
+    assert.deepStrictEqual([job.processed, job.succeeded, job.failed], [3, 2, 1]);
+    assert.deepStrictEqual(job.documents.map(item => item.status), ['success', 'success', 'error']);
+});
+
+test('items under a live lease are left alone; expired leases are claimed again', async () => {
+    const { calls, kinds } = recorder();
+    await createIngestionJob([{ fileName: 'a.pdf' }, { fileName: 'b.pdf' }], { workspaceId });
+    const [held, expired] = queue();
+    Object.assign(held, { status: 'processing', attempts: 1, leaseExpiresAt: new Date(Date.now() + 60000) });
+    Object.assign(expired, { status: 'processing', attempts: 1, leaseExpiresAt: new Date(Date.now() - 1000) });
+
+    assert.strictEqual(await processPending(kinds, { until: soon() }), 1);
+
+    assert.deepStrictEqual(calls.map(call => call.doc.fileName), ['b.pdf']);
+    assert.strictEqual(held.status, 'processing');
+    assert.strictEqual(expired.status, 'success');
+    assert.strictEqual(expired.attempts, 2);
+});
+
+test('an item whose result could not be recorded is retried under the same queue item id', async () => {
+    const { calls, kinds } = recorder();
+    const jobId = await createIngestionJob([{ fileName: 'a.pdf' }], { workspaceId });
+    failQueueFinish = 1;
+
+    assert.strictEqual(await processPending(kinds, { until: soon() }), 1);
+    const [item] = queue();
+    assert.strictEqual(item.status, 'processing');
+    assert.ok(item.document, 'the payload stays until the item is finished');
+
+    item.leaseExpiresAt = new Date(Date.now() - 1);
+    await processPending(kinds, { until: soon() });
+
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(String(calls[0].queueItemId), String(calls[1].queueItemId));
+    assert.strictEqual((await getIngestionJob(jobId, workspaceId)).status, 'completed');
+});
+
+test('an item is given up on after the maximum number of attempts', async () => {
+    const { calls, kinds } = recorder();
+    const jobId = await createIngestionJob([{ fileName: 'a.pdf' }], { workspaceId });
+    Object.assign(queue()[0], { status: 'processing', attempts: 2, leaseExpiresAt: new Date(Date.now() - 1) });
+
+    await processPending(kinds, { until: soon() });
+
+    assert.strictEqual(calls.length, 0);
+    const job = await getIngestionJob(jobId, workspaceId);
+    assert.deepStrictEqual(job.documents.map(item => [item.status, item.attempts, item.error]),
+        [['error', 3, 'Processing failed 2 times; giving up']]);
+    assert.strictEqual(job.status, 'completed_with_errors');
+});
+
+test('an item whose payload was erased fails without being processed', async () => {
+    const { calls, kinds } = recorder();
+    await createIngestionJob([{ fileName: 'a.pdf' }], { workspaceId });
+    Object.assign(queue()[0], { payloadErasedAt: new Date() });
+    delete queue()[0].document;
+
+    await processPending(kinds, { until: soon() });
+
+    assert.strictEqual(calls.length, 0);
+    assert.strictEqual(queue()[0].error, 'The document was erased before processing finished');
+});
+
+test('nothing new is claimed once the pass is out of time', async () => {
+    const { calls, kinds } = recorder();
+    await createIngestionJob([{ fileName: 'a.pdf' }], { workspaceId });
+
+    assert.strictEqual(await processPending(kinds, { until: Date.now() - 1 }), 0);
+    assert.strictEqual(calls.length, 0);
+    assert.strictEqual(queue()[0].status, 'queued');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateJob, describeJob } = require('../lib/jobOpenings');
+
+test('null or non-object requirements are a validation error, not a crash', () => {
+    for (const requirements of [null, 'Node.js', 42, ['Node.js']]) {
+        assert.deepStrictEqual(validateJob({ title: 'Engineer', description: 'Build APIs', requirements }).errors,
+            ['requirements must be an object'], `requirements: ${JSON.stringify(requirements)}`);
+        assert.deepStrictEqual(validateJob({ requirements }, { partial: true }).errors, ['requirements must be an object']);
+    }
+});
+
+test('requirements are normalized', () => {
+    const { value, errors } = validateJob({
+        title: ' Engineer ',
+        description: 'Build APIs',
+        requirements: {
+            mustHaveSkills: 'Node.js, MongoDB',
+            minYearsExperience: '3',
+            languages: ['English', { language: 'Azerbaijani', proficiency: 'C1' }, null, { proficiency: 'B2' }]
+        }
+    });
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(value.title, 'Engineer');
+    assert.deepStrictEqual(value.requirements, {
+        mustHaveSkills: ['Node.js', 'MongoDB'],
+        niceToHaveSkills: [],
+        minYearsExperience: 3,
+        education: '',
+        languages: [{ language: 'English', proficiency: '' }, { language: 'Azerbaijani', proficiency: 'C1' }]
+    });
+    assert.match(describeJob(value), /Languages: English, Azerbaijani \(C1\)/);
+});
+
+test('missing fields and bad values are reported together', () => {
+    const { errors } = validateJob({ status: 'archived', requirements: { minYearsExperience: -1, languages: 'English' } });
+
+    assert.deepStrictEqual(errors, [
+        'title is required',
+        'description is required',
+        'status must be one of: draft, open, paused, closed',
+        'requirements.minYearsExperience must be a non-negative number',
+        'requirements.languages must be an array'
+    ]);
+    // Updates only check what they change
+    assert.deepStrictEqual(validateJob({ status: 'paused' }, { partial: true }).errors, []);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { isKnownLanguage, tesseractLanguages, detectLanguage } = require('../lib/language');
+
+test('language hints map to Tesseract packs with English added', () => {
+    assert.strictEqual(tesseractLanguages('az', 'eng'), 'aze+eng');
+    assert.strictEqual(tesseractLanguages('RU', 'eng'), 'rus+eng');
+    assert.strictEqual(tesseractLanguages('en', 'eng+aze'), 'eng');
+    assert.strictEqual(tesseractLanguages(null, 'eng+aze'), 'eng+aze');
+});
+
+test('unknown hints are never used as pack names', () => {
+    for (const hint of ['../../etc/passwd', 'deu', 'constructor', '__proto__']) {
+        assert.strictEqual(isKnownLanguage(hint), false, hint);
+        assert.strictEqual(tesseractLanguages(hint, 'eng'), 'eng', hint);
+    }
+});
+
+test('the language of CV text is detected', () => {
+    assert.strictEqual(detectLanguage('Work experience and education at the university, skills in project management'), 'en');
+    assert.strictEqual(detectLanguage('Опыт работы в компании и образование в университете'), 'ru');
+    assert.strictEqual(detectLanguage('Bakı Dövlət Universiteti, təhsil və iş təcrübəsi'), 'az');
+    assert.strictEqual(detectLanguage('short'), null);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+process.env.LINKEDIN_CLIENT_ID = 'client';
+process.env.LINKEDIN_CLIENT_SECRET = 'secret';
+process.env.LINKEDIN_REDIRECT_URI = 'https://app.example.com/auth/callback';
+
+const { fetchProfile } = require('../lib/linkedin');
+
+// LinkedIn's token and userinfo endpoints, answering with `userinfo`
+function stubLinkedIn(userinfo) {
+    axios.post = async () => ({ data: { access_token: 'token' } });
+    axios.get = async () => ({ data: { sub: 'abc123', name: 'Jane Doe', ...userinfo } });
+}
+
+test('a verified email is returned in lower case', async () => {
+    stubLinkedIn({ email: 'Jane@Example.com', email_verified: true });
+    const profile = await fetchProfile('code');
+
+    assert.strictEqual(profile.email, 'jane@example.com');
+    assert.strictEqual(profile.linkedinId, 'abc123');
+});
+
+test('an email LinkedIn has not verified is left out', async () => {
+    for (const email_verified of [false, undefined, 'true']) {
+        stubLinkedIn({ email: 'admin@example.com', email_verified });
+        assert.strictEqual((await fetchProfile('code')).email, null, `email_verified: ${email_verified}`);
+    }
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { parseListQuery, runListQuery, pickFields, cursorFilter, decodeCursor } = require('../lib/listing');
+
+const get = (document, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), document);
+
+// MongoDB's order for the values used here: missing and null first, then numbers, then strings; ids by hex
+function compare(a, b) {
+    const rank = value => (value == null ? 0 : typeof value === 'number' ? 1 : 2);
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (a == null) return 0;
+    const [x, y] = a instanceof ObjectId ? [a.toHexString(), b.toHexString()] : [a, b];
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Filter semantics of the operators listing.js uses, including that $gt/$lt never match null or missing values
+function matches(document, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') return condition.every(child => matches(document, child));
+        if (key === '$or') return condition.some(child => matches(document, child));
+        const value = get(document, key);
+        if (condition === null) return value == null;
+        if (condition instanceof ObjectId || typeof condition !== 'object') return value != null && compare(value, condition) === 0;
+        return Object.entries(condition).every(([op, arg]) => {
+            if (op === '$ne') return arg === null ? value != null : value == null || compare(value, arg) !== 0;
+            if (value == null) return false;
+            const order = compare(value, arg);
+            return { $gt: order > 0, $lt: order < 0, $gte: order >= 0, $lte: order <= 0 }[op];
+        });
+    });
+}
+
+function memoryCollection(documents) {
+    return {
+        find(filter) {
+            let found = documents.filter(document => matches(document, filter));
+            const cursor = {
+                sort(spec) {
+                    const keys = Object.entries(spec);
+                    found = found.slice().sort((a, b) => {
+                        for (const [key, direction] of keys) {
+                            const order = compare(get(a, key), get(b, key));
+                            if (order) return order * direction;
+                        }
+                        return 0;
+                    });
+                    return cursor;
+                },
+                skip(n) { found = found.slice(n); return cursor; },
+                limit(n) { found = found.slice(0, n); return cursor; },
+                toArray: async () => found
+            };
+            return cursor;
+        },
+        countDocuments: async filter => documents.filter(document => matches(document, filter)).length
+    };
+}
+
+// Follows nextCursor until the end and resolves with the ids in the order they were listed
+async function walk(collection, query) {
+    const seen = [];
+    let cursor;
+    do {
+        const listQuery = parseListQuery({ ...query, ...(cursor && { cursor }) });
+        const { documents, paging } = await runListQuery(collection, listQuery);
+        seen.push(...documents.map(document => document.name));
+        cursor = paging.nextCursor;
+    } while (cursor);
+    return seen;
+}
+
+function ratedAndUnrated() {
+    const make = (name, average) => ({
+        _id: new ObjectId(), name, ...(average !== undefined && { rating: average === null ? { average: null, count: 0 } : { average, count: 1 } })
+    });
+    // Unrated records either have no rating yet or one with a null average
+    return [make('a', 4), make('b'), make('c', 2), make('d', null), make('e', 4), make('f'), make('g', 5)];
+}
+
+test('sorting by rating pages through unrated records too', async () => {
+    const documents = ratedAndUnrated();
+    const collection = memoryCollection(documents);
+
+    // Ties, unrated ones included, are ordered by id, which follows creation order here
+    const descending = await walk(collection, { sort: '-rating', pageSize: '2' });
+    assert.deepStrictEqual(descending, ['g', 'e', 'a', 'c', 'f', 'd', 'b']);
+
+    const ascending = await walk(collection, { sort: 'rating', pageSize: '2' });
+    assert.deepStrictEqual(ascending, ['b', 'd', 'f', 'c', 'a', 'e', 'g']);
+});
+
+test('every page size lists each record exactly once', async () => {
+    const collection = memoryCollection(ratedAndUnrated());
+
+    for (const sort of ['rating', '-rating', 'createdAt', '-name']) {
+        for (const pageSize of ['1', '3', '10']) {
+            const seen = await walk(collection, { sort, pageSize });
+            assert.deepStrictEqual(seen.slice().sort(), ['a', 'b', 'c', 'd', 'e', 'f', 'g'], `sort=${sort} pageSize=${pageSize}`);
+        }
+    }
+});
+
+test('a cursor on a null value continues past the other unrated records', () => {
+    const id = new ObjectId();
+
+    assert.deepStrictEqual(cursorFilter({ v: null, id }, { field: 'rating.average', direction: 1 }), {
+        $or: [{ 'rating.average': null, _id: { $gt: id } }, { 'rating.average': { $ne: null } }]
+    });
+    assert.deepStrictEqual(cursorFilter({ v: null, id }, { field: 'rating.average', direction: -1 }),
+        { 'rating.average': null, _id: { $lt: id } });
+    assert.deepStrictEqual(cursorFilter({ v: 3, id }, { field: 'rating.average', direction: -1 }), {
+        $or: [{ 'rating.average': { $lt: 3 } }, { 'rating.average': 3, _id: { $lt: id } }, { 'rating.average': null }]
+    });
+});
+
+test('filters, sorting and paging are read from the query string', () => {
+    const listQuery = parseListQuery({
+        status: 'success,error', candidateStatus: 'interview', tags: 'Senior', from: '2024-01-01', to: '2024-02-01',
+        minRating: '3', rated: 'true', sort: 'name', order: 'desc', page: '3', pageSize: '500'
+    });
+
+    assert.deepStrictEqual(listQuery.filter, {
+        createdAt: { $gte: new Date('2024-01-01'), $lte: new Date('2024-02-01') },
+        status: { $in: ['success', 'error'] },
+        candidateStatus: { $in: ['interview'] },
+        tags: { $all: ['senior'] },
+        'rating.average': { $gte: 3 },
+        'rating.count': { $gt: 0 }
+    });
+    assert.deepStrictEqual(listQuery.sort, { field: 'result.Name', direction: -1 });
+    assert.deepStrictEqual([listQuery.page, listQuery.pageSize, listQuery.cursor], [3, 200, null]);
+
+    const defaults = parseListQuery({});
+    assert.deepStrictEqual([defaults.filter, defaults.sort, defaults.page, defaults.pageSize], [{}, { field: 'createdAt', direction: -1 }, 1, 50]);
+    assert.deepStrictEqual(parseListQuery({ sort: '+rating' }).sort, { field: 'rating.average', direction: 1 });
+});
+
+test('bad listing parameters are rejected with a message for the caller', () => {
+    assert.throws(() => parseListQuery({ from: 'yesterday' }), /Invalid from date: yesterday/);
+    assert.throws(() => parseListQuery({ sort: 'salary' }), /Cannot sort by "salary"/);
+    assert.throws(() => parseListQuery({ fields: 'result,secret' }), /Unknown field "secret"/);
+    assert.throws(() => parseListQuery({ fields: 'tags.name' }), /Unknown field "tags.name"/);
+    assert.throws(() => parseListQuery({ minRating: '9' }), /minRating must be a number/);
+    assert.throws(() => parseListQuery({ cursor: 'not-a-cursor' }), /Invalid cursor/);
+});
+
+test('selected fields become a projection without overlapping paths and are picked from the records', () => {
+    const listQuery = parseListQuery({ fields: 'result.Name,result,status,normalized.email' });
+
+    assert.deepStrictEqual(listQuery.projection, { result: 1, status: 1, 'normalized.email': 1 });
+    const record = { id: 1, status: 'success', result: { Name: 'Jane', Skills: [] }, normalized: { email: 'j@x.io', phone: '1' }, tags: [] };
+    assert.deepStrictEqual(pickFields(record, parseListQuery({ fields: 'status,normalized.email' }).fields),
+        { id: 1, status: 'success', normalized: { email: 'j@x.io' } });
+    assert.strictEqual(pickFields(record, null), record);
+});
+
+test('a page reports the total and a cursor that decodes to the last record', async () => {
+    const documents = ['a', 'b', 'c'].map((name, index) => ({ _id: new ObjectId(), name, createdAt: new Date(Date.UTC(2024, 0, index + 1)) }));
+    const collection = memoryCollection(documents);
+
+    const { documents: page, paging } = await runListQuery(collection, parseListQuery({ pageSize: '2' }));
+    assert.deepStrictEqual(page.map(document => document.name), ['c', 'b']);
+    assert.deepStrictEqual({ ...paging, nextCursor: undefined }, { total: 3, page: 1, pageSize: 2, hasMore: true, nextCursor: undefined });
+    assert.deepStrictEqual(decodeCursor(paging.nextCursor), { v: documents[1].createdAt, id: documents[1]._id });
+
+    const last = await runListQuery(collection, parseListQuery({ pageSize: '2', page: '2' }));
+    assert.deepStrictEqual([last.documents.map(document => document.name), last.paging.hasMore, last.paging.nextCursor], [['a'], false, null]);
+});
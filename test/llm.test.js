@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+
+// Everything below runs against the mock provider and the fixtures in fixtures/llm, without a network
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.LLM_MOCK_FIXTURES;
+
+const { createProvider, complete, getModelInfo } = require('../lib/llm');
+const { completeAndValidate } = require('../lib/cvExtraction');
+const { matchCandidates } = require('../lib/matching');
+
+// Just enough of a MongoDB database for matchCandidates: `responses` with find by workspace and by id
+function fakeDb(responses) {
+    const find = query => {
+        const found = responses.filter(response => String(response.workspaceId) === String(query.workspaceId)
+            && (!query._id || query._id.$in.some(id => String(id) === String(response._id))));
+        return { toArray: async () => found, [Symbol.asyncIterator]: async function* () { yield* found; } };
+    };
+    return { collection: () => ({ find }) };
+}
+
+test('the mock provider answers from the fixture of the task', async () => {
+    assert.deepStrictEqual(getModelInfo(), { provider: 'mock', model: 'mock' });
+
+    const content = await complete([{ role: 'user', content: 'any CV' }], { task: 'extract' });
+    assert.strictEqual(JSON.parse(content).Name, 'Jane Doe');
+
+    await assert.rejects(complete([], { task: 'unknown' }), /No mock fixture for task "unknown"/);
+});
+
+test('the mock provider prefers a fixture recorded for the exact messages', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    const messages = [{ role: 'user', content: 'Jane Doe' }];
+    const hash = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+    fs.writeFileSync(path.join(dir, `extract-${hash}.json`), '{"Name":"Recorded"}');
+    fs.writeFileSync(path.join(dir, 'extract.json'), '{"Name":"Default"}');
+
+    try {
+        const provider = createProvider({ provider: 'mock', mockFixturesDir: dir });
+        assert.strictEqual(JSON.parse(await provider.chat(messages, { task: 'extract' })).Name, 'Recorded');
+        assert.strictEqual(JSON.parse(await provider.chat([{ role: 'user', content: 'John' }], { task: 'extract' })).Name, 'Default');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('extraction runs end to end against the mock provider', async () => {
+    const { result, validation } = await completeAndValidate([
+        { role: 'system', content: 'Extract the CV' },
+        { role: 'user', content: 'Jane Doe, backend developer' }
+    ], { task: 'extract' });
+
+    assert.strictEqual(validation.valid, true);
+    assert.strictEqual(validation.attempts, 1);
+    assert.strictEqual(result.Name, 'Jane Doe');
+    assert.ok(result.Skills.includes('Node.js'));
+});
+
+test('matching ranks candidates with the mock provider\'s scores', async () => {
+    const workspaceId = new ObjectId();
+    const { result: jane } = await completeAndValidate([{ role: 'user', content: 'Jane' }], { task: 'extract' });
+    const responses = [
+        { _id: new ObjectId(), workspaceId, status: 'success', candidateStatus: 'new', result: jane },
+        { _id: new ObjectId(), workspaceId, status: 'success', candidateStatus: 'new', result: { ...jane, Name: 'John Roe', Skills: ['Node.js', 'Python'] } },
+        { _id: new ObjectId(), workspaceId: new ObjectId(), status: 'success', result: jane } // Another workspace
+    ];
+    const job = { title: 'Backend developer', description: 'Node.js and MongoDB services', requirements: { mustHaveSkills: ['Node.js'] } };
+
+    const run = () => matchCandidates(fakeDb(responses), job, job.description, { workspaceId, model: 'mock', blind: true });
+    const { results, stats } = await run();
+
+    assert.deepStrictEqual(stats, { considered: 2, shortlisted: 2, batches: 1, failedBatches: 0, scoredByModel: 2, blind: true });
+    assert.strictEqual(results.length, 2);
+    assert.ok(results.every(entry => entry.scoredByModel && entry.reasons === 'Mock scores generated from the candidate id.'));
+    assert.ok(results[0].score >= results[1].score);
+    // The mock's scores depend only on the candidate id, so a second run ranks the same way
+    assert.deepStrictEqual((await run()).results.map(entry => [String(entry.candidateId), entry.score]),
+        results.map(entry => [String(entry.candidateId), entry.score]));
+});
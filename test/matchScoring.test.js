@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CRITERIA, DEFAULT_WEIGHTS, validateWeights, scoreBreakdown } = require('../lib/matchScoring');
+
+const cv = {
+    Skills: ['Node.js', 'MongoDB', 'Docker'],
+    WorkExperience: [{ JobTitle: 'Developer', Duration: '2016 - 2019' }],
+    Education: [{ Degree: 'Bachelor of Science', FieldOfStudy: 'Computer Science' }],
+    Languages: [{ Language: 'English', Proficiency: 'Fluent' }, { Language: 'Russian', Proficiency: 'Basic' }],
+    ContactInformation: { Address: 'Nizami street 5, Baku, Azerbaijan' }
+};
+
+const job = {
+    location: 'Baku',
+    requirements: {
+        mustHaveSkills: ['Node.js', 'MongoDB', 'Kubernetes', 'TypeScript'],
+        niceToHaveSkills: ['Docker'],
+        minYearsExperience: 8,
+        education: "Master's degree",
+        languages: [{ language: 'English', proficiency: 'fluent' }, { language: 'Russian', proficiency: 'fluent' }]
+    }
+};
+
+// The overall score the breakdown says it is made of
+const weighedFrom = breakdown => {
+    const applicable = Object.values(breakdown).filter(entry => entry.applicable);
+    const total = applicable.reduce((sum, entry) => sum + entry.weight, 0);
+    return Math.round((applicable.reduce((sum, entry) => sum + entry.weight * entry.score, 0) / total) * 10) / 10;
+};
+
+test('every criterion is scored by rules when the job states it', () => {
+    const { score, breakdown, matchedRequirements, missingRequirements } = scoreBreakdown(job, cv);
+
+    assert.deepStrictEqual(Object.keys(breakdown), CRITERIA);
+    assert.deepStrictEqual(
+        Object.fromEntries(CRITERIA.map(criterion => [criterion, [breakdown[criterion].score, breakdown[criterion].source]])),
+        {
+            requiredSkills: [50, 'rules'],
+            niceToHaveSkills: [100, 'rules'],
+            experience: [50, 'rules'], // 4 of 8 years
+            education: [50, 'rules'], // One degree level short
+            languages: [75, 'rules'], // Russian below the asked level counts for half
+            location: [100, 'rules']
+        }
+    );
+    // (35*50 + 10*100 + 25*50 + 10*50 + 10*75 + 10*100) / 100
+    assert.strictEqual(score, 62.5);
+    assert.strictEqual(score, weighedFrom(breakdown));
+    assert.deepStrictEqual(matchedRequirements, ['Node.js', 'MongoDB', 'Docker', 'English (fluent)', 'Baku']);
+    assert.deepStrictEqual(missingRequirements, ['Kubernetes', 'TypeScript', '4 years of experience (minimum 8)', "Master's degree", 'Russian (fluent)']);
+});
+
+test('the default weights add up to 100 and job weights replace them one by one', () => {
+    assert.strictEqual(Object.values(DEFAULT_WEIGHTS).reduce((sum, weight) => sum + weight, 0), 100);
+
+    const weighted = scoreBreakdown({ ...job, weights: { requiredSkills: 100, location: 0 } }, cv);
+    assert.strictEqual(weighted.breakdown.requiredSkills.weight, 100);
+    assert.strictEqual(weighted.breakdown.experience.weight, DEFAULT_WEIGHTS.experience);
+    // A weight of 0 leaves the criterion out rather than counting it as 0
+    assert.strictEqual(weighted.breakdown.location.applicable, false);
+    assert.ok(!weighted.matchedRequirements.includes('Baku'));
+    // (100*50 + 10*100 + 25*50 + 10*50 + 10*75) / 155
+    assert.strictEqual(weighted.score, 54.8);
+    assert.strictEqual(weighted.score, weighedFrom(weighted.breakdown));
+});
+
+test('criteria without a requirement fall back to the model, and drop out without one', () => {
+    const freeText = { description: 'Backend developer' };
+
+    const withoutModel = scoreBreakdown(freeText, cv);
+    assert.strictEqual(withoutModel.score, null);
+    assert.ok(CRITERIA.every(criterion => !withoutModel.breakdown[criterion].applicable));
+
+    const withModel = scoreBreakdown(freeText, cv, { requiredSkills: 80, experience: 150, education: null, languages: 'n/a', location: -5 });
+    assert.deepStrictEqual(
+        CRITERIA.map(criterion => [withModel.breakdown[criterion].score, withModel.breakdown[criterion].source]),
+        [[80, 'model'], [null, null], [100, 'model'], [null, null], [null, null], [0, 'model']]
+    );
+    // (35*80 + 25*100 + 10*0) / 70
+    assert.strictEqual(withModel.score, 75.7);
+
+    // With a stated minimum, the model's relevance is averaged with the years
+    const experience = scoreBreakdown({ requirements: { minYearsExperience: 8 } }, cv, { experience: 90 }).breakdown.experience;
+    assert.deepStrictEqual([experience.score, experience.source], [70, 'rules+model']);
+});
+
+test('CVs missing whole sections score 0 where the job asks for them', () => {
+    const { score, breakdown, missingRequirements } = scoreBreakdown(job, {});
+
+    assert.deepStrictEqual(CRITERIA.map(criterion => breakdown[criterion].score), [0, 0, 0, 0, 0, null]);
+    // No address to compare: the location is left to the model, which didn't score it
+    assert.strictEqual(breakdown.location.applicable, false);
+    assert.strictEqual(score, 0);
+    assert.ok(missingRequirements.includes('0 years of experience (minimum 8)'));
+    assert.deepStrictEqual(scoreBreakdown(job, { Skills: null, Languages: 'English' }).breakdown.requiredSkills.score, 0);
+});
+
+test('job weights are validated', () => {
+    assert.deepStrictEqual(validateWeights({ requiredSkills: 50, location: 0 }), { value: { requiredSkills: 50, location: 0 }, errors: [] });
+    assert.deepStrictEqual(validateWeights({ salary: 10, experience: -1, education: '10' }).errors, [
+        `Unknown weight "salary". Use: ${CRITERIA.join(', ')}`,
+        'weights.experience must be a non-negative number',
+        'weights.education must be a non-negative number'
+    ]);
+    assert.deepStrictEqual(validateWeights([]).errors, ['weights must be an object']);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+
+// The mock provider answers with fixtures/llm/match.js, except for batches with a candidate listing the
+// 'Garbled' skill, which get a reply that is not JSON
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matching-'));
+fs.writeFileSync(path.join(fixturesDir, 'match.js'), `
+const match = require(${JSON.stringify(path.join(__dirname, '..', 'fixtures', 'llm', 'match.js'))});
+module.exports = messages => (messages.some(message => message.content.includes('"Garbled"')) ? 'Sorry, I cannot rank these.' : match(messages));
+`);
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MOCK_FIXTURES = fixturesDir;
+process.env.MATCH_SHORTLIST_SIZE = '2';
+process.env.MATCH_BATCH_SIZE = '1';
+
+const { matchCandidates, preScore } = require('../lib/matching');
+
+test.after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+
+const workspaceId = new ObjectId();
+
+function fakeDb(responses) {
+    const find = query => {
+        const found = responses.filter(response => !query._id || query._id.$in.some(id => String(id) === String(response._id)));
+        return { toArray: async () => found, [Symbol.asyncIterator]: async function* () { yield* found; } };
+    };
+    return { collection: () => ({ find }) };
+}
+
+const response = (name, skills, summary = '') => ({
+    _id: new ObjectId(), workspaceId, status: 'success', candidateStatus: 'new', result: { Name: name, Skills: skills, Summary: summary }
+});
+
+const job = { title: 'Backend developer', description: 'Build Node.js services on MongoDB', requirements: { mustHaveSkills: ['Node.js'] } };
+
+test('the pre-score rewards required skills and job keywords', () => {
+    const withKeywords = preScore(job, { Skills: ['Node.js'], Summary: 'Backend developer building services' }).score;
+    const skillOnly = preScore(job, { Skills: ['Node.js'] }).score;
+
+    // The required skill alone is worth 55 of the 100 points, keyword overlap up to 30 more
+    assert.ok(skillOnly >= 55 && skillOnly < withKeywords && withKeywords <= 100, `${skillOnly} < ${withKeywords}`);
+    assert.strictEqual(preScore(job, { Skills: ['Photoshop'] }).score, 0);
+    assert.strictEqual(preScore(job, {}).score, 0);
+    assert.ok(preScore({ description: 'Node.js developer' }, { Skills: ['Node.js'] }).score > 0);
+});
+
+test('candidates without any overlap are still ranked while the shortlist has room', async () => {
+    const designer = response('Designer', ['Photoshop']);
+    const { results, stats } = await matchCandidates(fakeDb([designer]), job, job.description, { workspaceId, model: 'mock', blind: false });
+
+    assert.deepStrictEqual(stats, { considered: 1, shortlisted: 1, batches: 1, failedBatches: 0, scoredByModel: 1, blind: false });
+    assert.strictEqual(results[0].preScore, 0);
+    assert.strictEqual(results[0].scoredByModel, true);
+});
+
+test('candidates with overlap take the shortlist places first', async () => {
+    const responses = [response('Designer', ['Photoshop']), response('Developer', ['Node.js']), response('Lead', ['Node.js'], 'Backend developer')];
+    const { results, stats } = await matchCandidates(fakeDb(responses), job, job.description, { workspaceId, model: 'mock', blind: false });
+
+    assert.strictEqual(stats.considered, 3);
+    assert.strictEqual(stats.shortlisted, 2);
+    assert.deepStrictEqual(results.map(result => String(result.candidateId)).sort(), [responses[1], responses[2]].map(entry => String(entry._id)).sort());
+});
+
+test('a batch the model cannot score falls back to the pre-score without failing the others', async () => {
+    const garbled = response('Garbled', ['Node.js', 'Garbled']);
+    const developer = response('Developer', ['Node.js'], 'Backend developer');
+    const { results, stats } = await matchCandidates(fakeDb([garbled, developer]), job, job.description, { workspaceId, model: 'mock', blind: false });
+
+    assert.deepStrictEqual(stats, { considered: 2, shortlisted: 2, batches: 2, failedBatches: 1, scoredByModel: 1, blind: false });
+    const byId = new Map(results.map(result => [String(result.candidateId), result]));
+    const fallback = byId.get(String(garbled._id));
+    assert.strictEqual(fallback.scoredByModel, false);
+    assert.strictEqual(fallback.score, fallback.preScore);
+    assert.match(fallback.reasons, /could not score/);
+    assert.strictEqual(byId.get(String(developer._id)).scoredByModel, true);
+});
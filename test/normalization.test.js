@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseDateRange, totalYears } = require('../lib/experience');
+const { canonicalSkill, normalizeSkills, normalizePhoneNumber, normalizeDateRange, normalizeCV } = require('../lib/normalization');
+
+const now = new Date(Date.UTC(2024, 5, 15));
+const utc = (year, month, day = 1) => new Date(Date.UTC(year, month, day));
+
+test('"Present" and its translations end a range today', () => {
+    for (const text of ['Jan 2020 - Present', 'Jan 2020 – present', '01/2020 - halen', '2020-01 to current', '01.2020 - настоящее время']) {
+        const range = parseDateRange(text, now);
+        assert.ok(range, text);
+        assert.deepStrictEqual([range.start, range.end, range.current], [utc(2020, 0), now, true], text);
+        assert.deepStrictEqual(range.precision, { start: 'month', end: null }, text);
+    }
+    assert.deepStrictEqual(normalizeDateRange('Jan 2020 - Present', now), { raw: 'Jan 2020 - Present', start: '2020-01', end: null, current: true, iso: '2020-01/..' });
+});
+
+test('month ranges keep their months', () => {
+    const range = parseDateRange('03/2019 – 11/2021', now);
+
+    assert.deepStrictEqual([range.start, range.end, range.current], [utc(2019, 2), utc(2021, 10, 28), false]);
+    assert.deepStrictEqual(normalizeDateRange('March 2019 - Nov 2021', now).iso, '2019-03/2021-11');
+    assert.deepStrictEqual(normalizeDateRange('2019-03 - 2021-11', now).iso, '2019-03/2021-11');
+});
+
+test('year-only ranges run from January to the end of the last year', () => {
+    const range = parseDateRange('2016-2018', now);
+
+    assert.deepStrictEqual([range.start, range.end], [utc(2016, 0), utc(2018, 11, 28)]);
+    assert.deepStrictEqual(range.precision, { start: 'year', end: 'year' });
+    assert.deepStrictEqual(normalizeDateRange('2016 - 2018', now), { raw: '2016 - 2018', start: '2016', end: '2018', current: false, iso: '2016/2018' });
+    // Mixed precision
+    assert.strictEqual(normalizeDateRange('2016 - Mar 2018', now).iso, '2016/2018-03');
+});
+
+test('text that is not a date range is kept raw', () => {
+    for (const text of ['', 'a few years', 'Present - 2020', '2020 - 2018', 'Smarch 2020 - 2021']) {
+        assert.strictEqual(parseDateRange(text, now), null, text);
+    }
+    assert.deepStrictEqual(normalizeDateRange('a few years', now), { raw: 'a few years', start: null, end: null, current: false, iso: null });
+    assert.deepStrictEqual(normalizeDateRange(undefined, now), { raw: null, start: null, end: null, current: false, iso: null });
+});
+
+test('overlapping jobs count once in the years total', () => {
+    const ranges = ['2015 - 2016', 'Jan 2016 - Dec 2017', '2017 - 2018', '2021 - 2021'].map(text => parseDateRange(text, now));
+
+    // 2015-01 to 2018-12-28 without gaps (4 years, not the 7 the roles add up to), then 2021-01 to 2021-12-28
+    assert.strictEqual(totalYears(ranges), 5);
+    assert.strictEqual(totalYears([...ranges, null]), 5);
+    assert.strictEqual(totalYears([]), 0);
+
+    const { experience, workExperience } = normalizeCV({
+        WorkExperience: [
+            { JobTitle: 'Developer', Company: 'Acme', Duration: 'Jan 2020 - Present' },
+            { JobTitle: 'Freelancer', Duration: 'Jan 2022 - Dec 2022' },
+            { JobTitle: 'Intern', Duration: 'summer' }
+        ]
+    }, { now });
+    assert.deepStrictEqual(workExperience.map(role => role.years), [4.5, 1, null]);
+    assert.deepStrictEqual(experience, { totalYears: 4.5, overlappingYears: 1, undatedRoles: 1 });
+});
+
+test('skill aliases map to their canonical names', () => {
+    assert.strictEqual(canonicalSkill('JS').name, 'JavaScript');
+    assert.strictEqual(canonicalSkill('node js').name, 'Node.js');
+    assert.strictEqual(canonicalSkill('Python 3').name, 'Python');
+    assert.strictEqual(canonicalSkill('Underwater basket weaving'), null);
+
+    assert.deepStrictEqual(normalizeSkills(['JS', 'Javascript, NodeJS', 'Node.js', 'Underwater basket weaving', '', null]), [
+        { name: 'JavaScript', category: canonicalSkill('JavaScript').category, raw: ['JS', 'Javascript'] },
+        { name: 'Node.js', category: canonicalSkill('Node.js').category, raw: ['NodeJS', 'Node.js'] },
+        { name: 'Underwater basket weaving', category: null, raw: ['Underwater basket weaving'] }
+    ]);
+    assert.deepStrictEqual(normalizeSkills('JS'), []);
+});
+
+test('phone numbers become E.164, or null when they cannot be one', () => {
+    assert.strictEqual(normalizePhoneNumber('+994 50 123 45 67'), '+994501234567');
+    assert.strictEqual(normalizePhoneNumber('(050) 123-45-67'), '+994501234567');
+    assert.strictEqual(normalizePhoneNumber('00994501234567'), '+994501234567');
+    assert.strictEqual(normalizePhoneNumber('994501234567'), '+994501234567');
+    assert.strictEqual(normalizePhoneNumber('020 7946 0958', '44'), '+442079460958');
+
+    for (const invalid of ['', null, '123', '+1 23', '+1234567890123456', 'call me']) {
+        assert.strictEqual(normalizePhoneNumber(invalid), null, String(invalid));
+    }
+    assert.strictEqual(normalizePhoneNumber('050 123 45 67', ''), null);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadPipeline, getPipeline, validateTransition } = require('../lib/pipeline');
+
+test('allows the moves the default pipeline lists', () => {
+    assert.strictEqual(validateTransition('pending', 'screening'), null);
+    assert.strictEqual(validateTransition('screening', 'interview'), null);
+    assert.strictEqual(validateTransition('interview', 'offer'), null);
+    assert.strictEqual(validateTransition('offer', 'hired'), null);
+    for (const stage of ['pending', 'screening', 'interview', 'offer']) {
+        assert.strictEqual(validateTransition(stage, 'rejected'), null);
+    }
+});
+
+test('refuses skipped, backward and terminal moves with the allowed stages', () => {
+    assert.strictEqual(validateTransition('pending', 'hired'),
+        'Cannot move candidate from "pending" to "hired". Allowed: screening, rejected');
+    assert.strictEqual(validateTransition('interview', 'screening'),
+        'Cannot move candidate from "interview" to "screening". Allowed: offer, rejected');
+    assert.strictEqual(validateTransition('hired', 'rejected'),
+        'Cannot move candidate from "hired" to "rejected". Allowed: none');
+    assert.strictEqual(validateTransition('rejected', 'pending'),
+        'Cannot move candidate from "rejected" to "pending". Allowed: none');
+});
+
+test('refuses unknown and unchanged statuses', () => {
+    assert.strictEqual(validateTransition('pending', 'archived'),
+        `Unknown status "archived". Valid statuses: ${getPipeline().stages.join(', ')}`);
+    assert.strictEqual(validateTransition('screening', 'screening'), 'Candidate is already in status "screening"');
+});
+
+test('lets records with a status from before the pipeline re-enter at any stage', () => {
+    assert.strictEqual(validateTransition('shortlisted', 'interview'), null);
+    assert.strictEqual(validateTransition(undefined, 'hired'), null);
+});
+
+test('checks moves against a custom pipeline when one is given', () => {
+    const custom = loadPipeline({
+        initial: 'new',
+        transitions: { new: ['phone_screen'], phone_screen: ['hired', 'declined'], hired: [], declined: [] }
+    });
+
+    assert.strictEqual(validateTransition('new', 'phone_screen', custom), null);
+    assert.strictEqual(validateTransition('phone_screen', 'hired', custom), null);
+    assert.strictEqual(validateTransition('new', 'hired', custom), 'Cannot move candidate from "new" to "hired". Allowed: phone_screen');
+    assert.match(validateTransition('pending', 'screening', custom), /^Unknown status "screening"/);
+});
+
+test('loadPipeline rejects malformed pipelines', () => {
+    assert.throws(() => loadPipeline(null), /must define a transitions object/);
+    assert.throws(() => loadPipeline({ initial: 'a', transitions: ['a'] }), /must define a transitions object/);
+    assert.throws(() => loadPipeline({ initial: 'new', transitions: { a: [] } }), /Initial stage "new" is not part of the pipeline/);
+    assert.throws(() => loadPipeline({ initial: 'a', transitions: { a: 'b', b: [] } }), /Transitions for stage "a" must be an array/);
+    assert.throws(() => loadPipeline({ initial: 'a', transitions: { a: ['b', 'c'], b: [] } }), /Stage "a" points to unknown stage\(s\): c/);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017';
+
+// runRetention connects on its own; it gets the same in-memory database the other tests pass in
+let database;
+require.cache[path.join(__dirname, '..', 'db.js')] = { loaded: true, exports: async () => database };
+
+const { eraseResponses, anonymizeResponses, runRetention } = require('../lib/privacy');
+
+const includes = (ids, id) => ids.some(other => String(other) === String(id));
+
+// Just enough of the driver for privacy.js: responses and queue items are kept, everything else only counts calls
+function fakeDb({ responses = [], queue = [], workspaces = [] }) {
+    const audit = [];
+    const matchesResponse = (response, filter) => String(response.workspaceId) === String(filter.workspaceId)
+        && (!filter._id || includes(filter._id.$in, response._id))
+        && (!filter.createdAt || response.createdAt < filter.createdAt.$lt)
+        && !(filter.anonymizedAt && response.anonymizedAt);
+    const cursor = docs => ({ limit: n => cursor(docs.slice(0, n)), toArray: async () => docs, [Symbol.asyncIterator]: async function* () { yield* docs; } });
+
+    const collections = {
+        responses: {
+            find: filter => cursor(responses.filter(response => matchesResponse(response, filter))),
+            updateOne: async (filter, update) => {
+                const response = responses.find(item => String(item._id) === String(filter._id));
+                Object.assign(response, update.$set);
+                Object.keys(update.$unset || {}).forEach(key => delete response[key]);
+            },
+            deleteMany: async filter => {
+                const before = responses.length;
+                responses.splice(0, responses.length, ...responses.filter(response => !matchesResponse(response, filter)));
+                return { deletedCount: before - responses.length };
+            }
+        },
+        ingestionQueue: {
+            updateMany: async (filter, update) => {
+                const [byItem, byResponse] = filter.$or;
+                const hit = queue.filter(item => String(item.workspaceId) === String(filter.workspaceId)
+                    && item.kind !== 'reprocess' && item.document !== undefined
+                    && (includes(byItem._id.$in, item._id) || includes(byResponse.responseId.$in, item.responseId)));
+                hit.forEach(item => {
+                    Object.assign(item, update.$set);
+                    delete item.document;
+                });
+                return { modifiedCount: hit.length };
+            }
+        },
+        auditLog: { insertOne: async entry => audit.push(entry) },
+        workspaces: { find: () => cursor(workspaces) }
+    };
+    const counter = { updateMany: async () => ({ modifiedCount: 0 }), deleteMany: async () => ({ deletedCount: 0 }) };
+    return { audit, collection: name => collections[name] || counter };
+}
+
+function fixture() {
+    const workspaceId = new ObjectId();
+    const itemId = new ObjectId();
+    const response = {
+        _id: new ObjectId(), workspaceId, ingestionItemId: itemId, createdAt: new Date('2020-01-01'),
+        result: { Name: 'Jane Doe', ContactInformation: { Email: 'jane@example.com' } }
+    };
+    const queue = [
+        // Stored, but the worker crashed before finishing the item: the file is still queued
+        { _id: itemId, workspaceId, kind: 'upload', status: 'processing', document: { base64: 'SmFuZQ==', fileName: 'jane.pdf' } },
+        // Finished items have dropped their payload already
+        { _id: new ObjectId(), workspaceId, kind: 'upload', status: 'success', responseId: response._id },
+        { _id: new ObjectId(), workspaceId, kind: 'upload', status: 'queued', document: { base64: 'Sm9obg==', fileName: 'john.pdf' } }
+    ];
+    return { workspaceId, response, queue };
+}
+
+test('erasing a response drops the file payload its unfinished queue item still holds', async () => {
+    const { workspaceId, response, queue } = fixture();
+    const db = fakeDb({ responses: [response], queue });
+
+    const erased = await eraseResponses(db, workspaceId, [response._id]);
+
+    assert.deepStrictEqual(erased, { responses: 1, files: 0, notes: 0, matchRuns: 0, queueItems: 1 });
+    assert.strictEqual(queue[0].document, undefined);
+    assert.ok(queue[0].payloadErasedAt instanceof Date);
+    // Other candidates' uploads are left alone
+    assert.strictEqual(queue[2].document.fileName, 'john.pdf');
+    assert.strictEqual(queue[2].payloadErasedAt, undefined);
+});
+
+test('anonymizing a response drops queued payloads too', async () => {
+    const { workspaceId, response, queue } = fixture();
+    const db = fakeDb({ responses: [response], queue });
+
+    const anonymized = await anonymizeResponses(db, workspaceId, [response._id]);
+
+    assert.strictEqual(anonymized.queueItems, 1);
+    assert.strictEqual(queue[0].document, undefined);
+    assert.ok(response.anonymizedAt);
+});
+
+test('a retention run resolves with its totals instead of logging them', async () => {
+    const { workspaceId, response, queue } = fixture();
+    const idle = { _id: new ObjectId(), settings: { retention: { days: 0, action: 'delete' } } };
+    const workspace = { _id: workspaceId, settings: { retention: { days: 30, action: 'delete' } } };
+    database = fakeDb({ responses: [response], queue, workspaces: [idle, workspace] });
+
+    const runs = await runRetention();
+
+    assert.strictEqual(runs.length, 1);
+    assert.strictEqual(String(runs[0].workspaceId), String(workspaceId));
+    assert.strictEqual(runs[0].action, 'delete');
+    assert.strictEqual(runs[0].responses, 1);
+    assert.strictEqual(runs[0].queueItems, 1);
+    assert.deepStrictEqual(database.audit.map(entry => entry.action), ['retention.delete']);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { redactCV, scrubText, REDACTED } = require('../lib/redaction');
+
+test('skills keep names that look like honorifics or gendered words', () => {
+    const redacted = redactCV({
+        Name: 'Jane Doe',
+        Skills: ['MS Office', 'MS SQL Server', 'Ms Excel', 'Miss Management Tool', 'Female Health Apps'],
+        Languages: [{ Language: 'English', Proficiency: 'Fluent' }]
+    });
+
+    assert.deepStrictEqual(redacted.Skills, ['MS Office', 'MS SQL Server', 'Ms Excel', 'Miss Management Tool', 'Female Health Apps']);
+    assert.deepStrictEqual(redacted.Languages, [{ Language: 'English', Proficiency: 'Fluent' }]);
+});
+
+test('prose loses honorifics before names, gender words and gendered pronouns', () => {
+    const redacted = redactCV({
+        Name: 'Jane Doe',
+        Summary: 'Ms. Doe is a female engineer; she led her team using MS Office.',
+        WorkExperience: [{ JobTitle: 'Engineer', Description: 'Mr Smith said he trusted him.' }]
+    });
+
+    assert.strictEqual(redacted.Summary, `${REDACTED} is a engineer; they led their team using MS Office.`);
+    assert.strictEqual(redacted.WorkExperience[0].Description, 'Smith said they trusted them.');
+});
+
+test('contact details are removed from skills too', () => {
+    const redacted = redactCV({ Name: 'Jane Doe', Skills: ['JavaScript', 'jane.doe@example.com'] });
+
+    assert.deepStrictEqual(redacted.Skills, ['JavaScript', REDACTED]);
+    assert.strictEqual(scrubText('Call +994 50 123 45 67', []), `Call ${REDACTED}`);
+});
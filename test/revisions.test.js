@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { processingStamp, outdatedFilter, diffValues, diffRevisions } = require('../lib/revisions');
+
+test('the processing stamp changes with the prompt or the model and nothing else', () => {
+    const stamp = processingStamp({ prompt: 'Extract the CV', model: 'mistral-large-latest' });
+
+    assert.match(stamp.version, /^[0-9a-f]{12}$/);
+    assert.deepStrictEqual(Object.keys(stamp), ['version', 'promptVersion', 'model', 'extractorVersion', 'schemaVersion']);
+    assert.deepStrictEqual(processingStamp({ prompt: 'Extract the CV', model: 'mistral-large-latest' }), stamp);
+    assert.notStrictEqual(processingStamp({ prompt: 'Extract the CV.', model: 'mistral-large-latest' }).version, stamp.version);
+    assert.notStrictEqual(processingStamp({ prompt: 'Extract the CV', model: 'gpt-4o' }).version, stamp.version);
+    assert.deepStrictEqual(outdatedFilter(stamp), { 'processing.version': { $ne: stamp.version } });
+});
+
+test('values are compared field by field with a path to each change', () => {
+    const before = { Name: 'Jane', ContactInformation: { Email: 'a@x.io', Phone: '1' }, WorkExperience: [{ JobTitle: 'Dev' }] };
+    const after = { Name: 'Jane', ContactInformation: { Email: 'b@x.io' }, WorkExperience: [{ JobTitle: 'Lead' }, { JobTitle: 'Dev' }], Summary: 'New' };
+
+    assert.deepStrictEqual(diffValues(before, after), [
+        { path: 'ContactInformation.Email', before: 'a@x.io', after: 'b@x.io' },
+        { path: 'ContactInformation.Phone', before: '1', after: null },
+        { path: 'WorkExperience[0].JobTitle', before: 'Dev', after: 'Lead' },
+        { path: 'WorkExperience[1]', before: null, after: { JobTitle: 'Dev' } },
+        { path: 'Summary', before: null, after: 'New' }
+    ]);
+    assert.deepStrictEqual(diffValues(before, JSON.parse(JSON.stringify(before))), []);
+});
+
+test('lists of plain values are compared by membership', () => {
+    assert.deepStrictEqual(diffValues({ Skills: ['Go', 'SQL'] }, { Skills: ['SQL', 'Rust', 'Go'] }),
+        [{ path: 'Skills', added: ['Rust'], removed: [] }]);
+    assert.deepStrictEqual(diffValues(['Go', 'SQL'], ['SQL', 'Go']), [], 'reordering is not a change');
+    assert.deepStrictEqual(diffValues({ Skills: 'Go' }, { Skills: ['Go'] }), [{ path: 'Skills', before: 'Go', after: ['Go'] }]);
+});
+
+test('a revision diff reports canonical skill and experience changes next to the raw ones', () => {
+    const responseId = new ObjectId();
+    const stamp = processingStamp({ prompt: 'Extract the CV', model: 'mistral-large-latest' });
+    const base = {
+        responseId, revision: 1, processing: null, replacedAt: new Date(),
+        result: { Name: 'Jane', Skills: ['JS', 'node'], WorkExperience: [{ JobTitle: 'Dev', Duration: '2019 - 2021' }] }
+    };
+    const target = {
+        responseId, revision: 2, processing: stamp, current: true,
+        result: { Name: 'Jane', Skills: ['JavaScript', 'Node.js', 'Docker'], WorkExperience: [{ JobTitle: 'Dev', Duration: '2017 - 2021' }] }
+    };
+
+    const diff = diffRevisions(base, target);
+    assert.deepStrictEqual([diff.base.revision, diff.target.revision, diff.target.current], [1, 2, true]);
+    assert.strictEqual(diff.samePipeline, false);
+    assert.deepStrictEqual(diff.skills, { added: ['Docker'], removed: [] }, 'renamed skills are not changes');
+    assert.deepStrictEqual(diff.totalYears, { before: 3, after: 5 });
+    assert.deepStrictEqual(diff.changes, [
+        { path: 'Skills', added: ['JavaScript', 'Node.js', 'Docker'], removed: ['JS', 'node'] },
+        { path: 'WorkExperience[0].Duration', before: '2019 - 2021', after: '2017 - 2021' }
+    ]);
+
+    const unchanged = diffRevisions(base, { ...base, revision: 2 });
+    assert.deepStrictEqual([unchanged.samePipeline, unchanged.changes, unchanged.skills], [true, [], { added: [], removed: [] }]);
+});
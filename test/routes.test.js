@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Loading the app only creates the MongoDB client; nothing connects until a request comes in
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017';
+
+const root = path.join(__dirname, '..');
+
+// "METHOD /path" for every route registered on an Express app, sorted
+function routeTable(app) {
+    return app._router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`))
+        .sort();
+}
+
+// server.js listens as soon as it is loaded, so its app is loaded the way server.js loads it
+function serverApp() {
+    const source = require('fs').readFileSync(path.join(root, 'server.js'), 'utf8');
+    assert.match(source, /require\('\.\/app'\)/, 'server.js should run the shared app from app.js');
+    return require(path.join(root, 'app'));
+}
+
+test('the Express server and the Netlify function expose the same routes', () => {
+    const netlify = require(path.join(root, 'netlify', 'functions', 'api'));
+
+    assert.strictEqual(typeof netlify.handler, 'function');
+    assert.deepStrictEqual(routeTable(netlify.app), routeTable(serverApp()));
+});
+
+test('the Netlify function has the routes its old copy was missing', () => {
+    const routes = routeTable(require(path.join(root, 'netlify', 'functions', 'api')).app);
+
+    for (const route of ['POST /api/match-candidates', 'GET /auth/linkedin/token', 'POST /api/analyze-cvs', 'PUT /api/responses/:id/status']) {
+        assert.ok(routes.includes(route), `missing ${route}`);
+    }
+});
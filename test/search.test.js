@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseSearch, searchQuery, evaluateCandidate } = require('../lib/search');
+const { NORMALIZATION_VERSION } = require('../lib/normalization');
+
+test('parseSearch builds an and-filter from query-string parameters', () => {
+    const search = parseSearch({
+        q: 'backend', mustHave: 'Node.js, MongoDB', niceToHave: 'Docker', language: 'English', proficiency: 'B2', degree: 'master', minYears: '3'
+    });
+
+    assert.deepStrictEqual(search, {
+        q: 'backend',
+        filter: {
+            and: [
+                { skills: ['Node.js', 'MongoDB'] },
+                { language: 'English', proficiency: 'B2' },
+                { degree: 'master' },
+                { minYears: 3 }
+            ]
+        },
+        niceToHaveSkills: ['Docker'],
+        mustHaveSkills: ['Node.js', 'MongoDB']
+    });
+});
+
+test('parseSearch keeps a single condition or a JSON filter tree as it is', () => {
+    assert.deepStrictEqual(parseSearch({ mustHaveSkills: ['Go'] }).filter, { skills: ['Go'] });
+    assert.deepStrictEqual(parseSearch({}), { q: '', filter: null, niceToHaveSkills: [], mustHaveSkills: [] });
+
+    const filter = { or: [{ anySkill: ['Go', 'Rust'] }, { not: { minYears: 2 } }] };
+    assert.deepStrictEqual(parseSearch({ filter }).filter, filter);
+    assert.deepStrictEqual(parseSearch({ filter, minYears: '' }).filter, filter);
+});
+
+test('parseSearch rejects malformed input', () => {
+    assert.throws(() => parseSearch({ minYears: 'five' }), /minYears must be a number/);
+    assert.throws(() => parseSearch({ degree: 'wizard' }), /Unknown degree "wizard"/);
+    assert.throws(() => parseSearch({ filter: { skill: ['Go'] } }), /Unknown search filter/);
+    assert.throws(() => parseSearch({ filter: { and: { skills: ['Go'] } } }), /take an array of filters/);
+    assert.throws(() => parseSearch({ filter: { or: ['Go'] } }), /must be an object/);
+});
+
+test('searchQuery turns filters into MongoDB conditions', () => {
+    const [skills] = searchQuery(parseSearch({ mustHave: 'Node.js' }));
+    assert.ok(skills.$and[0].$or[0]['result.Skills'].test('Node JS'));
+    assert.deepStrictEqual(skills.$and[0].$or[1], { 'normalized.skills.name': 'Node.js' });
+
+    const [minYears] = searchQuery(parseSearch({ minYears: '5' }));
+    assert.deepStrictEqual(minYears, {
+        $or: [
+            { 'normalized.experience.totalYears': { $gte: 5 } },
+            { 'normalized.workExperience.current': true },
+            { 'normalized.version': { $ne: NORMALIZATION_VERSION } }
+        ]
+    });
+
+    const [language] = searchQuery(parseSearch({ language: 'english', proficiency: 'C1' }));
+    assert.ok(language.$or[0]['result.Languages.Language'].test('English'));
+});
+
+test('degree conditions accept every degree at or above the wanted level', () => {
+    const [degree] = searchQuery(parseSearch({ degree: 'master' }));
+    const accepts = text => degree.$or.some(condition => Object.values(condition)[0].test(text));
+
+    assert.ok(accepts('Master of Science'));
+    assert.ok(accepts('MSc'));
+    assert.ok(accepts('PhD in Physics'));
+    assert.ok(accepts('P.H.D.'));
+    assert.ok(!accepts('Bachelor of Arts'));
+    assert.ok(!accepts('High School'));
+});
+
+test('searchQuery leaves out what the database would filter too strictly', () => {
+    // A negated condition, or an or-branch that can't be narrowed, has to be checked on every candidate
+    assert.deepStrictEqual(searchQuery(parseSearch({ filter: { not: { skills: ['PHP'] } } })), []);
+    assert.deepStrictEqual(searchQuery(parseSearch({ filter: { or: [{ skills: ['Go'] }, { not: { skills: ['PHP'] } }] } })), []);
+    assert.deepStrictEqual(searchQuery(parseSearch({ minYears: '0' })), []);
+
+    const [and] = searchQuery(parseSearch({ filter: { and: [{ skills: ['Go'] }, { not: { skills: ['PHP'] } }] } }));
+    assert.strictEqual(and.$and.length, 1);
+});
+
+test('query terms narrow by text unless the search runs on redacted CVs', () => {
+    const search = parseSearch({ q: 'kafka engineer' });
+    const [text] = searchQuery(search);
+    const paths = text.$or.map(condition => Object.keys(condition)[0]);
+
+    assert.ok(paths.includes('result.WorkExperience.JobTitle'));
+    assert.ok(paths.includes('result.Education.Institution'));
+    assert.ok(text.$or.some(condition => condition['result.Skills'] && condition['result.Skills'].test('Apache Kafka')));
+    // Free-form fields holding objects can't be searched by regex, so those records are kept for scoring
+    assert.deepStrictEqual(text.$or.find(condition => condition['result.Projects'] && condition['result.Projects'].$type),
+        { 'result.Projects': { $type: ['object', 'number', 'bool'] } });
+
+    assert.deepStrictEqual(searchQuery(search, { text: false }), []);
+});
+
+test('evaluateCandidate decides on the candidates the query lets through', () => {
+    const response = {
+        result: {
+            Name: 'Jane Doe',
+            Skills: ['Node.js', 'Apache Kafka'],
+            WorkExperience: [{ JobTitle: 'Backend Engineer', Duration: '2015 - 2020' }],
+            Languages: [{ Language: 'English', Proficiency: 'Fluent' }]
+        }
+    };
+
+    assert.ok(evaluateCandidate(response, parseSearch({ q: 'kafka', mustHave: 'nodejs', minYears: '5', language: 'English', proficiency: 'B2' })));
+    assert.strictEqual(evaluateCandidate(response, parseSearch({ minYears: '7' })), null);
+    assert.strictEqual(evaluateCandidate(response, parseSearch({ language: 'English', proficiency: 'C2' })), null);
+    assert.strictEqual(evaluateCandidate(response, parseSearch({ q: 'frontend' })), null);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('node:stream');
+
+const { createUploadStorage, uploadErrorMessage, formatBytes } = require('../lib/upload');
+
+const pdf = size => Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(size - 9, 'a')]);
+
+// Feeds the files of one request through the storage engine in order, as multer does, `chunkSize` bytes at a time
+async function uploadBatch(storage, buffers, chunkSize = 4) {
+    const req = {};
+    const results = [];
+    for (const buffer of buffers) {
+        const chunks = [];
+        for (let i = 0; i < buffer.length; i += chunkSize) chunks.push(buffer.subarray(i, i + chunkSize));
+        results.push(await new Promise((resolve, reject) => {
+            storage._handleFile(req, { stream: Readable.from(chunks) }, (error, info) => (error ? reject(error) : resolve(info)));
+        }));
+    }
+    return { req, results };
+}
+
+test('a file over the per-file limit is rejected without failing the rest of the batch', async () => {
+    const storage = createUploadStorage({ maxFileBytes: 20, maxBatchBytes: 1024 });
+    const { req, results } = await uploadBatch(storage, [pdf(12), pdf(32), pdf(20)]);
+
+    assert.deepStrictEqual(results.map(result => result.rejection), [undefined, 'File is larger than the 0KB per-file limit', undefined]);
+    assert.strictEqual(results[1].size, 32, 'the whole file is read so the request can finish');
+    assert.strictEqual(results[1].buffer, undefined);
+    assert.deepStrictEqual(results[2].buffer, pdf(20));
+    assert.strictEqual(req.uploadedBytes, 32, 'rejected files do not count against the batch');
+});
+
+test('files are rejected once the batch total would exceed the per-batch limit', async () => {
+    const storage = createUploadStorage({ maxFileBytes: 1024, maxBatchBytes: 42 });
+    const { req, results } = await uploadBatch(storage, [pdf(16), pdf(16), pdf(16), pdf(10)]);
+
+    assert.deepStrictEqual(results.map(result => result.detectedType || result.rejection),
+        ['pdf', 'pdf', 'Upload exceeds the 0KB per-batch limit', 'pdf']);
+    assert.strictEqual(req.uploadedBytes, 42);
+});
+
+test('a file exactly at the limits is accepted', async () => {
+    const storage = createUploadStorage({ maxFileBytes: 24, maxBatchBytes: 24 });
+    const { results } = await uploadBatch(storage, [pdf(24)]);
+
+    assert.strictEqual(results[0].detectedType, 'pdf');
+    assert.strictEqual(results[0].size, 24);
+});
+
+test('a failing upload stream fails the request', async () => {
+    const storage = createUploadStorage({ maxFileBytes: 1024, maxBatchBytes: 1024 });
+    const stream = new Readable({ read() { this.destroy(new Error('connection reset')); } });
+
+    await assert.rejects(new Promise((resolve, reject) => {
+        storage._handleFile({}, { stream }, (error, info) => (error ? reject(error) : resolve(info)));
+    }), /connection reset/);
+});
+
+test('limits and request-level errors are described for the client', () => {
+    assert.strictEqual(formatBytes(10 * 1024 * 1024), '10MB');
+    assert.strictEqual(formatBytes(512 * 1024), '512KB');
+    assert.strictEqual(uploadErrorMessage({ code: 'LIMIT_FILE_COUNT' }, { maxFiles: 20 }), 'Too many files: at most 20 per upload');
+    assert.strictEqual(uploadErrorMessage({ code: 'LIMIT_UNEXPECTED_FILE', field: 'cv' }, { maxFiles: 20 }),
+        'Unexpected file field "cv"; send files in the "files" field');
+    assert.strictEqual(uploadErrorMessage(new Error('Unexpected end of form'), { maxFiles: 20 }), 'Unexpected end of form');
+});
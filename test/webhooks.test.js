@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017';
+
+const { validateWebhook, formatDelivery } = require('../lib/webhooks');
+
+const urlErrors = url => validateWebhook({ url, events: ['cv.processed'] }).errors;
+
+test('webhook URLs must point to public addresses', () => {
+    for (const url of [
+        'http://169.254.169.254/latest/meta-data/',
+        'http://localhost:27017',
+        'http://api.localhost/hook',
+        'http://127.0.0.1:8080/',
+        'https://10.0.0.5/hook',
+        'https://192.168.1.1/',
+        'http://[::1]/',
+        'http://[::ffff:127.0.0.1]/',
+        'http://[fe80::1]/'
+    ]) {
+        assert.strictEqual(urlErrors(url).length, 1, url);
+    }
+    assert.deepStrictEqual(urlErrors('https://hooks.example.com/cv'), []);
+    assert.deepStrictEqual(urlErrors('ftp://example.com/'), ['url must be an http(s) URL']);
+});
+
+test('stored response bodies are not shown with a delivery', () => {
+    const attempt = { at: new Date(), statusCode: 500, error: 'HTTP 500', durationMs: 12, responseBody: 'internal' };
+    const delivery = formatDelivery({ _id: 'd1', attempts: [attempt], status: 'failed' }, { includePayload: true });
+
+    assert.strictEqual(delivery.lastAttempt.responseBody, undefined);
+    assert.strictEqual(delivery.attempts[0].responseBody, undefined);
+    assert.strictEqual(delivery.attempts[0].statusCode, 500);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017';
+
+const { validateWorkspace, workspaceSettings } = require('../lib/workspaces');
+
+test('null or non-object settings are a validation error, not a crash', () => {
+    for (const settings of [null, 'strict', 7, []]) {
+        assert.deepStrictEqual(validateWorkspace({ name: 'Agency', settings }).errors, ['settings must be an object'],
+            `settings: ${JSON.stringify(settings)}`);
+        assert.deepStrictEqual(validateWorkspace({ settings }, { partial: true }).errors, ['settings must be an object']);
+    }
+});
+
+test('settings are checked field by field', () => {
+    const { value, errors } = validateWorkspace({
+        name: ' Agency ',
+        settings: {
+            pipeline: { initial: 'new', transitions: { new: ['hired'], hired: [] } },
+            llmModel: ' mistral-large-latest ',
+            retention: { days: 365 }
+        }
+    });
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(value.name, 'Agency');
+    assert.deepStrictEqual(value.settings.pipeline, { initial: 'new', transitions: { new: ['hired'], hired: [] } });
+    assert.strictEqual(value.settings.llmModel, 'mistral-large-latest');
+    assert.strictEqual(workspaceSettings(value).retention.days, 365);
+
+    assert.deepStrictEqual(validateWorkspace({
+        name: '',
+        settings: { pipeline: { initial: 'x', transitions: {} }, llmModel: 5, retention: 'forever' }
+    }).errors, [
+        'name is required',
+        'settings.pipeline: Initial stage "x" is not part of the pipeline',
+        'settings.llmModel must be a string',
+        'settings.retention.days must be a whole number of days (0 keeps records forever)'
+    ]);
+});